@@ -0,0 +1,54 @@
+const MAX_CODE_NOTE_LENGTH = 200;
+
+// Version 1 is the code.zip uploaded with the task; later versions are stored next to it
+export function codeBundleFileName(version) {
+  return version === 1 ? 'code.zip' : `code-v${version}.zip`;
+}
+
+/** Validate the optional note of a code upload; returns { note } (null when empty) or { error }. */
+export function parseCodeNote(value) {
+  if (value === undefined || value === null) return { note: null };
+  if (typeof value !== 'string') return { error: 'note must be a string' };
+  const note = value.trim();
+  if (note.length > MAX_CODE_NOTE_LENGTH) return { error: `note must be at most ${MAX_CODE_NOTE_LENGTH} characters` };
+  return { note: note || null };
+}
+
+/**
+ * Code versions of a task, oldest first. Tasks created before bundles were versioned have their
+ * code.zip as version 1.
+ */
+export function resolveCodeVersions(task) {
+  if (Array.isArray(task?.codeVersions) && task.codeVersions.length > 0) return task.codeVersions;
+  if (!task?.codeFileName) return [];
+  return [{ version: 1, fileName: task.codeFileName, uploadedAt: task.createdAt || null, note: null }];
+}
+
+/** Version new assignments of the task run, or null for a task without code. */
+export function currentCodeVersion(task) {
+  const versions = resolveCodeVersions(task);
+  return versions.length ? versions[versions.length - 1].version : null;
+}
+
+export function findCodeVersion(task, version) {
+  return resolveCodeVersions(task).find((entry) => entry.version === version) || null;
+}
+
+/**
+ * Append the next code version to the task and make it current. The caller stores the bundle under
+ * the returned entry's fileName.
+ */
+export function addCodeVersion(task, { note = null, now = Date.now() } = {}) {
+  const versions = resolveCodeVersions(task);
+  const version = (versions.length ? versions[versions.length - 1].version : 0) + 1;
+  const entry = { version, fileName: codeBundleFileName(version), uploadedAt: new Date(now).toISOString(), note };
+  task.codeVersions = [...versions, entry];
+  task.codeVersion = version;
+  task.codeFileName = entry.fileName;
+  return entry;
+}
+
+/** Version an assignment runs; assignments made before bundles were versioned ran version 1. */
+export function assignmentCodeVersion(assignment) {
+  return Number.isInteger(assignment?.codeVersion) ? assignment.codeVersion : 1;
+}
@@ -0,0 +1,34 @@
+export const KNOWN_CAPABILITIES = [
+  'image-processing',
+  'data-analysis',
+  'text-processing',
+  'web-scraping',
+  'machine-learning',
+];
+
+/**
+ * Validate the capability set a worker registers, as an array or a comma separated string.
+ * Returns { capabilities } (deduplicated, lowercased) or { error } with a message for a 400.
+ */
+export function parseCapabilities(value) {
+  if (value === undefined || value === null) return { error: 'capabilities are required' };
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const capabilities = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string') return { error: 'capabilities must be strings' };
+    const capability = entry.trim().toLowerCase();
+    if (!capability) continue;
+    if (!KNOWN_CAPABILITIES.includes(capability)) {
+      return { error: `Unknown capability "${capability}"; expected one of: ${KNOWN_CAPABILITIES.join(', ')}` };
+    }
+    if (!capabilities.includes(capability)) capabilities.push(capability);
+  }
+  return { capabilities };
+}
+
+/** Whether a worker with these capabilities may run the task; tasks without a requirement run anywhere. */
+export function canRunTask(capabilities, task) {
+  const required = typeof task?.capabilityRequired === 'string' ? task.capabilityRequired.trim().toLowerCase() : '';
+  if (!required) return true;
+  return Array.isArray(capabilities) && capabilities.includes(required);
+}
@@ -0,0 +1,553 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+
+const DATABASE_COUNT_TTL_MS = 30 * 1000;
+const MAX_DATABASE_ANCHORS = 10000;
+
+export const DATASET_FORMATS = ['json', 'ndjson', 'csv'];
+
+const NEWLINE = 0x0a;
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COMMA = 0x2c;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+
+const connections = new Map();
+const countCache = new Map();
+// Per collection: the `_id` of the last item of every page read so far ({ index, id }, sorted by index).
+// A read that starts after one of them continues from that `_id` instead of skipping `start` documents.
+const anchors = new Map();
+
+function readMetadata(task) {
+  const raw = task?.metadataJson;
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  if (typeof raw !== 'string') return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the MongoDB collection a "database" task reads its items from.
+ * Returns null when the task uses an uploaded data file or the metadata is incomplete.
+ */
+export function parseDatabaseSource(task) {
+  if (!task || task.inputType !== 'database') return null;
+  const meta = readMetadata(task);
+  if (!meta) return null;
+  const type = typeof meta.type === 'string' ? meta.type.toLowerCase() : 'mongodb';
+  if (type !== 'mongodb') return null;
+  const uri = typeof meta.uri === 'string' ? meta.uri.trim() : '';
+  const database = typeof meta.database === 'string' ? meta.database.trim() : '';
+  const collection = typeof meta.collection === 'string' ? meta.collection.trim() : '';
+  if (!uri || !collection) return null;
+  return {
+    type: 'mongodb',
+    uri,
+    database: database || null,
+    collection,
+    key: `${uri}|${database}|${collection}`,
+  };
+}
+
+async function getCollection(source) {
+  const connectionKey = `${source.uri}|${source.database || ''}`;
+  let pending = connections.get(connectionKey);
+  if (!pending) {
+    const options = { serverSelectionTimeoutMS: 5000 };
+    if (source.database) options.dbName = source.database;
+    pending = mongoose.createConnection(source.uri, options).asPromise();
+    connections.set(connectionKey, pending);
+    pending.catch(() => connections.delete(connectionKey));
+  }
+  const connection = await pending;
+  return connection.db.collection(source.collection);
+}
+
+// ObjectIds and Dates become their JSON string forms so items look the same as parsed data.json entries
+function toPlainItem(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+export async function countDatabaseItems(source, { fresh = false } = {}) {
+  const cached = countCache.get(source.key);
+  if (!fresh && cached && Date.now() - cached.at < DATABASE_COUNT_TTL_MS) {
+    return cached.count;
+  }
+  const collection = await getCollection(source);
+  const count = await collection.countDocuments({});
+  countCache.set(source.key, { count, at: Date.now() });
+  return count;
+}
+
+// Position of the first anchor at or after `index` in a sorted anchor list
+function anchorPosition(list, index) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].index < index) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function rememberAnchor(source, anchor) {
+  let list = anchors.get(source.key);
+  if (!list) {
+    list = [];
+    anchors.set(source.key, list);
+  }
+  const position = anchorPosition(list, anchor.index);
+  if (list[position]?.index === anchor.index) {
+    list[position] = anchor;
+    return;
+  }
+  list.splice(position, 0, anchor);
+  // the earliest buckets are the least likely to be read again
+  if (list.length > MAX_DATABASE_ANCHORS) list.shift();
+}
+
+// The known item closest before `index`, or null when reading must start from the first document
+function findAnchor(source, index) {
+  const list = anchors.get(source.key);
+  if (!list) return null;
+  return list[anchorPosition(list, index) - 1] || null;
+}
+
+/**
+ * Read up to `limit` items starting at `start`, ordered by `_id` so the same index always maps to the
+ * same document while the collection only grows. The read continues from `after` (the `last` of the
+ * previous page) or from the closest known item before `start`, so only the documents in between are
+ * skipped. Returns { items, last }, where `last` ({ index, id }) continues the next page.
+ */
+export async function readDatabasePage(source, start, limit, after = null) {
+  const safeStart = Math.max(0, Math.floor(start));
+  const safeLimit = Math.max(0, Math.floor(limit));
+  if (safeLimit === 0) return { items: [], last: null };
+  const anchor = after && after.index < safeStart ? after : findAnchor(source, safeStart);
+  const collection = await getCollection(source);
+  const docs = await collection
+    .find(anchor ? { _id: { $gt: anchor.id } } : {})
+    .sort({ _id: 1 })
+    .skip(anchor ? safeStart - anchor.index - 1 : safeStart)
+    .limit(safeLimit)
+    .toArray();
+  if (docs.length === 0) return { items: [], last: null };
+  const last = { index: safeStart + docs.length - 1, id: docs[docs.length - 1]._id };
+  rememberAnchor(source, last);
+  return { items: docs.map(toPlainItem), last };
+}
+
+/** Read items [start, end) of the collection; see readDatabasePage. */
+export async function readDatabaseItems(source, start, end) {
+  const safeStart = Math.max(0, Math.floor(start));
+  const safeEnd = Math.max(safeStart, Math.floor(end));
+  const { items } = await readDatabasePage(source, safeStart, safeEnd - safeStart);
+  return items;
+}
+
+export async function closeDatabaseSources() {
+  const pending = Array.from(connections.values());
+  connections.clear();
+  countCache.clear();
+  anchors.clear();
+  await Promise.all(
+    pending.map(async (entry) => {
+      try {
+        const connection = await entry;
+        await connection.close();
+      } catch (error) {
+        // connection never opened; nothing to close
+      }
+    })
+  );
+}
+
+export function normalizeDatasetFormat(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'jsonl') return 'ndjson';
+  return DATASET_FORMATS.includes(normalized) ? normalized : null;
+}
+
+function readFileHead(filePath, length = 64) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(fd, buffer, 0, length, 0);
+    return buffer.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Work out the format of a dataset from its extension, falling back to the first
+ * non-whitespace byte of the file (`[` array, `{` NDJSON, anything else CSV).
+ */
+export function detectDatasetFormat(fileName, filePath = null) {
+  const ext = typeof fileName === 'string' ? path.extname(fileName).slice(1) : '';
+  const fromExt = normalizeDatasetFormat(ext);
+  if (fromExt || !filePath) return fromExt;
+  const first = readFileHead(filePath).toString('utf8').replace(/^\uFEFF/, '').trimStart().charAt(0);
+  if (first === '[') return 'json';
+  if (first === '{') return 'ndjson';
+  return first ? 'csv' : null;
+}
+
+export function datasetFileName(format) {
+  return `data.${normalizeDatasetFormat(format) || 'json'}`;
+}
+
+function isWhitespace(byte) {
+  return byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+}
+
+function isBlank(buffer) {
+  for (const byte of buffer) {
+    if (!isWhitespace(byte)) return false;
+  }
+  return true;
+}
+
+function takeRecord(parts, chunk, start, end) {
+  const tail = chunk.subarray(start, end);
+  return parts.length ? Buffer.concat([...parts, tail]) : tail;
+}
+
+// Structural characters are ASCII and never occur inside a UTF-8 multibyte sequence,
+// so records can be split on raw bytes without decoding the stream first.
+// Each record is yielded with its absolute byte offset in the file.
+async function* splitJsonArray(stream) {
+  let started = false;
+  let ended = false;
+  let elements = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let parts = [];
+  let position = 0;
+  let recordOffset = 0;
+  for await (const chunk of stream) {
+    let segmentStart = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+      if (ended) {
+        if (!isWhitespace(byte)) throw new Error('Unexpected content after the top-level JSON array');
+        continue;
+      }
+      if (!started) {
+        if (byte === OPEN_BRACKET) {
+          started = true;
+          segmentStart = i + 1;
+          recordOffset = position + i + 1;
+          continue;
+        }
+        // skip whitespace and a UTF-8 byte order mark
+        if (isWhitespace(byte) || byte === 0xef || byte === 0xbb || byte === 0xbf) continue;
+        throw new Error('JSON datasets must contain a top-level array');
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (byte === BACKSLASH) escaped = true;
+        else if (byte === QUOTE) inString = false;
+        continue;
+      }
+      if (byte === QUOTE) {
+        inString = true;
+      } else if (byte === OPEN_BRACKET || byte === OPEN_BRACE) {
+        depth++;
+      } else if ((byte === CLOSE_BRACKET || byte === CLOSE_BRACE) && depth > 0) {
+        depth--;
+      } else if (depth === 0 && (byte === COMMA || byte === CLOSE_BRACKET)) {
+        const record = takeRecord(parts, chunk, segmentStart, i);
+        const offset = recordOffset;
+        parts = [];
+        segmentStart = i + 1;
+        recordOffset = position + i + 1;
+        if (byte === CLOSE_BRACKET) {
+          ended = true;
+          // only [] may close on a blank; [1,] is a trailing comma
+          if (isBlank(record)) {
+            if (elements > 0) throw new Error('Empty element in JSON array');
+          } else {
+            yield { record, offset };
+          }
+        } else {
+          if (isBlank(record)) throw new Error('Empty element in JSON array');
+          elements++;
+          yield { record, offset };
+        }
+      }
+    }
+    if (started && !ended && segmentStart < chunk.length) {
+      parts.push(chunk.subarray(segmentStart));
+    }
+    position += chunk.length;
+  }
+  if (!ended) throw new Error('Unterminated JSON array');
+}
+
+// Newlines inside double quotes belong to the current CSV field rather than ending the record
+async function* splitLines(stream, { quoteAware = false } = {}) {
+  let inQuotes = false;
+  let parts = [];
+  let position = 0;
+  let recordOffset = 0;
+  for await (const chunk of stream) {
+    let segmentStart = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+      if (quoteAware && byte === QUOTE) {
+        inQuotes = !inQuotes;
+      } else if (byte === NEWLINE && !inQuotes) {
+        const record = takeRecord(parts, chunk, segmentStart, i);
+        const offset = recordOffset;
+        parts = [];
+        segmentStart = i + 1;
+        recordOffset = position + i + 1;
+        if (!isBlank(record)) yield { record, offset };
+      }
+    }
+    if (segmentStart < chunk.length) parts.push(chunk.subarray(segmentStart));
+    position += chunk.length;
+  }
+  if (parts.length) {
+    const record = Buffer.concat(parts);
+    if (!isBlank(record)) yield { record, offset: recordOffset };
+  }
+}
+
+function parseCsvFields(text, delimiter) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (ch === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function buildCsvHeader(fields) {
+  const seen = new Set();
+  return fields.map((raw, idx) => {
+    let name = raw.trim();
+    if (!name || seen.has(name)) name = `column_${idx + 1}`;
+    seen.add(name);
+    return name;
+  });
+}
+
+function decodeText(record) {
+  return record.toString('utf8').replace(/^\uFEFF/, '').replace(/\r$/, '');
+}
+
+function resolveDelimiter(options) {
+  return typeof options?.delimiter === 'string' && options.delimiter.length === 1 ? options.delimiter : ',';
+}
+
+// CSV rows become objects keyed by the header row; context carries the header and delimiter
+function decodeRecord(format, record, context) {
+  if (format === 'json') return JSON.parse(record.toString('utf8'));
+  if (format === 'ndjson') return JSON.parse(decodeText(record));
+  const fields = parseCsvFields(decodeText(record), context.delimiter);
+  const header = context.header || [];
+  const item = {};
+  const width = Math.max(header.length, fields.length);
+  for (let idx = 0; idx < width; idx++) {
+    const key = header[idx] ?? `column_${idx + 1}`;
+    item[key] = fields[idx] ?? '';
+  }
+  return item;
+}
+
+async function* scanDatasetRecords(filePath, format, context) {
+  const stream = fs.createReadStream(filePath);
+  try {
+    const records = format === 'json' ? splitJsonArray(stream) : splitLines(stream, { quoteAware: format === 'csv' });
+    let count = 0;
+    for await (const { record, offset } of records) {
+      if (format === 'csv' && !context.header) {
+        context.header = buildCsvHeader(parseCsvFields(decodeText(record), context.delimiter));
+        continue;
+      }
+      count++;
+      let item;
+      try {
+        item = decodeRecord(format, record, context);
+      } catch (error) {
+        throw new Error(`Invalid record ${count}: ${error.message}`);
+      }
+      yield { item, offset, length: record.length };
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+export function measureItemBytes(item) {
+  try {
+    return Buffer.byteLength(JSON.stringify(item));
+  } catch (e) {
+    // ignore serialization issue, treat as small item
+    return 0;
+  }
+}
+
+// --- Dataset index ---
+// `<data file>.index` holds a JSON header line followed by one fixed-size entry per item:
+// byte offset (float64), record length (uint32) and serialized item size (uint32).
+const INDEX_VERSION = 1;
+const INDEX_ENTRY_BYTES = 16;
+
+const indexCache = new Map();
+const pendingIndexBuilds = new Map();
+
+export function datasetIndexPath(dataPath) {
+  return `${dataPath}.index`;
+}
+
+function createIndex(header, entries) {
+  return {
+    ...header,
+    offsetAt: (i) => entries.readDoubleLE(i * INDEX_ENTRY_BYTES),
+    lengthAt: (i) => entries.readUInt32LE(i * INDEX_ENTRY_BYTES + 8),
+    sizeAt: (i) => entries.readUInt32LE(i * INDEX_ENTRY_BYTES + 12),
+  };
+}
+
+/**
+ * Parse the dataset once, recording where every item lives and how large it is, and
+ * persist that next to the data file so bucket planning never has to re-read it.
+ */
+export async function buildDatasetIndex(dataPath, format, options = {}) {
+  const normalized = normalizeDatasetFormat(format) || 'json';
+  const context = { delimiter: resolveDelimiter(options), header: null };
+  const offsets = [];
+  const lengths = [];
+  const sizes = [];
+  let largestItemBytes = 0;
+  for await (const { item, offset, length } of scanDatasetRecords(dataPath, normalized, context)) {
+    const size = measureItemBytes(item);
+    offsets.push(offset);
+    lengths.push(length);
+    sizes.push(size);
+    if (size > largestItemBytes) largestItemBytes = size;
+  }
+  const stats = fs.statSync(dataPath);
+  const header = {
+    version: INDEX_VERSION,
+    format: normalized,
+    count: offsets.length,
+    largestItemBytes,
+    csvHeader: context.header,
+    delimiter: context.delimiter,
+    dataBytes: stats.size,
+    dataMtimeMs: stats.mtimeMs,
+  };
+  const entries = Buffer.alloc(offsets.length * INDEX_ENTRY_BYTES);
+  for (let i = 0; i < offsets.length; i++) {
+    const base = i * INDEX_ENTRY_BYTES;
+    entries.writeDoubleLE(offsets[i], base);
+    entries.writeUInt32LE(lengths[i], base + 8);
+    entries.writeUInt32LE(Math.min(sizes[i], 0xffffffff), base + 12);
+  }
+  const indexPath = datasetIndexPath(dataPath);
+  const tmpPath = `${indexPath}.tmp`;
+  fs.writeFileSync(tmpPath, Buffer.concat([Buffer.from(`${JSON.stringify(header)}\n`), entries]));
+  fs.renameSync(tmpPath, indexPath);
+  const index = createIndex(header, entries);
+  indexCache.set(indexPath, index);
+  return index;
+}
+
+function loadDatasetIndex(dataPath, format) {
+  const indexPath = datasetIndexPath(dataPath);
+  if (!fs.existsSync(indexPath)) return null;
+  const stats = fs.statSync(dataPath);
+  const isCurrent = (header) =>
+    header.version === INDEX_VERSION &&
+    header.format === format &&
+    header.dataBytes === stats.size &&
+    header.dataMtimeMs === stats.mtimeMs;
+  const cached = indexCache.get(indexPath);
+  if (cached && isCurrent(cached)) return cached;
+  try {
+    const raw = fs.readFileSync(indexPath);
+    const newline = raw.indexOf(0x0a);
+    if (newline === -1) return null;
+    const header = JSON.parse(raw.subarray(0, newline).toString('utf8'));
+    const entries = raw.subarray(newline + 1);
+    if (!isCurrent(header) || entries.length !== header.count * INDEX_ENTRY_BYTES) return null;
+    const index = createIndex(header, entries);
+    indexCache.set(indexPath, index);
+    return index;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Datasets uploaded before indexing existed (or edited on disk) are indexed on first use
+export async function ensureDatasetIndex(dataPath, format, options = {}) {
+  const normalized = normalizeDatasetFormat(format) || 'json';
+  const existing = loadDatasetIndex(dataPath, normalized);
+  if (existing) return existing;
+  let pending = pendingIndexBuilds.get(dataPath);
+  if (!pending) {
+    pending = buildDatasetIndex(dataPath, normalized, options).finally(() => pendingIndexBuilds.delete(dataPath));
+    pendingIndexBuilds.set(dataPath, pending);
+  }
+  return pending;
+}
+
+/**
+ * Read items [start, end) using the index: one contiguous read of just those bytes.
+ */
+export async function readIndexedItems(dataPath, index, start, end) {
+  const safeStart = Math.max(0, Math.floor(start));
+  const safeEnd = Math.min(index.count, Math.max(safeStart, Math.floor(end)));
+  if (safeEnd === safeStart) return [];
+  const first = index.offsetAt(safeStart);
+  const last = index.offsetAt(safeEnd - 1) + index.lengthAt(safeEnd - 1);
+  const buffer = Buffer.alloc(last - first);
+  const handle = await fs.promises.open(dataPath, 'r');
+  try {
+    await handle.read(buffer, 0, buffer.length, first);
+  } finally {
+    await handle.close();
+  }
+  const context = { delimiter: index.delimiter, header: index.csvHeader };
+  const items = [];
+  for (let i = safeStart; i < safeEnd; i++) {
+    const offset = index.offsetAt(i) - first;
+    items.push(decodeRecord(index.format, buffer.subarray(offset, offset + index.lengthAt(i)), context));
+  }
+  return items;
+}
@@ -1,205 +1,329 @@
-import { Low } from 'lowdb';
-import { JSONFileSync } from 'lowdb/node';
 import path from 'path';
 import fs from 'fs';
-import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import { nanoid } from 'nanoid';
+import { COLLECTION_KEYS, createEmptyData, createStore, resolveStorageBackend } from './stores/index.js';
+import { createLowdbStore } from './stores/lowdb.js';
 
 dotenv.config();
 
 const dataDir = path.resolve(process.cwd(), 'backend', 'data');
-const dbFile = path.join(dataDir, 'database.json');
+const legacyDbFile = path.join(dataDir, 'database.json');
 
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-const defaultData = {
+// Fields each repository keeps a lookup index for, so per-task/per-user queries skip full scans
+const COLLECTION_INDEXES = {
   tasks: [],
-  chunkResults: [],
-  chunkAssignments: [],
-  users: [],
-  walletTransactions: [],
+  chunkResults: ['taskId'],
+  chunkAssignments: ['taskId'],
+  users: ['sessionId'],
+  walletTransactions: ['userId'],
   stripeSessions: [],
-  platformLedger: { totalEarnings: 0 },
+  taskSchedules: ['creatorId'],
+  workers: [],
 };
-const adapter = new JSONFileSync(dbFile);
-const db = new Low(adapter, defaultData);
 
-db.read();
-if (!db.data) {
-  db.data = { ...defaultData };
-  db.write();
+// Maps each tracking proxy to the plain object behind it, so values are stored and compared unwrapped
+const trackedTargets = new WeakMap();
+const unwrapTracked = (value) => (value !== null && typeof value === 'object' && trackedTargets.get(value)) || value;
+
+// Wrap `root` so that any write to it, or to an object or array reached through it, calls onChange.
+// Saves then only serialize the records that were written instead of every stored record.
+function trackWrites(root, onChange) {
+  const proxies = new WeakMap();
+  const handler = {
+    get(target, key, receiver) {
+      const value = Reflect.get(target, key, receiver);
+      return value !== null && typeof value === 'object' ? wrap(unwrapTracked(value)) : value;
+    },
+    set(target, key, value) {
+      onChange();
+      return Reflect.set(target, key, unwrapTracked(value));
+    },
+    defineProperty(target, key, descriptor) {
+      onChange();
+      return Reflect.defineProperty(target, key, descriptor);
+    },
+    deleteProperty(target, key) {
+      onChange();
+      return Reflect.deleteProperty(target, key);
+    },
+  };
+  const wrap = (target) => {
+    let proxy = proxies.get(target);
+    if (!proxy) {
+      proxy = new Proxy(target, handler);
+      proxies.set(target, proxy);
+      trackedTargets.set(proxy, target);
+    }
+    return proxy;
+  };
+  return wrap(unwrapTracked(root));
 }
 
-mongoose.set('strictQuery', false);
+function createRepository(records, indexedFields) {
+  // plain records written and ids removed since the last save
+  let dirty = new Set();
+  let removedIds = new Set();
+  const track = (record) => {
+    const target = unwrapTracked(record);
+    return trackWrites(target, () => dirty.add(target));
+  };
+  for (let idx = 0; idx < records.length; idx += 1) {
+    records[idx] = track(records[idx]);
+  }
+
+  const byId = new Map();
+  const indexes = new Map(indexedFields.map((field) => [field, new Map()]));
+
+  const indexRecord = (record) => {
+    if (record.id != null) byId.set(String(record.id), record);
+    for (const [field, index] of indexes) {
+      const value = record[field];
+      if (value == null) continue;
+      const key = String(value);
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(record);
+    }
+  };
+
+  const unindexRecord = (record) => {
+    if (record.id != null && byId.get(String(record.id)) === record) byId.delete(String(record.id));
+    for (const [field, index] of indexes) {
+      const value = record[field];
+      if (value == null) continue;
+      const bucket = index.get(String(value));
+      if (!bucket) continue;
+      bucket.delete(record);
+      if (!bucket.size) index.delete(String(value));
+    }
+  };
 
-const schemaOptions = { strict: false, minimize: false, versionKey: false };
+  const reindex = () => {
+    byId.clear();
+    for (const index of indexes.values()) index.clear();
+    records.forEach(indexRecord);
+  };
 
-const TaskSchema = new mongoose.Schema({}, schemaOptions);
-TaskSchema.index({ id: 1 }, { unique: true, sparse: true });
+  reindex();
 
-const ChunkResultSchema = new mongoose.Schema({}, schemaOptions);
-ChunkResultSchema.index({ taskId: 1, chunkIndex: 1 }, { unique: true, sparse: true });
+  return {
+    all() {
+      return records.slice();
+    },
+    count() {
+      return records.length;
+    },
+    get(id) {
+      if (id == null) return null;
+      return byId.get(String(id)) || null;
+    },
+    /** Records whose `field` equals `value`; indexed fields are answered without a scan. */
+    where(field, value) {
+      if (value == null) return [];
+      const index = indexes.get(field);
+      if (index) {
+        const bucket = index.get(String(value));
+        return bucket ? Array.from(bucket) : [];
+      }
+      return records.filter((record) => record[field] === value);
+    },
+    findOneBy(field, value) {
+      return this.where(field, value)[0] || null;
+    },
+    find(predicate) {
+      return records.find(predicate) || null;
+    },
+    filter(predicate) {
+      return records.filter(predicate);
+    },
+    /** Store a new record; returns the tracked record, which later writes must go through to be saved. */
+    insert(record) {
+      if (record.id == null) record.id = nanoid();
+      const tracked = track(record);
+      records.push(tracked);
+      indexRecord(tracked);
+      dirty.add(unwrapTracked(tracked));
+      removedIds.delete(String(tracked.id));
+      return tracked;
+    },
+    remove(recordOrId) {
+      const record = typeof recordOrId === 'object' ? recordOrId : this.get(recordOrId);
+      if (!record) return false;
+      const idx = records.indexOf(record);
+      if (idx === -1) return false;
+      records.splice(idx, 1);
+      unindexRecord(record);
+      forgetRecord(record);
+      return true;
+    },
+    removeWhere(predicate) {
+      let removed = 0;
+      for (let idx = records.length - 1; idx >= 0; idx -= 1) {
+        const record = records[idx];
+        if (!predicate(record)) continue;
+        records.splice(idx, 1);
+        unindexRecord(record);
+        forgetRecord(record);
+        removed += 1;
+      }
+      return removed;
+    },
+    /** Rebuild lookups after an indexed field (e.g. taskId) was changed in place. */
+    reindex,
+    /** Hand the upserts/deletes written since the last save to saveDb and start a fresh change set. */
+    takeChanges() {
+      const upserts = Array.from(dirty, (target) => ({
+        id: String(target.id),
+        record: JSON.parse(JSON.stringify(target)),
+      }));
+      const deletes = Array.from(removedIds);
+      dirty = new Set();
+      removedIds = new Set();
+      return { upserts, deletes };
+    },
+    /** Mark records (by id) as unsaved again, e.g. after the store rejected their writes. */
+    markUnsaved(ids) {
+      for (const id of ids) {
+        const record = byId.get(String(id));
+        if (record) dirty.add(unwrapTracked(record));
+        else removedIds.add(String(id));
+      }
+    },
+    markAllUnsaved() {
+      for (const record of records) dirty.add(unwrapTracked(record));
+    },
+  };
 
-const ChunkAssignmentSchema = new mongoose.Schema({}, schemaOptions);
-ChunkAssignmentSchema.index({ taskId: 1, chunkIndex: 1 }, { sparse: true });
+  function forgetRecord(record) {
+    dirty.delete(unwrapTracked(record));
+    if (record.id != null) removedIds.add(String(record.id));
+  }
+}
 
-const UserSchema = new mongoose.Schema({}, schemaOptions);
-UserSchema.index({ id: 1 }, { unique: true, sparse: true });
-UserSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+const db = { data: createEmptyData() };
+let ledgerUnsaved = false;
 
-const WalletTransactionSchema = new mongoose.Schema({}, schemaOptions);
-WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+function bindData(loaded) {
+  const data = { ...createEmptyData(), ...(loaded || {}) };
+  for (const key of COLLECTION_KEYS) {
+    data[key] = Array.isArray(data[key]) ? data[key].filter((record) => record && typeof record === 'object') : [];
+    // incremental stores address records by id, so backfill ids on legacy rows
+    for (const record of data[key]) {
+      if (record.id == null) record.id = record._id != null ? String(record._id) : nanoid();
+      else record.id = String(record.id);
+    }
+  }
+  if (!data.platformLedger || typeof data.platformLedger !== 'object') {
+    data.platformLedger = { totalEarnings: 0 };
+  }
+  ledgerUnsaved = false;
+  data.platformLedger = trackWrites(data.platformLedger, () => {
+    ledgerUnsaved = true;
+  });
+  db.data = data;
+  for (const key of COLLECTION_KEYS) {
+    db[key] = createRepository(data[key], COLLECTION_INDEXES[key]);
+  }
+}
 
-const StripeSessionSchema = new mongoose.Schema({}, schemaOptions);
-StripeSessionSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+bindData(null);
 
-const TaskModel = mongoose.models.Task || mongoose.model('Task', TaskSchema, 'tasks');
-const ChunkResultModel =
-  mongoose.models.ChunkResult || mongoose.model('ChunkResult', ChunkResultSchema, 'chunkResults');
-const ChunkAssignmentModel =
-  mongoose.models.ChunkAssignment || mongoose.model('ChunkAssignment', ChunkAssignmentSchema, 'chunkAssignments');
-const UserModel = mongoose.models.User || mongoose.model('User', UserSchema, 'users');
-const WalletTransactionModel =
-  mongoose.models.WalletTransaction || mongoose.model('WalletTransaction', WalletTransactionSchema, 'walletTransactions');
-const StripeSessionModel =
-  mongoose.models.StripeSession || mongoose.model('StripeSession', StripeSessionSchema, 'stripeSessions');
+Object.defineProperty(db, 'platformLedger', {
+  enumerable: true,
+  get() {
+    return db.data.platformLedger;
+  },
+});
 
-let mongoReady = false;
-let syncQueue = Promise.resolve();
+let store = null;
+let saveQueue = Promise.resolve();
 
-function getArray(source) {
-  return Array.isArray(source) ? source : [];
+function markAllUnsaved() {
+  for (const key of COLLECTION_KEYS) db[key].markAllUnsaved();
+  ledgerUnsaved = true;
 }
 
-function normalizeTaskRecord(raw) {
-  if (!raw || typeof raw !== 'object') return raw;
-  const record = { ...raw };
-  if (!record.id && record._id) {
-    record.id = String(record._id);
-  } else if (record.id) {
-    record.id = String(record.id);
+// Drain what was written since the previous save, serialized as it stands now
+function takeChanges() {
+  const collections = {};
+  let dirty = false;
+  for (const key of COLLECTION_KEYS) {
+    const entry = db[key].takeChanges();
+    if (!entry.upserts.length && !entry.deletes.length) continue;
+    collections[key] = entry;
+    dirty = true;
   }
-  if (record.storageId) {
-    record.storageId = String(record.storageId);
-  }
-  delete record._id;
-  return record;
+  const platformLedger = ledgerUnsaved ? JSON.parse(JSON.stringify(db.data.platformLedger)) : null;
+  ledgerUnsaved = false;
+  if (platformLedger) dirty = true;
+  return { dirty, collections, platformLedger };
 }
 
-function normalizeGenericRecord(raw) {
-  if (!raw || typeof raw !== 'object') return raw;
-  const record = { ...raw };
-  if (record.id) {
-    record.id = String(record.id);
-  }
-  if (record.taskId) {
-    record.taskId = String(record.taskId);
-  }
-  if (record.userId) {
-    record.userId = String(record.userId);
+function restoreChanges(changes) {
+  for (const [key, entry] of Object.entries(changes.collections)) {
+    db[key].markUnsaved([...entry.upserts.map((upsert) => upsert.id), ...entry.deletes]);
   }
-  delete record._id;
-  return record;
+  if (changes.platformLedger) ledgerUnsaved = true;
 }
 
-function normalizeUserRecord(raw) {
-  if (!raw || typeof raw !== 'object') return raw;
-  const record = { ...raw };
-  if (record.id) record.id = String(record.id);
-  if (record.sessionId) record.sessionId = String(record.sessionId);
-  delete record._id;
-  return record;
+async function persistChanges() {
+  if (!store) return;
+  const changes = takeChanges();
+  if (!changes.dirty) return;
+  let result;
+  try {
+    result = store.incremental ? await store.persist(db.data, changes) : await store.persist(db.data, null);
+  } catch (error) {
+    restoreChanges(changes);
+    throw error;
+  }
+  // records the store rejected stay unsaved so the next save retries them
+  for (const [key, failedIds] of Object.entries(result?.failed || {})) {
+    db[key].markUnsaved(failedIds);
+  }
 }
 
-export async function syncToMongo() {
-  if (!mongoReady) return;
-  syncQueue = syncQueue.then(async () => {
-    const tasks = getArray(db.data?.tasks);
-    const chunkResults = getArray(db.data?.chunkResults);
-    const chunkAssignments = getArray(db.data?.chunkAssignments);
-    const users = getArray(db.data?.users);
-    const walletTransactions = getArray(db.data?.walletTransactions);
-    const stripeSessions = getArray(db.data?.stripeSessions);
-    try {
-      const normalizedTasks = tasks.map(normalizeTaskRecord);
-      const normalizedResults = chunkResults.map(normalizeGenericRecord);
-      const normalizedAssignments = chunkAssignments.map(normalizeGenericRecord);
-      const normalizedUsers = users.map(normalizeUserRecord);
-      const normalizedWalletTransactions = walletTransactions.map(normalizeGenericRecord);
-      const normalizedStripeSessions = stripeSessions.map(normalizeGenericRecord);
-      await Promise.all([
-        TaskModel.deleteMany({}),
-        ChunkResultModel.deleteMany({}),
-        ChunkAssignmentModel.deleteMany({}),
-        UserModel.deleteMany({}),
-        WalletTransactionModel.deleteMany({}),
-        StripeSessionModel.deleteMany({}),
-      ]);
-      const operations = [];
-      if (normalizedTasks.length) operations.push(TaskModel.insertMany(normalizedTasks, { ordered: false }));
-      if (normalizedResults.length) operations.push(ChunkResultModel.insertMany(normalizedResults, { ordered: false }));
-      if (normalizedAssignments.length) operations.push(ChunkAssignmentModel.insertMany(normalizedAssignments, { ordered: false }));
-      if (normalizedUsers.length) operations.push(UserModel.insertMany(normalizedUsers, { ordered: false }));
-      if (normalizedWalletTransactions.length)
-        operations.push(WalletTransactionModel.insertMany(normalizedWalletTransactions, { ordered: false }));
-      if (normalizedStripeSessions.length)
-        operations.push(StripeSessionModel.insertMany(normalizedStripeSessions, { ordered: false }));
-      if (operations.length) {
-        await Promise.all(operations);
-      }
-    } catch (error) {
-      console.error('Failed to sync data to MongoDB', error?.message || error);
-    }
-  });
+async function openStore(backend) {
   try {
-    await syncQueue;
+    return await createStore({ backend, dataDir });
   } catch (error) {
-    console.error('Mongo sync queue error', error?.message || error);
+    if (backend === 'lowdb') throw error;
+    console.error(`Failed to open ${backend} storage:`, error?.message || error);
+    console.warn('Continuing with file-based storage only.');
+    return createLowdbStore({ dataDir });
   }
 }
 
 export async function initDb() {
-  const uri = process.env.MONGO_URI;
-  if (!uri) {
+  const backend = resolveStorageBackend();
+  if (backend === 'lowdb' && !process.env.STORAGE_BACKEND) {
     console.warn('MONGO_URI not set. Continuing with file-based storage only.');
-    return;
   }
+  store = await openStore(backend);
+
+  let loaded = null;
   try {
-    await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
-    mongoReady = true;
-    console.log('MongoDB connection established');
+    loaded = await store.load();
   } catch (error) {
-    console.error('Failed to connect to MongoDB:', error?.message || error);
-    return;
+    console.error(`Failed to load data from ${store.name} storage:`, error?.message || error);
   }
 
-  try {
-    const [tasks, chunkResults, chunkAssignments] = await Promise.all([
-      TaskModel.find().lean().exec(),
-      ChunkResultModel.find().lean().exec(),
-      ChunkAssignmentModel.find().lean().exec(),
-    ]);
-    const [users, walletTransactions, stripeSessions] = await Promise.all([
-      UserModel.find().lean().exec(),
-      WalletTransactionModel.find().lean().exec(),
-      StripeSessionModel.find().lean().exec(),
-    ]);
-    const hasRemoteData = tasks.length > 0 || chunkResults.length > 0 || chunkAssignments.length > 0;
-    if (hasRemoteData) {
-      db.data.tasks = tasks.map(normalizeTaskRecord);
-      db.data.chunkResults = chunkResults.map(normalizeGenericRecord);
-      db.data.chunkAssignments = chunkAssignments.map(normalizeGenericRecord);
-      db.data.users = users.map(normalizeUserRecord);
-      db.data.walletTransactions = walletTransactions.map(normalizeGenericRecord);
-      db.data.stripeSessions = stripeSessions.map(normalizeGenericRecord);
-      db.write();
-    } else {
-      await syncToMongo();
-    }
-  } catch (error) {
-    console.error('Failed to hydrate LowDB from MongoDB:', error?.message || error);
+  // first start on a database backend: carry over whatever the JSON file already holds
+  let seeded = false;
+  if (!loaded && store.name !== 'lowdb' && fs.existsSync(legacyDbFile)) {
+    loaded = await createLowdbStore({ dataDir }).load();
+    seeded = Boolean(loaded);
+    if (seeded) console.log(`Seeding ${store.name} storage from ${path.relative(process.cwd(), legacyDbFile)}`);
+  }
+
+  bindData(loaded);
+  if (!loaded || seeded) {
+    markAllUnsaved();
+    await saveDb();
   }
 }
 
@@ -207,22 +331,24 @@ export function getDb() {
   return db;
 }
 
-export async function saveDb() {
-  db.write();
-  await syncToMongo();
+export function getStoreName() {
+  return store?.name || null;
 }
 
-export function isMongoReady() {
-  return mongoReady;
+/**
+ * Persist the in-memory state. Saves are queued so they reach the store one at a time; incremental
+ * stores receive only the records written since the previous save, and nothing is written when
+ * no record was.
+ */
+export async function saveDb() {
+  saveQueue = saveQueue.then(persistChanges).catch((error) => {
+    console.error(`Failed to persist data to ${store?.name || 'storage'}`, error?.message || error);
+  });
+  await saveQueue;
 }
 
-export function getMongoModels() {
-  return {
-    TaskModel,
-    ChunkResultModel,
-    ChunkAssignmentModel,
-    UserModel,
-    WalletTransactionModel,
-    StripeSessionModel,
-  };
+export async function closeDb() {
+  await saveQueue;
+  if (store) await store.close();
+  store = null;
 }
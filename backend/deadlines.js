@@ -0,0 +1,41 @@
+// Tasks closer to their deadline than this get a growing share of their customer's buckets
+export const DEADLINE_URGENCY_WINDOW_MS = 60 * 60 * 1000;
+// Share multiplier of a task right at its deadline; it grows linearly from 1 across the window
+const MAX_DEADLINE_URGENCY = 4;
+
+// Statuses a deadline no longer applies to
+const SETTLED_STATUSES = new Set(['completed', 'failed', 'expired', 'cancelling', 'cancelled']);
+
+/**
+ * Validate the deadline sent to POST /api/tasks, as an ISO date or epoch milliseconds.
+ * Returns { deadline } (ISO string, null when the task has none) or { error } with a message for a 400.
+ */
+export function parseDeadline(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return { deadline: null };
+  const raw = String(value).trim();
+  const timestamp = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  if (!Number.isFinite(timestamp)) return { error: 'deadline must be an ISO date or epoch milliseconds' };
+  if (timestamp <= now) return { error: 'deadline must be in the future' };
+  return { deadline: new Date(timestamp).toISOString() };
+}
+
+/** Milliseconds until the task's deadline (negative once it passed), or null without a deadline. */
+export function timeRemainingMs(task, now = Date.now()) {
+  const deadline = task?.deadline ? Date.parse(task.deadline) : NaN;
+  return Number.isFinite(deadline) ? deadline - now : null;
+}
+
+/** Whether the task ran past its deadline while still unfinished and should be expired. */
+export function isPastDeadline(task, now = Date.now()) {
+  if (!task || SETTLED_STATUSES.has(task.status)) return false;
+  const remaining = timeRemainingMs(task, now);
+  return remaining !== null && remaining <= 0;
+}
+
+/** Scheduling weight multiplier: 1 outside the urgency window, rising to MAX_DEADLINE_URGENCY at the deadline. */
+export function deadlineUrgency(task, now = Date.now()) {
+  const remaining = timeRemainingMs(task, now);
+  if (remaining === null || remaining >= DEADLINE_URGENCY_WINDOW_MS) return 1;
+  const elapsed = 1 - Math.max(0, remaining) / DEADLINE_URGENCY_WINDOW_MS;
+  return 1 + (MAX_DEADLINE_URGENCY - 1) * elapsed;
+}
@@ -0,0 +1,49 @@
+export const ITEM_STATUSES = ['completed', 'failed', 'skipped'];
+const DEFAULT_ITEMS_PAGE_SIZE = 100;
+const MAX_ITEMS_PAGE_SIZE = 1000;
+
+const parseIndex = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+/**
+ * Validate the query of GET /api/tasks/:taskId/items: the item range `start`-`end` (global indexes, end
+ * exclusive, defaulting to the whole task), an optional `status` and the page size `limit`.
+ * Returns { query: { start, end, status, limit } } or { error }.
+ */
+export function parseItemsQuery({ start, end, status, limit } = {}, totalItems = null) {
+  const from = parseIndex(start) ?? 0;
+  if (Number.isNaN(from)) return { error: 'start must be a non-negative integer' };
+  let to = parseIndex(end);
+  if (Number.isNaN(to)) return { error: 'end must be a non-negative integer' };
+  if (to === null) to = Number.isFinite(totalItems) ? totalItems : Number.MAX_SAFE_INTEGER;
+  if (to < from) return { error: 'end must not be below start' };
+
+  let statusFilter = null;
+  if (status !== undefined && status !== null && status !== '' && status !== 'all') {
+    statusFilter = String(status).trim().toLowerCase();
+    if (!ITEM_STATUSES.includes(statusFilter)) {
+      return { error: `status must be one of: ${ITEM_STATUSES.join(', ')} or all` };
+    }
+  }
+
+  const pageSize = parseIndex(limit) ?? DEFAULT_ITEMS_PAGE_SIZE;
+  if (Number.isNaN(pageSize) || pageSize < 1 || pageSize > MAX_ITEMS_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_ITEMS_PAGE_SIZE}` };
+  }
+  return { query: { start: from, end: to, status: statusFilter, limit: pageSize } };
+}
+
+/** An entry of a bucket's outputs file; files written before item status was stored held successful outputs only. */
+export function normalizeStoredItem(entry) {
+  if (!entry || !Number.isFinite(entry.index)) return null;
+  return {
+    index: entry.index,
+    status: ITEM_STATUSES.includes(entry.status) ? entry.status : 'completed',
+    output: entry.output ?? null,
+    error: entry.error ?? null,
+    inputPreview: entry.inputPreview ?? null,
+  };
+}
@@ -0,0 +1,23 @@
+const MIN_LEASE_DURATION_MS = 10 * 1000;
+const MAX_LEASE_DURATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the lease duration sent to POST /api/tasks: how long a bucket stays with a worker that
+ * neither reports progress nor renews it. Returns { leaseDurationMs } (null for the server default) or { error }.
+ */
+export function parseLeaseDuration(value) {
+  if (value === undefined || value === null || value === '') return { leaseDurationMs: null };
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < MIN_LEASE_DURATION_MS || parsed > MAX_LEASE_DURATION_MS) {
+    return { error: `leaseDurationMs must be an integer between ${MIN_LEASE_DURATION_MS} and ${MAX_LEASE_DURATION_MS}` };
+  }
+  return { leaseDurationMs: parsed };
+}
+
+/** Lease duration of a task; tasks created without one use `defaultMs`. */
+export function resolveLeaseDuration(task, defaultMs) {
+  const duration = task?.leaseDurationMs;
+  return Number.isFinite(duration) && duration > 0
+    ? Math.min(Math.max(duration, MIN_LEASE_DURATION_MS), MAX_LEASE_DURATION_MS)
+    : defaultMs;
+}
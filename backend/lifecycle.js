@@ -0,0 +1,64 @@
+// Every state a task can be in
+export const TASK_STATES = ['draft', 'queued', 'running', 'paused', 'cancelling', 'cancelled', 'completed', 'failed', 'expired'];
+const MAX_STATUS_HISTORY_STORED = 50;
+
+// Moves allowed out of each state. Finished tasks reopen when the customer re-queues dead-lettered
+// buckets or retries the reducer, and a cancelled task can be queued again through /reinvoke.
+const TRANSITIONS = {
+  draft: ['queued', 'cancelling', 'expired'],
+  queued: ['running', 'paused', 'cancelling', 'completed', 'failed', 'expired'],
+  running: ['paused', 'cancelling', 'completed', 'failed', 'expired'],
+  paused: ['queued', 'running', 'cancelling', 'completed', 'failed', 'expired'],
+  cancelling: ['cancelled'],
+  cancelled: ['queued'],
+  completed: ['running'],
+  failed: ['running'],
+  expired: [],
+};
+
+// Statuses written before the state machine existed
+const LEGACY_STATES = { processing: 'running', reducing: 'running' };
+
+/**
+ * State of a task, reading the statuses and `revoked` flag older tasks were stored with.
+ * Unknown values count as queued.
+ */
+export function resolveTaskState(task) {
+  if (task?.revoked) return 'cancelled';
+  const status = LEGACY_STATES[task?.status] || task?.status;
+  return TASK_STATES.includes(status) ? status : 'queued';
+}
+
+/** Whether a task may move from state `from` to state `to`. */
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Move the task to state `to` and append the move to task.statusHistory (last 50 kept). Returns false,
+ * leaving the task alone, when it is already there or the move is not allowed.
+ */
+export function transitionTask(task, to, reason = null, now = Date.now()) {
+  const from = resolveTaskState(task);
+  if (from === to || !canTransition(from, to)) return false;
+  task.status = to;
+  task.statusChangedAt = new Date(now).toISOString();
+  task.statusHistory = Array.isArray(task.statusHistory) ? task.statusHistory : [];
+  task.statusHistory.push({ from, to, reason, at: task.statusChangedAt });
+  if (task.statusHistory.length > MAX_STATUS_HISTORY_STORED) {
+    task.statusHistory.splice(0, task.statusHistory.length - MAX_STATUS_HISTORY_STORED);
+  }
+  return true;
+}
+
+/** Whether workers may be handed new buckets of a task in this state. */
+export function isDispatching(state) {
+  return state === 'queued' || state === 'running';
+}
+
+/** State a paused task goes back to on resume: running once it has handed out work, queued before that. */
+export function resumeTarget(task) {
+  const history = Array.isArray(task?.statusHistory) ? task.statusHistory : [];
+  const pause = [...history].reverse().find((entry) => entry.to === 'paused');
+  return pause?.from === 'running' ? 'running' : 'queued';
+}
@@ -0,0 +1,170 @@
+export const UPSTREAM_MODES = ['streaming', 'on-complete'];
+
+const SETTLED_STATUSES = new Set(['completed', 'skipped']);
+
+/**
+ * Validate the pipeline options sent to POST /api/tasks.
+ * Returns { config } (null when the task brings its own data) or { error } with a message for a 400.
+ */
+export function parseUpstreamOptions({ upstreamTaskId, upstreamMode }) {
+  const taskId = typeof upstreamTaskId === 'string' ? upstreamTaskId.trim() : '';
+  if (!taskId) return { config: null };
+  const mode = typeof upstreamMode === 'string' && upstreamMode.trim() ? upstreamMode.trim().toLowerCase() : 'streaming';
+  if (!UPSTREAM_MODES.includes(mode)) {
+    return { error: `upstreamMode must be one of: ${UPSTREAM_MODES.join(', ')}` };
+  }
+  return { config: { taskId, mode } };
+}
+
+export function mergeRanges(ranges) {
+  const sorted = ranges.filter((range) => range.end > range.start).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged;
+}
+
+/** Parts of `ranges` not covered by any of `holes`. */
+export function subtractRanges(ranges, holes) {
+  let remaining = mergeRanges(ranges);
+  for (const hole of mergeRanges(holes)) {
+    remaining = remaining.flatMap((range) => {
+      if (hole.end <= range.start || hole.start >= range.end) return [range];
+      const parts = [];
+      if (hole.start > range.start) parts.push({ start: range.start, end: hole.start });
+      if (hole.end < range.end) parts.push({ start: hole.end, end: range.end });
+      return parts;
+    });
+  }
+  return remaining;
+}
+
+const toRange = (entry) =>
+  Number.isFinite(entry?.rangeStart) && Number.isFinite(entry?.rangeEnd)
+    ? { start: entry.rangeStart, end: entry.rangeEnd }
+    : null;
+
+/**
+ * Which items of an upstream task a downstream task can read. Item i downstream is item i upstream, so
+ * ranges are in upstream item indexes:
+ * - ready: items whose bucket finished with an output (item retries still pending are excluded)
+ * - dropped: items upstream gave up on (dead-lettered or disputed buckets) or, for an upstream clone
+ *   restricted to some ranges, never ran; they are never handed out
+ * - unavailable: everything else below the upstream total, which downstream planning skips for now
+ */
+export function resolveUpstreamAvailability(upstream, results, mode = 'streaming') {
+  // a restricted clone counts only its selected items, but keeps the indexes of the full dataset
+  const selected = Array.isArray(upstream?.itemRanges) ? upstream.itemRanges : null;
+  const total = selected
+    ? selected.reduce((end, range) => Math.max(end, range.end), 0)
+    : Number.isFinite(upstream?.totalItems) ? upstream.totalItems : 0;
+  const finished = [];
+  const pending = [];
+  for (const result of results) {
+    const range = toRange(result);
+    if (!range || !SETTLED_STATUSES.has(result.status)) continue;
+    finished.push(range);
+    for (const entry of result.pendingItemRanges || []) {
+      const hole = toRange(entry);
+      if (hole) pending.push(hole);
+    }
+  }
+  const dropped = mergeRanges([
+    ...[...(upstream?.deadLetter || []), ...(upstream?.disputedChunks || [])].map(toRange).filter(Boolean),
+    ...(selected ? subtractRanges([{ start: 0, end: total }], selected) : []),
+  ]);
+  let ready = subtractRanges(finished, [...pending, ...dropped]);
+  if (mode === 'on-complete' && upstream?.status !== 'completed') ready = [];
+  const unavailable = subtractRanges([{ start: 0, end: total }], [...ready, ...dropped]);
+  const count = (ranges) => ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+  return {
+    total,
+    ready,
+    dropped,
+    unavailable,
+    readyItems: count(ready),
+    droppedItems: count(dropped),
+  };
+}
+
+/** Downstream items are the upstream outputs, parsed when a worker printed JSON. */
+export function toDownstreamItem(output) {
+  if (typeof output !== 'string') return output ?? null;
+  const trimmed = output.trim();
+  if (!trimmed) return output;
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return output;
+  }
+}
+
+/**
+ * The pipeline a task belongs to: every task linked to it through upstream references, in
+ * topological order, with the edges between them and item progress summed over all stages.
+ * Returns null for tasks that neither feed nor consume another task.
+ */
+export function describePipeline(tasks, taskId) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const downstreamOf = new Map();
+  for (const task of tasks) {
+    const upstreamId = task.upstream?.taskId;
+    if (!upstreamId || !byId.has(upstreamId)) continue;
+    if (!downstreamOf.has(upstreamId)) downstreamOf.set(upstreamId, []);
+    downstreamOf.get(upstreamId).push(task.id);
+  }
+
+  const members = new Set();
+  const queue = [taskId];
+  while (queue.length) {
+    const id = queue.pop();
+    if (members.has(id) || !byId.has(id)) continue;
+    members.add(id);
+    const upstreamId = byId.get(id).upstream?.taskId;
+    if (upstreamId) queue.push(upstreamId);
+    queue.push(...(downstreamOf.get(id) || []));
+  }
+  if (members.size < 2) return null;
+
+  const depth = new Map();
+  const depthOf = (id, seen = new Set()) => {
+    if (depth.has(id)) return depth.get(id);
+    const upstreamId = byId.get(id).upstream?.taskId;
+    const value = upstreamId && members.has(upstreamId) && !seen.has(id) ? depthOf(upstreamId, seen.add(id)) + 1 : 0;
+    depth.set(id, value);
+    return value;
+  };
+  const nodes = [...members]
+    .map((id) => {
+      const task = byId.get(id);
+      return {
+        taskId: id,
+        name: task.name || id,
+        status: task.status,
+        stage: depthOf(id),
+        upstreamTaskId: task.upstream?.taskId || null,
+        upstreamMode: task.upstream?.mode || null,
+        processedItems: Number(task.processedItems) || 0,
+        totalItems: Number.isFinite(task.totalItems) ? task.totalItems : null,
+        progress: Number(task.progress) || 0,
+      };
+    })
+    .sort((a, b) => a.stage - b.stage || String(a.name).localeCompare(String(b.name)));
+  const edges = nodes
+    .filter((node) => node.upstreamTaskId && members.has(node.upstreamTaskId))
+    .map((node) => ({ from: node.upstreamTaskId, to: node.taskId }));
+  const processed = nodes.reduce((sum, node) => sum + node.processedItems, 0);
+  const total = nodes.reduce((sum, node) => sum + (node.totalItems || 0), 0);
+  return {
+    nodes,
+    edges,
+    stages: Math.max(...nodes.map((node) => node.stage)) + 1,
+    processedItems: processed,
+    totalItems: total,
+    progress: total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0,
+    completed: nodes.every((node) => node.status === 'completed'),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Validate the reducer entrypoint sent to POST /api/tasks: a script path inside the code bundle.
+ * Returns { entrypoint } (null when the task has no reduce phase) or { error } with a message for a 400.
+ */
+export function parseReducerEntrypoint(value) {
+  const entrypoint = typeof value === 'string' ? value.trim().replace(/\\/g, '/').replace(/^\.\//, '') : '';
+  if (!entrypoint) return { entrypoint: null };
+  if (entrypoint.startsWith('/') || entrypoint.split('/').includes('..')) {
+    return { error: 'reducer must be a relative path inside the code bundle' };
+  }
+  if (!/\.(c|m)?js$/i.test(entrypoint)) {
+    return { error: 'reducer must be a .js, .cjs or .mjs file' };
+  }
+  return { entrypoint };
+}
+
+/**
+ * Reduce run of a new task. It waits until every bucket finished, is then pending until a worker
+ * leases it, and ends completed (the task's result is set) or failed once its attempts are used up.
+ */
+export function createReduceRun(entrypoint) {
+  if (!entrypoint) return null;
+  return {
+    entrypoint,
+    state: 'waiting',
+    chunkIndex: null,
+    status: null,
+    workerId: null,
+    error: null,
+    failedAttempts: 0,
+    retryAt: null,
+    attempts: [],
+    finishedAt: null,
+  };
+}
+
+/** Whether a worker may be handed the reduce run now. */
+export function isReduceDue(run, now = Date.now()) {
+  if (!run || run.state !== 'pending') return false;
+  return !run.retryAt || Date.parse(run.retryAt) <= now;
+}
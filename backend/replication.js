@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+export const MAX_REPLICATION_FACTOR = 5;
+export const VERIFICATION_MODES = ['exact', 'normalized'];
+
+function toInteger(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+/**
+ * Validate the replication options sent to POST /api/tasks.
+ * Returns { config } (null when every bucket runs once) or { error } with a message for a 400.
+ */
+export function parseReplicationOptions({ factor, quorum, mode }) {
+  const parsedFactor = toInteger(factor);
+  if (Number.isNaN(parsedFactor) || (parsedFactor !== null && (parsedFactor < 1 || parsedFactor > MAX_REPLICATION_FACTOR))) {
+    return { error: `replicationFactor must be an integer between 1 and ${MAX_REPLICATION_FACTOR}` };
+  }
+  if (!parsedFactor || parsedFactor === 1) return { config: null };
+
+  const majority = Math.floor(parsedFactor / 2) + 1;
+  const parsedQuorum = toInteger(quorum);
+  if (Number.isNaN(parsedQuorum) || (parsedQuorum !== null && (parsedQuorum < majority || parsedQuorum > parsedFactor))) {
+    return { error: `replicationQuorum must be between ${majority} and ${parsedFactor}` };
+  }
+  const compare = typeof mode === 'string' && mode.trim() ? mode.trim().toLowerCase() : 'exact';
+  if (!VERIFICATION_MODES.includes(compare)) {
+    return { error: `verificationMode must be one of: ${VERIFICATION_MODES.join(', ')}` };
+  }
+  return { config: { factor: parsedFactor, quorum: parsedQuorum ?? majority, compare } };
+}
+
+/** Replication settings of a task; tasks created without them run every bucket once. */
+export function resolveReplication(task) {
+  const config = task?.replication;
+  const factor = Number.isInteger(config?.factor) && config.factor > 1 ? config.factor : 1;
+  if (factor === 1) return { factor: 1, quorum: 1, compare: 'exact' };
+  const quorum = Number.isInteger(config.quorum) ? Math.min(factor, Math.max(1, config.quorum)) : Math.floor(factor / 2) + 1;
+  return { factor, quorum, compare: VERIFICATION_MODES.includes(config.compare) ? config.compare : 'exact' };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Normalized comparison ignores key order in JSON outputs and whitespace differences in text outputs
+function normalizeOutput(value, compare) {
+  const text = typeof value === 'string' ? value : value == null ? '' : JSON.stringify(value);
+  if (compare !== 'normalized') return text;
+  const trimmed = text.trim();
+  try {
+    return canonicalJson(JSON.parse(trimmed));
+  } catch (error) {
+    return trimmed.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n');
+  }
+}
+
+/**
+ * Hash of what a worker produced for a bucket: per-item status and output ordered by item index,
+ * or the bucket status and output when no item results were sent.
+ */
+export function hashReplicaOutput({ status, output, itemResults }, compare = 'exact') {
+  const items = Array.isArray(itemResults) ? itemResults.filter((item) => item && typeof item === 'object') : [];
+  let payload;
+  if (items.length) {
+    payload = items
+      .map((item, idx) => {
+        const index = Number.isFinite(item.globalIndex)
+          ? item.globalIndex
+          : Number.isFinite(item.localIndex)
+          ? item.localIndex
+          : idx;
+        const value = item.status === 'failed' ? item.error ?? item.output : item.output;
+        return [index, item.status || 'completed', normalizeOutput(value, compare)];
+      })
+      .sort((a, b) => a[0] - b[0]);
+  } else {
+    payload = [status || null, normalizeOutput(output, compare)];
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Decide a bucket once all replicas reported. The largest group of identical hashes wins if it
+ * reaches the quorum; otherwise the bucket is disputed.
+ */
+export function evaluateQuorum(replicas, { quorum }) {
+  const groups = new Map();
+  for (const replica of replicas) {
+    if (!groups.has(replica.outputHash)) groups.set(replica.outputHash, []);
+    groups.get(replica.outputHash).push(replica);
+  }
+  let winner = null;
+  for (const [hash, members] of groups) {
+    if (!winner || members.length > winner.members.length) winner = { hash, members };
+  }
+  if (!winner || winner.members.length < quorum) {
+    return { verified: false, hash: null, groups: groups.size };
+  }
+  return { verified: true, hash: winner.hash, groups: groups.size };
+}
@@ -0,0 +1,135 @@
+import { mergeRanges, subtractRanges } from './pipelines.js';
+import { TEMPLATE_FIELDS } from './schedules.js';
+
+export const RERUN_ITEM_MODES = ['all', 'failed', 'ranges'];
+const MAX_RERUN_RANGES = 1000;
+// Options a clone may change; its items always come from the original's dataset
+const DATASET_FIELDS = ['inputType', 'metadataJson', 'dataFormat', 'csvDelimiter'];
+const OVERRIDE_FIELDS = [
+  ...TEMPLATE_FIELDS.filter((field) => !DATASET_FIELDS.includes(field)),
+  'upstreamMode',
+  'deadline',
+  'budgetTotal',
+  'draft',
+];
+
+const toRange = (entry) =>
+  Number.isFinite(entry?.rangeStart) && Number.isFinite(entry?.rangeEnd)
+    ? { start: entry.rangeStart, end: entry.rangeEnd }
+    : null;
+
+// One entry of a range list: "5" (a single item), "0-100", [0, 100] or { start: 0, end: 100 }
+function parseRangeEntry(entry) {
+  let start;
+  let end;
+  if (typeof entry === 'string') {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(entry);
+    if (!match) return null;
+    start = Number(match[1]);
+    end = match[2] !== undefined ? Number(match[2]) : start + 1;
+  } else if (Array.isArray(entry) && entry.length === 2) {
+    [start, end] = entry;
+  } else if (entry && typeof entry === 'object') {
+    ({ start, end } = entry);
+  } else {
+    return null;
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) return null;
+  return { start, end };
+}
+
+/**
+ * Validate a list of item ranges: a JSON array of [start, end] pairs or { start, end } objects, or text
+ * such as "0-100,250,300-310". Ends are exclusive, as everywhere else. Returns { ranges } (merged and
+ * sorted) or { error }.
+ */
+export function parseItemRanges(value) {
+  let entries = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch (error) {
+        return { error: 'ranges must be valid JSON or a list such as 0-100,250' };
+      }
+    } else {
+      entries = trimmed ? trimmed.split(',') : [];
+    }
+  }
+  if (!Array.isArray(entries) || entries.length === 0) return { error: 'ranges must list at least one item range' };
+  if (entries.length > MAX_RERUN_RANGES) return { error: `ranges may list at most ${MAX_RERUN_RANGES} entries` };
+  const ranges = [];
+  for (const entry of entries) {
+    const range = parseRangeEntry(entry);
+    if (!range) return { error: `invalid item range ${JSON.stringify(entry)}; use start-end with start < end` };
+    ranges.push(range);
+  }
+  return { ranges: mergeRanges(ranges) };
+}
+
+/**
+ * Validate the item selection of POST /api/tasks/:taskId/clone: every item, the items the original
+ * failed, or the listed ranges. Returns { selection: { mode, ranges } } (ranges only for 'ranges') or { error }.
+ */
+export function parseRerunSelection({ items, ranges }) {
+  const mode = typeof items === 'string' && items.trim() ? items.trim().toLowerCase() : ranges ? 'ranges' : 'all';
+  if (!RERUN_ITEM_MODES.includes(mode)) {
+    return { error: `items must be one of: ${RERUN_ITEM_MODES.join(', ')}` };
+  }
+  if (mode !== 'ranges') return { selection: { mode, ranges: null } };
+  const parsed = parseItemRanges(ranges);
+  if (parsed.error) return { error: parsed.error };
+  return { selection: { mode, ranges: parsed.ranges } };
+}
+
+/** Item ranges a task gave up on: its dead-lettered and disputed buckets, merged. */
+export function failedItemRanges(task) {
+  return mergeRanges(
+    [...(task?.deadLetter || []), ...(task?.disputedChunks || [])].map(toRange).filter(Boolean)
+  );
+}
+
+/** Items below `total` that fall outside the selected ranges. */
+export function excludedItemRanges(selected, total) {
+  return subtractRanges([{ start: 0, end: total }], selected);
+}
+
+export function countRangeItems(ranges) {
+  return ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+}
+
+/**
+ * The POST /api/tasks fields that recreate a task's options, so a clone runs the way the original did,
+ * with the options given in `overrides` taking precedence. The original's deadline and budget belong to
+ * its own run and are not carried over.
+ */
+export function rerunSubmission(task, overrides = {}) {
+  const fields = {
+    name: `${task.name} (rerun)`,
+    capabilityRequired: task.capabilityRequired,
+    costPerChunk: task.costPerChunk ?? task.creditCost,
+    maxBillableChunks: task.maxBillableChunks ?? task.totalChunks,
+    maxBucketBytes: task.maxBucketBytes,
+    bucketTargetSeconds: task.bucketSizing?.targetSeconds,
+    minBucketItems: task.bucketSizing?.minItems,
+    maxBucketItems: task.bucketSizing?.maxItems,
+    leaseDurationMs: task.leaseDurationMs,
+    inputType: task.inputType === 'database' ? 'database' : undefined,
+    metadataJson: task.metadataJson,
+    replicationFactor: task.replication?.factor,
+    replicationQuorum: task.replication?.quorum,
+    verificationMode: task.replication?.compare,
+    maxAttempts: task.retryPolicy?.maxAttempts,
+    retryBackoffMs: task.retryPolicy?.backoffMs,
+    retryPreferDifferentWorker: task.retryPolicy?.preferDifferentWorker,
+    priority: task.priority,
+    reducer: task.reduce?.entrypoint,
+    upstreamTaskId: task.upstream?.taskId,
+    upstreamMode: task.upstream?.mode,
+  };
+  for (const field of OVERRIDE_FIELDS) {
+    if (overrides[field] !== undefined && overrides[field] !== '') fields[field] = overrides[field];
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
@@ -0,0 +1,66 @@
+export const DEFAULT_RETRY_POLICY = { maxAttempts: 3, backoffMs: 5000, preferDifferentWorker: true };
+export const MAX_RETRY_ATTEMPTS = 10;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+function toInteger(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+function toBoolean(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+  return undefined;
+}
+
+/**
+ * Validate the retry options sent to POST /api/tasks.
+ * Returns { policy } (defaults filled in) or { error } with a message for a 400.
+ */
+export function parseRetryPolicy({ maxAttempts, backoffMs, preferDifferentWorker }) {
+  const attempts = toInteger(maxAttempts);
+  if (Number.isNaN(attempts) || (attempts !== null && (attempts < 1 || attempts > MAX_RETRY_ATTEMPTS))) {
+    return { error: `maxAttempts must be an integer between 1 and ${MAX_RETRY_ATTEMPTS}` };
+  }
+  const backoff = toInteger(backoffMs);
+  if (Number.isNaN(backoff) || (backoff !== null && (backoff < 0 || backoff > MAX_BACKOFF_MS))) {
+    return { error: `retryBackoffMs must be an integer between 0 and ${MAX_BACKOFF_MS}` };
+  }
+  const preferOther = toBoolean(preferDifferentWorker);
+  if (preferOther === undefined) {
+    return { error: 'retryPreferDifferentWorker must be true or false' };
+  }
+  return {
+    policy: {
+      maxAttempts: attempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+      backoffMs: backoff ?? DEFAULT_RETRY_POLICY.backoffMs,
+      preferDifferentWorker: preferOther ?? DEFAULT_RETRY_POLICY.preferDifferentWorker,
+    },
+  };
+}
+
+/** Retry policy of a task; tasks created without one use the defaults. */
+export function resolveRetryPolicy(task) {
+  const policy = task?.retryPolicy || {};
+  return {
+    maxAttempts: Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 1
+      ? Math.min(policy.maxAttempts, MAX_RETRY_ATTEMPTS)
+      : DEFAULT_RETRY_POLICY.maxAttempts,
+    backoffMs: Number.isFinite(policy.backoffMs) && policy.backoffMs >= 0
+      ? Math.min(policy.backoffMs, MAX_BACKOFF_MS)
+      : DEFAULT_RETRY_POLICY.backoffMs,
+    preferDifferentWorker: typeof policy.preferDifferentWorker === 'boolean'
+      ? policy.preferDifferentWorker
+      : DEFAULT_RETRY_POLICY.preferDifferentWorker,
+  };
+}
+
+/** Exponential backoff: the delay doubles after every failed attempt of the current retry cycle. */
+export function retryDelayMs(policy, failedAttempts) {
+  const exponent = Math.max(0, failedAttempts - 1);
+  return Math.min(MAX_BACKOFF_MS, policy.backoffMs * 2 ** exponent);
+}
@@ -0,0 +1,84 @@
+import { deadlineUrgency } from './deadlines.js';
+
+export const DEFAULT_TASK_PRIORITY = 5;
+export const MIN_TASK_PRIORITY = 1;
+export const MAX_TASK_PRIORITY = 10;
+
+// Recent dispatches fade out with this half-life, so shares follow current demand rather than history
+const USAGE_HALF_LIFE_MS = 60 * 1000;
+
+// key (`customer:<id>` or `task:<id>`) -> { value, at }
+const usage = new Map();
+
+function decayed(entry, now) {
+  if (!entry) return 0;
+  return entry.value * 0.5 ** (Math.max(0, now - entry.at) / USAGE_HALF_LIFE_MS);
+}
+
+/** Validate a priority from a request; returns { priority } or { error }. */
+export function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return { priority: DEFAULT_TASK_PRIORITY };
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < MIN_TASK_PRIORITY || parsed > MAX_TASK_PRIORITY) {
+    return { error: `priority must be an integer between ${MIN_TASK_PRIORITY} and ${MAX_TASK_PRIORITY}` };
+  }
+  return { priority: parsed };
+}
+
+export function resolvePriority(task) {
+  const priority = Number(task?.priority);
+  return Number.isInteger(priority) && priority >= MIN_TASK_PRIORITY && priority <= MAX_TASK_PRIORITY
+    ? priority
+    : DEFAULT_TASK_PRIORITY;
+}
+
+/** Count a bucket handed out by the scheduler against its customer's and task's share. */
+export function recordDispatch(customerId, taskId, now = Date.now()) {
+  for (const key of [`customer:${customerId || ''}`, `task:${taskId}`]) {
+    usage.set(key, { value: decayed(usage.get(key), now) + 1, at: now });
+  }
+  // drop entries that have faded out so the map only holds recently active customers and tasks
+  if (usage.size > 1000) {
+    for (const [key, entry] of usage) {
+      if (decayed(entry, now) < 0.01) usage.delete(key);
+    }
+  }
+}
+
+/**
+ * Order the tasks a worker may get a bucket from. Customers come first by weighted fair share: leases
+ * in flight plus recently dispatched buckets, divided by the customer's share weight (default 1), lowest
+ * first. Within a customer, tasks are ordered the same way with their priority as the weight, so a
+ * priority 10 task gets ten times the buckets of a priority 1 task. A task nearing its deadline has its
+ * weight raised (see deadlineUrgency), and equal scores go to the earlier deadline first.
+ *
+ * candidates: [{ task, customerId, customerWeight, activeLeases }]
+ */
+export function rankTasks(candidates, now = Date.now()) {
+  const customers = new Map();
+  for (const candidate of candidates) {
+    const customerId = candidate.customerId || '';
+    if (!customers.has(customerId)) {
+      const weight = Number(candidate.customerWeight) > 0 ? Number(candidate.customerWeight) : 1;
+      customers.set(customerId, { weight, leases: 0, tasks: [] });
+    }
+    const customer = customers.get(customerId);
+    customer.leases += candidate.activeLeases || 0;
+    const load = decayed(usage.get(`task:${candidate.task.id}`), now) + (candidate.activeLeases || 0);
+    const weight = resolvePriority(candidate.task) * deadlineUrgency(candidate.task, now);
+    customer.tasks.push({ candidate, score: load / weight });
+  }
+
+  const byAge = (a, b) => Date.parse(a.task.createdAt || 0) - Date.parse(b.task.createdAt || 0);
+  const deadlineOf = (candidate) => (candidate.task.deadline ? Date.parse(candidate.task.deadline) : Infinity);
+  const byDeadline = (a, b) => deadlineOf(a) - deadlineOf(b) || 0;
+  return [...customers.entries()]
+    .map(([customerId, customer]) => ({
+      score: (decayed(usage.get(`customer:${customerId}`), now) + customer.leases) / customer.weight,
+      tasks: customer.tasks
+        .sort((a, b) => a.score - b.score || byDeadline(a.candidate, b.candidate) || byAge(a.candidate, b.candidate))
+        .map((entry) => entry.candidate.task),
+    }))
+    .sort((a, b) => a.score - b.score)
+    .flatMap((customer) => customer.tasks);
+}
@@ -0,0 +1,142 @@
+// Fields of a POST /api/tasks submission a schedule keeps as its task template. Deadlines and upstream
+// tasks refer to one particular run, so they are not part of it.
+export const TEMPLATE_FIELDS = [
+  'name',
+  'capabilityRequired',
+  'creditCost',
+  'costPerChunk',
+  'maxBillableChunks',
+  'totalChunks',
+  'maxBucketBytes',
+  'bucketTargetSeconds',
+  'minBucketItems',
+  'maxBucketItems',
+  'leaseDurationMs',
+  'inputType',
+  'metadataJson',
+  'dataFormat',
+  'csvDelimiter',
+  'replicationFactor',
+  'replicationQuorum',
+  'verificationMode',
+  'maxAttempts',
+  'retryBackoffMs',
+  'retryPreferDifferentWorker',
+  'priority',
+  'reducer',
+];
+
+export const SCHEDULE_HISTORY_LIMIT = 50;
+
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// One cron field ("*", "5", "1-5", "*/15", "0-30/10", or a comma list of those) to the set of values it allows
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return { error: `invalid ${name} field "${text}"` };
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      return { error: `${name} field "${text}" is outside ${min}-${max}` };
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return { values, restricted: text !== '*' };
+}
+
+/**
+ * Validate a cron expression: five fields (minute hour day-of-month month day-of-week) or one of
+ * @hourly, @daily, @midnight, @weekly, @monthly. Times are UTC. Returns { cron } or { error }.
+ */
+export function parseCronExpression(value) {
+  const raw = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+  if (!raw) return { error: 'schedule is required' };
+  const expression = CRON_PRESETS[raw.toLowerCase()] || raw;
+  const parts = expression.split(' ');
+  if (parts.length !== 5) return { error: 'schedule must have five fields: minute hour day-of-month month day-of-week' };
+  const fields = [];
+  for (let i = 0; i < parts.length; i += 1) {
+    const parsed = parseCronField(parts[i], CRON_FIELDS[i]);
+    if (parsed.error) return { error: parsed.error };
+    fields.push(parsed);
+  }
+  // Sunday may be written as 0 or 7
+  if (fields[4].values.has(7)) fields[4].values.add(0);
+  return { cron: { expression: raw, fields } };
+}
+
+function matchesDay(fields, date) {
+  const [, , dayOfMonth, , dayOfWeek] = fields;
+  const domMatch = dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = dayOfWeek.values.has(date.getUTCDay());
+  // as in cron, a restricted day of month and day of week match when either does
+  if (dayOfMonth.restricted && dayOfWeek.restricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/** The first time after `after` that the schedule fires, or null when it never does within five years. */
+export function nextRunAt(expression, after = new Date()) {
+  const { cron } = parseCronExpression(expression);
+  if (!cron) return null;
+  const [minute, hour, , month] = cron.fields;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.valueOf() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.valueOf() <= limit) {
+    if (!month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron.fields, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/** Validate the budget cap every run of a schedule gets; returns { runBudget } or { error }. */
+export function parseRunBudget(value) {
+  const runBudget = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(runBudget) || runBudget <= 0) {
+    return { error: 'runBudget must be greater than 0' };
+  }
+  return { runBudget };
+}
+
+/** Most chunks one run may pay for without its cost (per replica) going over the run budget. */
+export function runChunkCap(runBudget, costPerChunk, replicationFactor = 1) {
+  const perChunk = costPerChunk * Math.max(1, replicationFactor);
+  return perChunk > 0 ? Math.floor(runBudget / perChunk + 1e-9) : 0;
+}
+
+/** Append a run to the schedule's history, keeping the newest SCHEDULE_HISTORY_LIMIT entries. */
+export function recordScheduleRun(schedule, entry) {
+  const runs = Array.isArray(schedule.runs) ? schedule.runs : [];
+  runs.push(entry);
+  schedule.runs = runs.slice(-SCHEDULE_HISTORY_LIMIT);
+  return entry;
+}
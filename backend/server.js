@@ -4,6 +4,63 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import { initDb, getDb, saveDb } from "./db.js";
+import {
+  parseDatabaseSource,
+  countDatabaseItems,
+  readDatabaseItems,
+  readDatabasePage,
+  normalizeDatasetFormat,
+  detectDatasetFormat,
+  datasetFileName,
+  measureItemBytes,
+  buildDatasetIndex,
+  ensureDatasetIndex,
+  readIndexedItems,
+} from "./datasets.js";
+import { parseReplicationOptions, resolveReplication, hashReplicaOutput, evaluateQuorum } from "./replication.js";
+import { parseRetryPolicy, resolveRetryPolicy, retryDelayMs } from "./retries.js";
+import { findStraggler } from "./speculation.js";
+import { parseLeaseDuration, resolveLeaseDuration } from "./leases.js";
+import { MIN_RATE_SAMPLE_MS, bucketItemLimit, parseBucketSizing, recordThroughput } from "./throughput.js";
+import { parsePriority, rankTasks, recordDispatch } from "./scheduler.js";
+import { KNOWN_CAPABILITIES, parseCapabilities, canRunTask } from "./capabilities.js";
+import { createWorkerRecord, recordWorkerSeen, recordWorkerOutcome, parseWorkerStatusFilter } from "./workers.js";
+import {
+  parseUpstreamOptions,
+  resolveUpstreamAvailability,
+  toDownstreamItem,
+  describePipeline,
+  mergeRanges,
+  subtractRanges,
+} from "./pipelines.js";
+import {
+  parseRerunSelection,
+  failedItemRanges,
+  excludedItemRanges,
+  countRangeItems,
+  rerunSubmission,
+} from "./reruns.js";
+import { parseReducerEntrypoint, createReduceRun, isReduceDue } from "./reducer.js";
+import {
+  parseCodeNote,
+  resolveCodeVersions,
+  currentCodeVersion,
+  findCodeVersion,
+  addCodeVersion,
+  assignmentCodeVersion,
+  codeBundleFileName,
+} from "./bundles.js";
+import { ITEM_STATUSES, parseItemsQuery, normalizeStoredItem } from "./items.js";
+import { parseDeadline, isPastDeadline } from "./deadlines.js";
+import { resolveTaskState, canTransition, transitionTask, isDispatching, resumeTarget } from "./lifecycle.js";
+import {
+  TEMPLATE_FIELDS,
+  parseCronExpression,
+  nextRunAt,
+  parseRunBudget,
+  runChunkCap,
+  recordScheduleRun,
+} from "./schedules.js";
 import { nanoid } from "nanoid";
 import Stripe from "stripe";
 import dotenv from "dotenv";
@@ -11,13 +68,28 @@ dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-const WORKER_TIMEOUT_MS = 20 * 60 * 1000; // 20 minutes
+const WORKER_TIMEOUT_MS = Number(process.env.WORKER_TIMEOUT_MS) || 20 * 60 * 1000; // 20 minutes
 const DEFAULT_MAX_BUCKETS = 10;
+const MAX_LEASE_REJECTIONS_STORED = 20;
+const MAX_CHUNK_ATTEMPTS_STORED = 20;
 const DEFAULT_BUCKET_BYTES = 1024 * 1024; // 1MB
-const BUCKET_TIMEOUT_MS = 20 * 60 * 1000; // 20 minutes
+// lease of a bucket on a task that does not set its own leaseDurationMs
+const BUCKET_TIMEOUT_MS = Number(process.env.BUCKET_TIMEOUT_MS) || 20 * 60 * 1000; // 20 minutes
+const LEASE_SWEEP_INTERVAL_MS = Number(process.env.LEASE_SWEEP_INTERVAL_MS) || 5 * 1000;
 const WORKER_SWEEP_INTERVAL_MS = Math.min(WORKER_TIMEOUT_MS, 60 * 1000);
+const DEADLINE_SWEEP_INTERVAL_MS = Number(process.env.DEADLINE_SWEEP_INTERVAL_MS) || 15 * 1000;
+const SCHEDULE_SWEEP_INTERVAL_MS = Number(process.env.SCHEDULE_SWEEP_INTERVAL_MS) || 30 * 1000;
+// how long a bucket runs before idle workers may get a speculative copy of it
+const SPECULATION_DELAY_MS = Number.isFinite(Number(process.env.SPECULATION_DELAY_MS))
+  ? Number(process.env.SPECULATION_DELAY_MS)
+  : 30 * 1000;
+const SCHEDULE_DATASET_FILE = "dataset";
 const ITEM_PREVIEW_LIMIT = 240;
 const MAX_ITEM_RESULTS_STORED = 200;
+const TASK_RESULT_FILE = "result.txt";
+const TASK_RESULT_PREVIEW_LIMIT = 20000;
+const DATABASE_PAGE_SIZE = 500;
+// workerId -> time of its last register/heartbeat call; db.workers keeps a coarser copy across restarts
 const workerHeartbeats = new Map();
 const SESSION_COOKIE = "rt_session";
 const DEV_DEFAULT_WALLET = Number.isFinite(Number(process.env.DEV_INITIAL_WALLET))
@@ -59,27 +131,17 @@ function serializeCookie(name, value, options = {}) {
   return segments.join("; ");
 }
 
-function ensureCollection(db, key, fallback) {
-  if (!db.data[key]) {
-    db.data[key] = fallback;
-  }
-  return db.data[key];
-}
-
 function findUserBySessionId(db, sessionId) {
   if (!sessionId) return null;
-  const users = ensureCollection(db, "users", []);
-  return users.find((user) => user.sessionId === sessionId) || null;
+  return db.users.findOneBy("sessionId", sessionId);
 }
 
 function findUserById(db, userId) {
   if (!userId) return null;
-  const users = ensureCollection(db, "users", []);
-  return users.find((user) => user.id === userId) || null;
+  return db.users.get(userId);
 }
 
 function createUser(db, { sessionId, initialBalance = 0, roles = [] }) {
-  const users = ensureCollection(db, "users", []);
   const now = new Date().toISOString();
   const user = {
     id: nanoid(),
@@ -89,8 +151,7 @@ function createUser(db, { sessionId, initialBalance = 0, roles = [] }) {
     createdAt: now,
     updatedAt: now,
   };
-  users.push(user);
-  return user;
+  return db.users.insert(user);
 }
 
 function ensureWorkerUser(db, workerId) {
@@ -103,9 +164,7 @@ function ensureWorkerUser(db, workerId) {
 }
 
 function pushWalletTransaction(db, payload) {
-  const transactions = ensureCollection(db, "walletTransactions", []);
-  transactions.push(payload);
-  return payload;
+  return db.walletTransactions.insert(payload);
 }
 
 function adjustUserBalance(db, user, delta, type, meta = {}) {
@@ -127,7 +186,7 @@ function adjustUserBalance(db, user, delta, type, meta = {}) {
 }
 
 function recordPlatformEarning(db, amount, meta = {}) {
-  const ledger = ensureCollection(db, "platformLedger", { totalEarnings: 0 });
+  const ledger = db.platformLedger;
   ledger.totalEarnings = Number(ledger.totalEarnings || 0) + amount;
   pushWalletTransaction(db, {
     id: nanoid(),
@@ -162,47 +221,59 @@ function resolveTaskBudget(task) {
   };
 }
 
-function issueChunkPayout(db, task, chunkResult, workerId) {
+// Pays a completed bucket. Replicated buckets pass every agreeing worker; the customer is charged
+// costPerChunk for each of them while the bucket counts once against maxBillableChunks.
+function issueChunkPayout(db, task, chunkResult, workerIds) {
   if (!task || !chunkResult) return false;
   if (chunkResult.payoutIssued) return false;
   if (chunkResult.status !== "completed") return false;
+  // an expired task released its budget
+  if (task.status === "expired") return false;
   const { costPerChunk, maxBillableChunks, chunksPaid } = resolveTaskBudget(task);
-  if (!DISABLE_BUDGET_CHECKS && chunksPaid >= maxBillableChunks) return false;
+  // retries of carved-out items belong to a bucket that is already counted, and the reduce run is no bucket
+  const isItemRetry = chunkResult.parentChunkIndex != null || chunkResult === task.reduce;
+  if (!DISABLE_BUDGET_CHECKS && !isItemRetry && chunksPaid >= maxBillableChunks) return false;
 
   const creatorSessionId = task.creatorId || task.creatorSessionId || null;
   const customerAccount = findUserBySessionId(db, creatorSessionId);
   if (!customerAccount) return false;
-  const worker = workerId ? ensureWorkerUser(db, workerId) : null;
+  const payees = Array.isArray(workerIds) ? workerIds : [workerIds];
 
-  const total = costPerChunk;
+  const share = Number.isFinite(chunkResult.billableFraction) ? Math.min(1, Math.max(0, chunkResult.billableFraction)) : 1;
+  const total = Number((costPerChunk * share).toFixed(6));
   const feePercent = Number.isFinite(Number(task.platformFeePercent))
     ? Number(task.platformFeePercent)
     : PLATFORM_FEE_PERCENT;
   const platformShare = Number(((total * feePercent) / 100).toFixed(6));
   const workerShare = Number((total - platformShare).toFixed(6));
 
-  adjustUserBalance(db, customerAccount, -total, "chunk-debit", {
-    taskId: task.id,
-    chunkIndex: chunkResult.chunkIndex,
-  });
-  if (worker) {
-    adjustUserBalance(db, worker, workerShare, "chunk-credit", {
-      taskId: task.id,
-      chunkIndex: chunkResult.chunkIndex,
-    });
-  }
-  if (platformShare !== 0) {
-    recordPlatformEarning(db, platformShare, {
+  for (const workerId of payees) {
+    const worker = workerId ? ensureWorkerUser(db, workerId) : null;
+    adjustUserBalance(db, customerAccount, -total, "chunk-debit", {
       taskId: task.id,
       chunkIndex: chunkResult.chunkIndex,
     });
+    if (worker) {
+      adjustUserBalance(db, worker, workerShare, "chunk-credit", {
+        taskId: task.id,
+        chunkIndex: chunkResult.chunkIndex,
+      });
+    }
+    const workerRecord = workerId ? db.workers.get(workerId) : null;
+    if (workerRecord) recordWorkerOutcome(workerRecord, { earned: workerShare });
+    if (platformShare !== 0) {
+      recordPlatformEarning(db, platformShare, {
+        taskId: task.id,
+        chunkIndex: chunkResult.chunkIndex,
+      });
+    }
   }
 
-  task.chunksPaid = (task.chunksPaid || 0) + 1;
-  task.budgetSpent = Number(task.budgetSpent || 0) + total;
+  if (!isItemRetry) task.chunksPaid = (task.chunksPaid || 0) + 1;
+  task.budgetSpent = Number(task.budgetSpent || 0) + total * payees.length;
   chunkResult.payoutIssued = true;
   chunkResult.payoutAt = new Date().toISOString();
-  chunkResult.workerId = workerId || chunkResult.workerId || null;
+  chunkResult.workerId = payees[0] || chunkResult.workerId || null;
   return true;
 }
 
@@ -215,6 +286,30 @@ setInterval(() => {
   }
 }, WORKER_SWEEP_INTERVAL_MS);
 
+setInterval(async () => {
+  const db = getDb();
+  const overdue = db.tasks.filter((task) => isPastDeadline(task));
+  for (const task of overdue) {
+    await withTaskLock(task.id, async () => {
+      if (!isPastDeadline(task)) return;
+      expireTask(db, task);
+      await saveDb();
+    }).catch((err) => console.error("deadline sweep error", task.id, err));
+  }
+}, DEADLINE_SWEEP_INTERVAL_MS);
+
+// Leases nobody renewed are dropped right away, so their ranges are free for the next worker
+setInterval(async () => {
+  const db = getDb();
+  const now = Date.now();
+  const taskIds = new Set(db.chunkAssignments.filter((entry) => isAssignmentExpired(entry, now)).map((entry) => entry.taskId));
+  for (const taskId of taskIds) {
+    await withTaskLock(taskId, async () => {
+      if (sweepExpiredAssignments(db, taskId)) await saveDb();
+    }).catch((err) => console.error("lease sweep error", taskId, err));
+  }
+}, LEASE_SWEEP_INTERVAL_MS);
+
 app.use(cors());
 app.use("/api/stripe/webhook", express.raw({ type: "application/json" }));
 app.use(express.json({ limit: "10mb" }));
@@ -226,38 +321,10 @@ if (!fs.existsSync(storageDir)) {
 
 await initDb();
 
-// Ensure DB shape defaults exist at startup to avoid undefined access during requests
+// Backfill legacy task fields and storage folders at startup
 try {
   const _db = getDb();
   let mutated = false;
-  if (!_db.data.tasks) {
-    _db.data.tasks = [];
-    mutated = true;
-  }
-  if (!_db.data.chunkResults) {
-    _db.data.chunkResults = [];
-    mutated = true;
-  }
-  if (!_db.data.chunkAssignments) {
-    _db.data.chunkAssignments = [];
-    mutated = true;
-  }
-  if (!_db.data.users) {
-    _db.data.users = [];
-    mutated = true;
-  }
-  if (!_db.data.walletTransactions) {
-    _db.data.walletTransactions = [];
-    mutated = true;
-  }
-  if (!_db.data.stripeSessions) {
-    _db.data.stripeSessions = [];
-    mutated = true;
-  }
-  if (!_db.data.platformLedger) {
-    _db.data.platformLedger = { totalEarnings: 0 };
-    mutated = true;
-  }
   const storageSubdirs = fs.existsSync(storageDir)
     ? fs
         .readdirSync(storageDir, { withFileTypes: true })
@@ -265,11 +332,9 @@ try {
         .map((entry) => entry.name)
     : [];
   const availableStorage = new Set(storageSubdirs);
-  const chunkResults = _db.data.chunkResults;
-  const chunkAssignments = _db.data.chunkAssignments;
   const legacyToCanonicalId = new Map();
 
-  _db.data.tasks.forEach((task) => {
+  _db.tasks.all().forEach((task) => {
     if (!task.id && task._id) {
       task.id = String(task._id);
       mutated = true;
@@ -317,6 +382,13 @@ try {
       task.chunksPaid = 0;
       mutated = true;
     }
+    // statuses from before the lifecycle state machine, and the old revoked flag
+    const state = resolveTaskState(task);
+    if (task.status !== state || "revoked" in task) {
+      task.status = state;
+      delete task.revoked;
+      mutated = true;
+    }
 
     const candidateIds = [];
     if (task.storageId) candidateIds.push(String(task.storageId));
@@ -338,7 +410,7 @@ try {
       for (const dirName of Array.from(availableStorage)) {
         const folder = path.join(storageDir, dirName);
         const codeMatches = !task.codeFileName || fs.existsSync(path.join(folder, task.codeFileName));
-        const dataMatches = !task.dataFileName || fs.existsSync(path.join(folder, task.dataFileName));
+        const dataMatches = !task.dataFileName || task.datasetStorageId || fs.existsSync(path.join(folder, task.dataFileName));
         if (!codeMatches || !dataMatches) continue;
 
         let score = Number.POSITIVE_INFINITY;
@@ -403,20 +475,22 @@ try {
   });
 
   if (legacyToCanonicalId.size) {
-    chunkResults.forEach((entry) => {
+    _db.chunkResults.all().forEach((entry) => {
       const mapped = legacyToCanonicalId.get(entry.taskId);
       if (mapped && entry.taskId !== mapped) {
         entry.taskId = mapped;
         mutated = true;
       }
     });
-    chunkAssignments.forEach((entry) => {
+    _db.chunkAssignments.all().forEach((entry) => {
       const mapped = legacyToCanonicalId.get(entry.taskId);
       if (mapped && entry.taskId !== mapped) {
         entry.taskId = mapped;
         mutated = true;
       }
     });
+    _db.chunkResults.reindex();
+    _db.chunkAssignments.reindex();
   }
   if (mutated) await saveDb();
 } catch (e) {
@@ -494,7 +568,27 @@ const upload = multer({
     },
     filename: (req, file, cb) => {
       const original = file.originalname?.toLowerCase() || "file";
-      cb(null, original.includes(".zip") ? "code.zip" : original.includes(".json") ? "data.json" : original);
+      if (file.fieldname === "data") {
+        // renamed to data.<format> once the dataset format has been resolved
+        cb(null, `upload-${path.basename(original)}`);
+        return;
+      }
+      cb(null, original.includes(".zip") ? "code.zip" : original);
+    },
+  }),
+});
+
+// New code versions of an existing task land in its folder under a temporary name and are renamed once
+// the upload is accepted
+const codeVersionUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const taskDir = getTaskStoragePath(req.task);
+      fs.mkdirSync(taskDir, { recursive: true });
+      cb(null, taskDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `upload-code-${nanoid(6)}`);
     },
   }),
 });
@@ -505,6 +599,11 @@ function getTaskStorageId(task) {
   return candidate ? String(candidate) : null;
 }
 
+// Clones keep reading the dataset stored with the task they were cloned from
+function getTaskDatasetStorageId(task) {
+  return task?.datasetStorageId ? String(task.datasetStorageId) : getTaskStorageId(task);
+}
+
 function getTaskStoragePath(task, fileName = null) {
   const storageId = getTaskStorageId(task);
   if (!storageId) return null;
@@ -526,12 +625,170 @@ function removeTaskStorage(task) {
   return false;
 }
 
+// Full item outputs of a bucket live under the task's storage folder (outputs/<name>.json), so
+// downstream pipeline tasks and GET /api/tasks/:taskId/items can read them without the preview limits
+// of the item results kept in the database
+function getItemOutputsPath(task, name) {
+  return getTaskStoragePath(task, path.join("outputs", `${name}.json`));
+}
+
+// Progress reports of a bucket still running are appended to outputs/<name>.progress.ndjson, one item
+// per line, and folded into outputs/<name>.json once the bucket is settled
+function getItemProgressPath(task, name) {
+  return getTaskStoragePath(task, path.join("outputs", `${name}.progress.ndjson`));
+}
+
+function toItemOutputEntries(itemResults, range) {
+  const entries = [];
+  itemResults.forEach((item, idx) => {
+    if (!item || typeof item !== "object") return;
+    const index = Number.isFinite(item.globalIndex)
+      ? item.globalIndex
+      : range
+      ? range.start + (Number.isFinite(item.localIndex) ? item.localIndex : idx)
+      : null;
+    if (!Number.isFinite(index)) return;
+    const entry = { index, status: ITEM_STATUSES.includes(item.status) ? item.status : "completed", output: item.output ?? null };
+    if (item.error) entry.error = typeof item.error === "string" ? item.error : safeStringify(item.error);
+    if (typeof item.inputPreview === "string" && item.inputPreview) entry.inputPreview = truncateText(item.inputPreview);
+    entries.push(entry);
+  });
+  return entries;
+}
+
+function storeItemOutputEntries(task, file, entries) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entries));
+  } catch (error) {
+    console.warn("failed to store item outputs", task.id, error.message);
+  }
+}
+
+// A submitted bucket's items are its complete outputs, so whatever its progress reports logged is dropped
+function writeItemOutputs(task, name, itemResults, range) {
+  const file = getItemOutputsPath(task, name);
+  if (!file || !Array.isArray(itemResults)) return;
+  storeItemOutputEntries(task, file, toItemOutputEntries(itemResults, range));
+  fs.rmSync(getItemProgressPath(task, name), { force: true });
+}
+
+function appendItemOutputs(task, name, itemResults) {
+  const file = getItemProgressPath(task, name);
+  if (!file || !Array.isArray(itemResults)) return;
+  const entries = toItemOutputEntries(itemResults, null);
+  if (!entries.length) return;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+  } catch (error) {
+    console.warn("failed to log item outputs", task.id, error.message);
+  }
+}
+
+// Folds a bucket's progress log into its outputs file; a later report of an item replaces an earlier one
+function compactItemOutputs(task, name) {
+  const logFile = getItemProgressPath(task, name);
+  if (!logFile || !fs.existsSync(logFile)) return;
+  const outputs = new Map(readItemOutputs(task, name).map((entry) => [entry.index, entry]));
+  try {
+    for (const line of fs.readFileSync(logFile, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      outputs.set(entry.index, entry);
+    }
+  } catch (error) {
+    console.warn("failed to read item progress log", task.id, error.message);
+  }
+  storeItemOutputEntries(task, getItemOutputsPath(task, name), [...outputs.values()].sort((a, b) => a.index - b.index));
+  fs.rmSync(logFile, { force: true });
+}
+
+// Buckets of a task in one of `statuses` overlapping [start, end), in item order. Each comes with the
+// item retries and continuations carved from it, which run after it and so take precedence.
+function listOutputBuckets(results, start, end, statuses) {
+  const carved = new Map();
+  for (const result of results) {
+    if (result.parentChunkIndex == null || !statuses.includes(result.status)) continue;
+    if (!carved.has(result.parentChunkIndex)) carved.set(result.parentChunkIndex, []);
+    carved.get(result.parentChunkIndex).push(result);
+  }
+  return results
+    .filter((r) => r.parentChunkIndex == null && statuses.includes(r.status) && r.rangeStart < end && r.rangeEnd > start)
+    .sort((a, b) => a.rangeStart - b.rangeStart)
+    .map((root) => [root, ...(carved.get(root.chunkIndex) || []).sort((a, b) => a.chunkIndex - b.chunkIndex)]);
+}
+
+// Stored items of one bucket from listOutputBuckets, in index order, with the run each was last run in
+function readBucketItems(task, runs, cache = null) {
+  const items = new Map();
+  for (const run of runs) {
+    for (const raw of readItemOutputs(task, String(run.chunkIndex), cache)) {
+      const item = normalizeStoredItem(raw);
+      if (item) items.set(item.index, { ...item, chunkIndex: run.chunkIndex, codeVersion: run.codeVersion ?? null });
+    }
+  }
+  return [...items.values()].sort((a, b) => a.index - b.index);
+}
+
+// Raw outputs of the items in [start, end) by item index, read from the task's finished buckets
+function collectItemOutputs(task, results, start, end, cache = null) {
+  const values = new Map();
+  for (const runs of listOutputBuckets(results, start, end, ["completed", "skipped"])) {
+    for (const item of readBucketItems(task, runs, cache)) {
+      if (item.status !== "failed" && item.index >= start && item.index < end) values.set(item.index, item.output);
+    }
+  }
+  return values;
+}
+
+// `cache` keeps parsed files by name for callers that read the same buckets several times
+function readItemOutputs(task, name, cache = null) {
+  if (cache?.has(name)) return cache.get(name);
+  const entries = parseItemOutputsFile(task, name);
+  cache?.set(name, entries);
+  return entries;
+}
+
+function parseItemOutputsFile(task, name) {
+  const file = getItemOutputsPath(task, name);
+  if (!file || !fs.existsSync(file)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.warn("failed to read item outputs", task.id, error.message);
+    return [];
+  }
+}
+
+// Replicas write their outputs under <chunkIndex>.<hash>; once the bucket is decided the agreed copy
+// becomes the bucket's outputs and the others are dropped
+function settleReplicaOutputs(task, chunkIndex, winningHash) {
+  const dir = getTaskStoragePath(task, "outputs");
+  if (!dir || !fs.existsSync(dir)) return;
+  const prefix = `${chunkIndex}.`;
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.startsWith(prefix) || file === `${chunkIndex}.json`) continue;
+    const fullPath = path.join(dir, file);
+    try {
+      if (winningHash && file === `${prefix}${winningHash.slice(0, 16)}.json`) {
+        fs.renameSync(fullPath, path.join(dir, `${chunkIndex}.json`));
+      } else {
+        fs.rmSync(fullPath, { force: true });
+      }
+    } catch (error) {
+      console.warn("failed to settle replica outputs", task.id, error.message);
+    }
+  }
+}
+
 function buildTaskResponse(task) {
   if (!task) return null;
   const taskId = task.id || task._id;
   if (!taskId) return null;
   const storageId = getTaskStorageId(task);
   const base = task.baseUrl && storageId ? `${task.baseUrl}/storage/${storageId}` : null;
+  const datasetStorageId = getTaskDatasetStorageId(task);
   const { _id, ...safeTask } = typeof task === 'object' && task !== null ? task : {};
   return {
     ...safeTask,
@@ -547,15 +804,26 @@ function buildTaskResponse(task) {
       maxBucketBytes: task.bucketConfig?.maxBucketBytes ?? task.maxBucketBytes ?? null,
     },
     maxBucketBytes: task.maxBucketBytes ?? null,
+    leaseDurationMs: resolveLeaseDuration(task, BUCKET_TIMEOUT_MS),
     codeUrl: base && task.codeFileName ? `${base}/${task.codeFileName}` : undefined,
-    dataUrl: base && task.dataFileName ? `${base}/${task.dataFileName}` : undefined,
+    codeVersion: currentCodeVersion(task),
+    codeVersions: resolveCodeVersions(task).map((entry) => ({
+      ...entry,
+      url: base ? `${base}/${entry.fileName}` : undefined,
+    })),
+    resultUrl: base && task.reduce?.state === "completed" ? `${base}/${TASK_RESULT_FILE}` : undefined,
+    dataUrl: task.baseUrl && datasetStorageId && task.dataFileName
+      ? `${task.baseUrl}/storage/${datasetStorageId}/${task.dataFileName}`
+      : undefined,
     costPerChunk: Number.isFinite(Number(task.costPerChunk)) ? Number(task.costPerChunk) : null,
     budgetTotal: Number.isFinite(Number(task.budgetTotal)) ? Number(task.budgetTotal) : null,
     budgetSpent: Number.isFinite(Number(task.budgetSpent)) ? Number(task.budgetSpent) : 0,
     maxBillableChunks: Number.isFinite(Number(task.maxBillableChunks)) ? Number(task.maxBillableChunks) : null,
     chunksPaid: Number.isFinite(Number(task.chunksPaid)) ? Number(task.chunksPaid) : 0,
     platformFeePercent: Number.isFinite(Number(task.platformFeePercent)) ? Number(task.platformFeePercent) : PLATFORM_FEE_PERCENT,
-    revoked: Boolean(task.revoked),
+    status: resolveTaskState(task),
+    statusHistory: Array.isArray(task.statusHistory) ? task.statusHistory : [],
+    revoked: ["cancelling", "cancelled"].includes(resolveTaskState(task)),
   };
 }
 
@@ -586,21 +854,134 @@ function buildWalletTransactionResponse(entry) {
   };
 }
 
-function readTaskItems(task) {
-  if (!task || !task.dataFileName) return [];
-  try {
-    const dataPath = getTaskStoragePath(task, task.dataFileName);
-    if (!dataPath || !fs.existsSync(dataPath)) return [];
-    const raw = fs.readFileSync(dataPath, "utf8");
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    console.error("failed to read task data", getTaskStorageId(task) || task.id, error.message);
-    return [];
+function resolveTaskDataFormat(task) {
+  return normalizeDatasetFormat(task?.dataFormat) || detectDatasetFormat(task?.dataFileName) || "json";
+}
+
+// Items of a pipeline task are the item outputs of its upstream task, readable as upstream buckets
+// finish. Upstream items that are not ready yet are reported as unavailable ranges for the planner.
+function openUpstreamDataset(task) {
+  const db = getDb();
+  const upstream = db.tasks.get(task.upstream.taskId);
+  if (!upstream) throw new Error(`upstream task ${task.upstream.taskId} not found`);
+  const results = db.chunkResults.where("taskId", upstream.id);
+  const availability = resolveUpstreamAvailability(upstream, results, task.upstream.mode);
+  const readRange = async (start, end, cache = null) => {
+    const values = collectItemOutputs(upstream, results, start, end, cache);
+    return Array.from({ length: Math.max(0, end - start) }, (_, i) =>
+      values.has(start + i) ? toDownstreamItem(values.get(start + i)) : null
+    );
+  };
+  return {
+    total: availability.total,
+    largestItemBytes: 0,
+    unavailableRanges: availability.unavailable,
+    droppedRanges: availability.dropped,
+    droppedItems: availability.droppedItems,
+    readRange,
+    readWindow: async (start, end, maxBytes) => {
+      const items = [];
+      const sizes = [];
+      let bytes = 0;
+      let cursor = start;
+      // an upstream bucket usually spans several pages; parse its outputs file once per window
+      const cache = new Map();
+      while (cursor < end && bytes < maxBytes) {
+        const page = await readRange(cursor, Math.min(end, cursor + DATABASE_PAGE_SIZE), cache);
+        for (const item of page) {
+          if (bytes >= maxBytes) break;
+          const size = measureItemBytes(item);
+          items.push(item);
+          sizes.push(size);
+          bytes += size;
+        }
+        cursor += page.length;
+      }
+      return { items, sizes };
+    },
+  };
+}
+
+// Uniform view over a task's items, whether they come from data.json, an attached collection or an
+// upstream task. A clone restricted to some item ranges sees every other item as dropped.
+async function openTaskDataset(task) {
+  const dataset = await openSourceDataset(task);
+  if (!Array.isArray(task.itemRanges)) return dataset;
+  const excluded = excludedItemRanges(task.itemRanges, dataset.total);
+  const droppedRanges = mergeRanges([...(dataset.droppedRanges || []), ...excluded]);
+  return {
+    ...dataset,
+    unavailableRanges: subtractRanges(dataset.unavailableRanges || [], excluded),
+    droppedRanges,
+    droppedItems: countRangeItems(droppedRanges),
+  };
+}
+
+async function openSourceDataset(task) {
+  if (task.upstream?.taskId) return openUpstreamDataset(task);
+  const source = parseDatabaseSource(task);
+  if (source) {
+    const total = await countDatabaseItems(source);
+    return {
+      total,
+      largestItemBytes: 0,
+      readRange: (start, end) => readDatabaseItems(source, start, end),
+      readWindow: async (start, end, maxBytes) => {
+        const items = [];
+        const sizes = [];
+        let bytes = 0;
+        let cursor = start;
+        // each page continues from the last `_id` of the one before
+        let after = null;
+        while (cursor < end && bytes < maxBytes) {
+          const page = await readDatabasePage(source, cursor, Math.min(end, cursor + DATABASE_PAGE_SIZE) - cursor, after);
+          if (page.items.length === 0) break;
+          for (const item of page.items) {
+            const size = measureItemBytes(item);
+            items.push(item);
+            sizes.push(size);
+            bytes += size;
+          }
+          cursor += page.items.length;
+          after = page.last;
+        }
+        return { items, sizes };
+      },
+    };
+  }
+
+  const datasetStorageId = getTaskDatasetStorageId(task);
+  const dataPath = task.dataFileName && datasetStorageId ? path.join(storageDir, datasetStorageId, task.dataFileName) : null;
+  if (!dataPath || !fs.existsSync(dataPath)) {
+    return {
+      total: 0,
+      largestItemBytes: 0,
+      readRange: async () => [],
+      readWindow: async () => ({ items: [], sizes: [] }),
+    };
   }
+  const index = await ensureDatasetIndex(dataPath, resolveTaskDataFormat(task), task.datasetOptions || {});
+  return {
+    total: index.count,
+    largestItemBytes: index.largestItemBytes,
+    readRange: (start, end) => readIndexedItems(dataPath, index, start, end),
+    readWindow: async (start, end, maxBytes) => {
+      // sizes come from the index, so only the items that can fit in the bucket are read
+      const sizes = [];
+      let bytes = 0;
+      let cursor = start;
+      while (cursor < end && bytes < maxBytes) {
+        const size = index.sizeAt(cursor);
+        sizes.push(size);
+        bytes += size;
+        cursor++;
+      }
+      return { items: await readIndexedItems(dataPath, index, start, cursor), sizes };
+    },
+  };
 }
 
-function ensureBucketConfig(task, items) {
+function ensureBucketConfig(task, largestItemBytes = 0) {
   let mutated = false;
   task.bucketConfig = task.bucketConfig || {};
   const cfg = task.bucketConfig;
@@ -622,15 +1003,6 @@ function ensureBucketConfig(task, items) {
     cfg.maxBucketBytes = Math.max(1024, fallbackBytes);
     mutated = true;
   }
-  let largestItemBytes = 0;
-  for (const item of items) {
-    try {
-      const len = Buffer.byteLength(JSON.stringify(item));
-      if (len > largestItemBytes) largestItemBytes = len;
-    } catch (e) {
-      // ignore serialization issue, treat as small item
-    }
-  }
   while (cfg.maxBuckets > 1 && largestItemBytes > cfg.maxBucketBytes) {
     cfg.maxBuckets = Math.max(1, Math.floor(cfg.maxBuckets / 2));
     cfg.maxBucketBytes *= 2;
@@ -651,122 +1023,650 @@ function ensureBucketConfig(task, items) {
   return mutated;
 }
 
+// Requests that read a task's assignments/results and write back based on them run one at a time
+// per task, so two workers polling together cannot interleave across the awaits in between.
+const taskQueues = new Map();
+
+function withTaskLock(taskId, fn) {
+  const key = String(taskId ?? "");
+  const previous = taskQueues.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  taskQueues.set(key, tail);
+  tail.then(() => {
+    if (taskQueues.get(key) === tail) taskQueues.delete(key);
+  });
+  return run;
+}
+
+function serializeByTask(handler) {
+  return (req, res, next) =>
+    withTaskLock(req.params?.taskId || req.body?.taskId, () => handler(req, res, next)).catch(next);
+}
+
+function isAssignmentExpired(entry, now = Date.now()) {
+  const assignedAt = entry.assignedAt ? new Date(entry.assignedAt).getTime() : 0;
+  const expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : assignedAt + BUCKET_TIMEOUT_MS;
+  return Number.isFinite(expiresAt) && now > expiresAt;
+}
+
 function sweepExpiredAssignments(db, taskId) {
-  const assignments = db.data.chunkAssignments || [];
   const now = Date.now();
+  const task = db.tasks.get(taskId);
   let removed = false;
-  for (let i = assignments.length - 1; i >= 0; i--) {
-    const entry = assignments[i];
-    if (entry.taskId !== taskId) continue;
-    const assignedAt = entry.assignedAt ? new Date(entry.assignedAt).getTime() : 0;
-    const expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : assignedAt + BUCKET_TIMEOUT_MS;
-    if (Number.isFinite(expiresAt) && now > expiresAt) {
-      assignments.splice(i, 1);
+  let settled = false;
+  for (const entry of db.chunkAssignments.where("taskId", taskId)) {
+    if (isAssignmentExpired(entry, now)) {
+      settled = releaseAssignment(db, task, entry, "lease-expired") || settled;
       removed = true;
     }
   }
+  if (settled) refreshTaskProgress(task, db);
   return removed;
 }
 
-function clearTaskAssignments(db, taskId) {
-  const assignments = db.data.chunkAssignments || [];
-  let removed = false;
-  for (let i = assignments.length - 1; i >= 0; i--) {
-    if (assignments[i]?.taskId === taskId) {
-      assignments.splice(i, 1);
-      removed = true;
-    }
-  }
-  return removed;
+function issueLeaseToken() {
+  return nanoid(32);
 }
 
-function normalizeRange(entry, fallbackIndex = null) {
-  if (!entry) return null;
-  const start = Number.isFinite(entry.rangeStart) ? entry.rangeStart : null;
-  const end = Number.isFinite(entry.rangeEnd) ? entry.rangeEnd : null;
-  if (start !== null && end !== null && end > start) {
-    return { start, end };
+// A lease granted or renewed now runs for the task's lease duration
+function leaseExpiresAt(task, now = Date.now()) {
+  return new Date(now + resolveLeaseDuration(task, BUCKET_TIMEOUT_MS)).toISOString();
+}
+
+// Progress and results are only accepted from the holder of the chunk's current lease. An expired
+// lease is refused even before the sweep removes it, because its range may already be handed out again.
+function resolveLease(db, taskId, chunkIndex, leaseToken) {
+  // replicas of a bucket share its chunk index, so the token picks the assignment
+  const assignment = db.chunkAssignments
+    .where("taskId", taskId)
+    .find((entry) => entry.chunkIndex === chunkIndex && entry.leaseToken && entry.leaseToken === leaseToken);
+  if (!assignment) {
+    return { assignment: null, reason: "lease-lost" };
   }
-  if (fallbackIndex !== null) {
-    const itemsCount = Number.isFinite(entry.itemsCount) ? Math.max(1, entry.itemsCount) : 1;
-    return { start: fallbackIndex, end: fallbackIndex + itemsCount };
+  if (isAssignmentExpired(assignment)) {
+    return { assignment: null, reason: "lease-expired" };
   }
-  return null;
+  return { assignment, reason: null };
 }
 
-function collectRanges(entries) {
-  const ranges = [];
-  for (const entry of entries) {
-    const fallbackIndex = Number.isFinite(entry.chunkIndex) ? entry.chunkIndex : null;
-    const range = normalizeRange(entry, fallbackIndex);
-    if (range) {
-      ranges.push(range);
-    }
+// Keep a short trail of refused submissions on the task instead of silently dropping them
+function quarantineSubmission(task, entry) {
+  task.leaseRejections = Array.isArray(task.leaseRejections) ? task.leaseRejections : [];
+  task.leaseRejections.push({ ...entry, rejectedAt: new Date().toISOString() });
+  if (task.leaseRejections.length > MAX_LEASE_REJECTIONS_STORED) {
+    task.leaseRejections.splice(0, task.leaseRejections.length - MAX_LEASE_REJECTIONS_STORED);
   }
-  return ranges;
 }
 
-function truncateText(value, limit = ITEM_PREVIEW_LIMIT) {
-  if (typeof value !== "string") return "";
-  if (value.length <= limit) return value;
-  return `${value.slice(0, limit)}... (+${value.length - limit} chars)`;
+// Buckets of a replicated task that still need a run from another worker, lowest chunk index first.
+// A bucket counts as covered by its active leases plus the replicas already submitted.
+function findOpenReplicaSlot(assignments, results, workerId, factor) {
+  const buckets = new Map();
+  const track = (chunkIndex, source, participant) => {
+    if (!Number.isFinite(chunkIndex)) return;
+    if (!buckets.has(chunkIndex)) buckets.set(chunkIndex, { chunkIndex, source, runs: 0, workers: new Set() });
+    const bucket = buckets.get(chunkIndex);
+    bucket.runs += 1;
+    if (participant) bucket.workers.add(participant);
+  };
+  for (const entry of assignments) {
+    if (!entry.reduce) track(entry.chunkIndex, entry, entry.workerId);
+  }
+  for (const result of results) {
+    if (result.status !== "verifying" || !Array.isArray(result.replicas)) continue;
+    for (const replica of result.replicas) track(result.chunkIndex, result, replica.workerId);
+  }
+  const open = [...buckets.values()]
+    .filter((bucket) => bucket.runs < factor && !bucket.workers.has(workerId))
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  if (!open.length) return null;
+  const { chunkIndex, source } = open[0];
+  const range = normalizeRange(source, chunkIndex);
+  if (!range) return null;
+  return { chunkIndex, rangeStart: range.start, rangeEnd: range.end, bytesUsed: source.bytesUsed ?? null };
 }
 
-function safeStringify(input) {
-  try {
-    if (typeof input === "string") return input;
-    return JSON.stringify(input);
-  } catch (error) {
-    return String(input);
+// Stores one worker's run of a replicated bucket. Nothing is paid until `factor` runs are in; then the
+// outputs are compared and either the quorum's workers are paid or the bucket is flagged as disputed.
+function recordReplicaSubmission(db, task, submission) {
+  const replication = resolveReplication(task);
+  const { chunkIndex, rangeStart, rangeEnd } = submission;
+  const now = new Date().toISOString();
+  let result = db.chunkResults.where("taskId", task.id).find((r) => r.chunkIndex === chunkIndex);
+  if (!result) {
+    result = db.chunkResults.insert({
+      id: nanoid(),
+      taskId: task.id,
+      chunkIndex,
+      status: "verifying",
+      resultText: null,
+      createdAt: now,
+      updatedAt: now,
+      rangeStart: Number.isFinite(rangeStart) ? rangeStart : null,
+      rangeEnd: Number.isFinite(rangeEnd) ? rangeEnd : null,
+      itemsCount: submission.itemsCount,
+      bytesUsed: null,
+      output: null,
+      error: null,
+      itemResults: [],
+      itemResultsTotal: 0,
+      itemResultsTruncated: false,
+      processedItems: 0,
+      workerId: null,
+    });
+  }
+  if (!Array.isArray(result.replicas)) result.replicas = [];
+  if (!result.verification) result.verification = { ...replication, state: "pending" };
+  if (result.verification.state !== "pending") {
+    return { result, verification: result.verification, payout: false, decided: false };
   }
-}
 
-function sanitizeItemResults(raw) {
-  if (!Array.isArray(raw) || raw.length === 0) {
-    return { items: [], total: 0, truncated: false };
+  result.replicas.push({
+    workerId: submission.workerId,
+    codeVersion: submission.codeVersion,
+    status: submission.status,
+    outputHash: submission.outputHash,
+    resultText: submission.resultText || null,
+    output: submission.output || null,
+    error: submission.error,
+    itemResults: submission.itemResults,
+    itemResultsTotal: submission.itemResultsTotal,
+    itemResultsTruncated: submission.itemResultsTruncated,
+    bytesUsed: Number.isFinite(submission.bytesUsed) ? submission.bytesUsed : null,
+    submittedAt: now,
+    agreed: null,
+  });
+  result.status = "verifying";
+  result.processedItems = submission.itemsCount;
+  result.updatedAt = now;
+  if (result.replicas.length < replication.factor) {
+    return { result, verification: result.verification, payout: false, decided: false };
   }
-  const limited = raw.slice(0, MAX_ITEM_RESULTS_STORED);
-  const items = limited.map((item, idx) => {
-    const globalIndex = Number.isFinite(item?.globalIndex) ? item.globalIndex : null;
-    const localIndex = Number.isFinite(item?.localIndex) ? item.localIndex : idx;
-    const status = item?.status === "failed" ? "failed" : item?.status === "skipped" ? "skipped" : "completed";
-    const inputPreviewSource = typeof item?.inputPreview === "string" && item.inputPreview.trim().length > 0 ? item.inputPreview : safeStringify(item?.input ?? item?.inputValue ?? null);
-    const outputSource = typeof item?.output === "string" ? item.output : safeStringify(item?.output ?? null);
-    const errorSource = typeof item?.error === "string" ? item.error : null;
-    return {
-      globalIndex,
-      localIndex,
-      status,
-      inputPreview: truncateText(inputPreviewSource || ""),
-      output: truncateText(outputSource || ""),
-      error: errorSource ? truncateText(errorSource) : null,
-    };
+
+  const verdict = evaluateQuorum(result.replicas, replication);
+  result.verification.decidedAt = now;
+  result.verification.distinctOutputs = verdict.groups;
+  if (!verdict.verified) {
+    result.replicas.forEach((replica) => { replica.agreed = false; });
+    result.status = "disputed";
+    result.verification.state = "disputed";
+    result.output = `Replicas disagreed: ${verdict.groups} distinct outputs from ${result.replicas.length} workers`;
+    task.disputedChunks = Array.isArray(task.disputedChunks) ? task.disputedChunks : [];
+    task.disputedChunks.push({
+      chunkIndex,
+      rangeStart: result.rangeStart,
+      rangeEnd: result.rangeEnd,
+      workerIds: result.replicas.map((replica) => replica.workerId),
+      distinctOutputs: verdict.groups,
+      flaggedAt: now,
+    });
+    return { result, verification: result.verification, payout: false, decided: true };
+  }
+
+  const agreeing = result.replicas.filter((replica) => replica.outputHash === verdict.hash);
+  result.replicas.forEach((replica) => { replica.agreed = replica.outputHash === verdict.hash; });
+  const canonical = agreeing[0];
+  result.status = canonical.status;
+  result.resultText = canonical.resultText;
+  result.output = canonical.output;
+  result.error = canonical.error;
+  result.itemResults = canonical.itemResults;
+  result.itemResultsTotal = canonical.itemResultsTotal;
+  result.itemResultsTruncated = canonical.itemResultsTruncated;
+  result.bytesUsed = canonical.bytesUsed;
+  result.workerId = canonical.workerId;
+  result.codeVersion = canonical.codeVersion;
+  result.verification.state = "verified";
+  const payees = agreeing.map((replica) => replica.workerId);
+  const payout = issueChunkPayout(db, task, result, payees);
+  if (payout) result.paidWorkerIds = payees;
+  return { result, verification: result.verification, payout, decided: true };
+}
+
+// One entry per finished run of a bucket, kept on the result so retries can be traced
+function recordAttempt(result, { workerId, status, error }) {
+  result.attempts = Array.isArray(result.attempts) ? result.attempts : [];
+  const previous = result.attempts[result.attempts.length - 1];
+  result.attempts.push({
+    attempt: (previous?.attempt || 0) + 1,
+    workerId: workerId || null,
+    status,
+    error: error || null,
+    finishedAt: new Date().toISOString(),
   });
-  return {
-    items,
-    total: raw.length,
-    truncated: raw.length > items.length,
-  };
+  if (result.attempts.length > MAX_CHUNK_ATTEMPTS_STORED) {
+    result.attempts.splice(0, result.attempts.length - MAX_CHUNK_ATTEMPTS_STORED);
+  }
 }
 
-function sanitizeSingleItem(raw, fallbacks = {}) {
-  if (!raw || typeof raw !== "object") return null;
-  const safe = sanitizeItemResults([
-    {
-      globalIndex: Number.isFinite(raw.globalIndex) ? raw.globalIndex : fallbacks.globalIndex ?? null,
-      localIndex: Number.isFinite(raw.localIndex) ? raw.localIndex : fallbacks.localIndex ?? null,
-      status: raw.status || fallbacks.status || "completed",
-      inputPreview: raw.inputPreview ?? raw.input ?? raw.inputValue ?? null,
-      output: raw.output ?? null,
-      error: raw.error ?? null,
-    },
-  ]);
-  return safe.items[0] || null;
+// A failed bucket goes back into the pool after a backoff until the task's retry policy is used up.
+// After that it stays failed and sits in the task's dead-letter list until the customer re-queues it.
+function handleFailedChunk(task, result, workerIds) {
+  const policy = resolveRetryPolicy(task);
+  const now = new Date();
+  result.failedAttempts = (result.failedAttempts || 0) + 1;
+  result.triedWorkerIds = [...new Set([...(result.triedWorkerIds || []), ...workerIds.filter(Boolean)])];
+  if (result.failedAttempts < policy.maxAttempts) {
+    result.status = "retrying";
+    result.processedItems = 0;
+    result.retryAt = new Date(now.getTime() + retryDelayMs(policy, result.failedAttempts)).toISOString();
+    if (result.verification) {
+      // the next round of replicas is compared from scratch
+      result.replicas = [];
+      result.verification = { ...resolveReplication(task), state: "pending" };
+    }
+    return "retrying";
+  }
+  result.retryAt = null;
+  task.deadLetter = (Array.isArray(task.deadLetter) ? task.deadLetter : [])
+    .filter((entry) => entry.chunkIndex !== result.chunkIndex);
+  task.deadLetter.push({
+    chunkIndex: result.chunkIndex,
+    rangeStart: result.rangeStart ?? null,
+    rangeEnd: result.rangeEnd ?? null,
+    attempts: result.failedAttempts,
+    lastError: result.error || null,
+    workerIds: result.triedWorkerIds,
+    deadLetteredAt: now.toISOString(),
+  });
+  return "dead-letter";
 }
 
-function buildResultTextFromItems(items, status) {
-  if (!Array.isArray(items) || items.length === 0) {
-    return `[input]\nnone\n[output]\nstatus: ${status}`;
+// Absolute indexes of the failed items in a submission, as contiguous ranges. Returns null unless the
+// bucket partly succeeded, because a bucket that failed outright is retried as a whole.
+function findFailedItemRanges(itemResults, range) {
+  if (!range || !Array.isArray(itemResults)) return null;
+  const failed = new Set();
+  let succeeded = 0;
+  itemResults.forEach((item, idx) => {
+    if (!item || typeof item !== "object") return;
+    const index = Number.isFinite(item.globalIndex)
+      ? item.globalIndex
+      : range.start + (Number.isFinite(item.localIndex) ? item.localIndex : idx);
+    if (index < range.start || index >= range.end) return;
+    if (item.status === "failed") failed.add(index);
+    else succeeded += 1;
+  });
+  if (!failed.size || !succeeded) return null;
+  const ranges = [];
+  for (const index of [...failed].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === index) last.end += 1;
+    else ranges.push({ start: index, end: index + 1 });
+  }
+  return { ranges, failedCount: failed.size };
+}
+
+// Bucket a carved item retry belongs to; item retries of item retries still point at the original.
+function findRootResult(db, result) {
+  if (result.parentChunkIndex == null) return result;
+  return db.chunkResults.where("taskId", result.taskId).find((r) => r.chunkIndex === result.parentChunkIndex) || result;
+}
+
+// Share of the original bucket's price a submission is billed for: its successful items out of the
+// bucket's items. Whole buckets that fully succeeded are billed in full without this.
+function itemShareOfBucket(db, result, failedCount) {
+  const root = findRootResult(db, result);
+  const rootRange = normalizeRange(root, root.chunkIndex);
+  const rootItems = rootRange ? rootRange.end - rootRange.start : Number(root.itemsCount) || 0;
+  const range = normalizeRange(result, result.chunkIndex);
+  const items = range ? range.end - range.start : Number(result.itemsCount) || 0;
+  return rootItems > 0 ? Math.max(0, items - failedCount) / rootItems : 0;
+}
+
+// Keeps the successful items of a partly failed bucket and gives every run of failed items its own
+// result, which then goes through the task's retry policy like a failed bucket.
+function carveFailedItems(db, task, result, split, workerId) {
+  const root = findRootResult(db, result);
+  const now = new Date().toISOString();
+
+  result.status = "completed";
+  root.pendingItemRanges = Array.isArray(root.pendingItemRanges) ? root.pendingItemRanges : [];
+  for (const range of split.ranges) {
+    const chunkIndex = task.nextChunkIndex || 0;
+    task.nextChunkIndex = chunkIndex + 1;
+    const child = db.chunkResults.insert({
+      id: nanoid(),
+      taskId: task.id,
+      chunkIndex,
+      parentChunkIndex: root.chunkIndex,
+      status: "failed",
+      resultText: null,
+      createdAt: now,
+      updatedAt: now,
+      rangeStart: range.start,
+      rangeEnd: range.end,
+      itemsCount: range.end - range.start,
+      bytesUsed: null,
+      output: null,
+      error: result.error || null,
+      itemResults: [],
+      itemResultsTotal: 0,
+      itemResultsTruncated: false,
+      processedItems: 0,
+      workerId: null,
+    });
+    recordAttempt(child, { workerId, status: "failed", error: child.error });
+    handleFailedChunk(task, child, [workerId]);
+    root.pendingItemRanges.push({ chunkIndex, rangeStart: range.start, rangeEnd: range.end });
+  }
+}
+
+// Folds a finished item retry back into its original bucket: its item outputs replace the failed
+// entries there and its range is no longer pending. The retry's own result is hidden from the results view.
+function mergeItemRetry(db, result) {
+  const root = findRootResult(db, result);
+  if (root === result) return;
+  const items = Array.isArray(root.itemResults) ? root.itemResults : [];
+  for (const rawItem of result.itemResults || []) {
+    // items re-run under another code version than the rest of the bucket say which one
+    const item = result.codeVersion != null && result.codeVersion !== root.codeVersion
+      ? { ...rawItem, codeVersion: result.codeVersion }
+      : rawItem;
+    const idx = items.findIndex((entry) => entry.globalIndex === item.globalIndex);
+    if (idx !== -1) items[idx] = item;
+    else if (items.length < MAX_ITEM_RESULTS_STORED) items.push(item);
+  }
+  items.sort((a, b) => (a.globalIndex ?? 0) - (b.globalIndex ?? 0));
+  root.itemResults = items;
+  root.pendingItemRanges = (root.pendingItemRanges || []).filter((entry) => entry.chunkIndex !== result.chunkIndex);
+  root.updatedAt = new Date().toISOString();
+  result.mergedInto = root.chunkIndex;
+}
+
+// Ends a lease whose worker dropped the task or let it run out. A bucket given up part way keeps the
+// items its worker reported; anything else goes back whole.
+function releaseAssignment(db, task, assignment, reason) {
+  db.chunkAssignments.remove(assignment);
+  if (!task || assignment.reduce) return false;
+  const result = db.chunkResults.where("taskId", task.id).find((r) => r.chunkIndex === assignment.chunkIndex);
+  if (!result || !["processing", "retrying"].includes(result.status)) return false;
+  // a replica or speculative copy still running may finish the whole bucket
+  if (db.chunkAssignments.where("taskId", task.id).some((entry) => entry.chunkIndex === assignment.chunkIndex)) return false;
+  if (settlePartialBucket(db, task, result, assignment, reason)) return true;
+  if (result.status === "processing") {
+    // otherwise the first run's progress entry would keep the items it reported off the market
+    db.chunkResults.remove(result);
+  }
+  return false;
+}
+
+// The items reported before the lease ended, [rangeStart, progressRangeEnd), become a completed result
+// billed for their share of the bucket, and [progressRangeEnd, rangeEnd) becomes a result of its own
+// that is handed out like an item retry and folded back in once done. Replicated buckets are only
+// compared whole, so they are never split.
+function settlePartialBucket(db, task, result, assignment, reason) {
+  if (resolveReplication(task).factor > 1) return false;
+  const range = normalizeRange(assignment);
+  if (!range || !Number.isFinite(assignment.progressRangeEnd)) return false;
+  const progressEnd = Math.min(assignment.progressRangeEnd, range.end);
+  if (progressEnd <= range.start) return false;
+  const head = { start: range.start, end: progressEnd };
+  const split = findFailedItemRanges(result.itemResults, head);
+  const headItems = (result.itemResults || []).filter((item) => item?.globalIndex >= head.start && item.globalIndex < head.end);
+  // a head where every reported item failed is worth nothing on its own
+  if (!split && headItems.length > 0 && headItems.every((item) => item.status === "failed")) return false;
+
+  const root = findRootResult(db, result);
+  const now = new Date().toISOString();
+  const processed = progressEnd - range.start;
+  const remaining = range.end - progressEnd;
+  result.rangeStart = range.start;
+  result.rangeEnd = range.end;
+  result.itemsCount = range.end - range.start;
+  result.billableFraction = itemShareOfBucket(db, result, (split?.failedCount || 0) + remaining);
+  if (result !== root) {
+    // an item retry only keeps its own items; the rest is pending on the original bucket
+    result.rangeEnd = progressEnd;
+    result.itemsCount = processed;
+  }
+  result.status = "completed";
+  result.retryAt = null;
+  result.processedItems = processed;
+  result.itemResultsTotal = processed;
+  result.output = `Completed ${processed} / ${processed + remaining} item(s) before the lease ended (${reason})`;
+  result.partial = { workerId: assignment.workerId || null, reason, processedItems: processed, releasedAt: now };
+  result.workerId = assignment.workerId || result.workerId || null;
+  result.codeVersion = assignmentCodeVersion(assignment);
+  result.updatedAt = now;
+  compactItemOutputs(task, String(result.chunkIndex));
+  if (split) {
+    carveFailedItems(db, task, result, split, assignment.workerId);
+  }
+  if (remaining > 0) {
+    const chunkIndex = task.nextChunkIndex || 0;
+    task.nextChunkIndex = chunkIndex + 1;
+    db.chunkResults.insert({
+      id: nanoid(),
+      taskId: task.id,
+      chunkIndex,
+      parentChunkIndex: root.chunkIndex,
+      continuation: true,
+      status: "retrying",
+      retryAt: null,
+      resultText: null,
+      createdAt: now,
+      updatedAt: now,
+      rangeStart: progressEnd,
+      rangeEnd: range.end,
+      itemsCount: remaining,
+      bytesUsed: null,
+      output: null,
+      error: null,
+      itemResults: [],
+      itemResultsTotal: 0,
+      itemResultsTruncated: false,
+      processedItems: 0,
+      workerId: null,
+    });
+    root.pendingItemRanges = Array.isArray(root.pendingItemRanges) ? root.pendingItemRanges : [];
+    root.pendingItemRanges.push({ chunkIndex, rangeStart: progressEnd, rangeEnd: range.end });
+  }
+  if (result !== root) {
+    mergeItemRetry(db, result);
+  }
+  issueChunkPayout(db, task, result, assignment.workerId || null);
+  return true;
+}
+
+// Failed buckets whose backoff has passed and that nobody holds a lease on, lowest chunk index first.
+// With preferDifferentWorker a worker that already failed the bucket only gets it back once every
+// worker on the task has tried it.
+function findRetrySlot(task, results, assignments, workerId) {
+  const policy = resolveRetryPolicy(task);
+  const now = Date.now();
+  const leased = new Set(assignments.map((entry) => entry.chunkIndex));
+  const assignedWorkers = Array.isArray(task.assignedWorkers) ? task.assignedWorkers : [];
+  const due = results
+    .filter((result) => result.status === "retrying" && !leased.has(result.chunkIndex))
+    .filter((result) => !result.retryAt || Date.parse(result.retryAt) <= now)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  for (const result of due) {
+    const tried = Array.isArray(result.triedWorkerIds) ? result.triedWorkerIds : [];
+    if (policy.preferDifferentWorker && tried.includes(workerId) && assignedWorkers.some((id) => !tried.includes(id))) {
+      continue;
+    }
+    const range = normalizeRange(result, result.chunkIndex);
+    if (!range) continue;
+    return { chunkIndex: result.chunkIndex, rangeStart: range.start, rangeEnd: range.end, bytesUsed: result.bytesUsed ?? null };
+  }
+  return null;
+}
+
+function insertChunkAssignment(db, taskId, workerId, chunkIndex, { rangeStart, rangeEnd, bytesUsed }) {
+  const now = new Date().toISOString();
+  const task = db.tasks.get(taskId);
+  return db.chunkAssignments.insert({
+    id: nanoid(),
+    taskId,
+    chunkIndex,
+    workerId,
+    assignedAt: now,
+    expiresAt: leaseExpiresAt(task),
+    // the run keeps this code version even if a newer one is uploaded while it is out
+    codeVersion: currentCodeVersion(task),
+    leaseToken: issueLeaseToken(),
+    rangeStart,
+    rangeEnd,
+    itemsCount: rangeEnd - rangeStart,
+    processedCount: 0,
+    progressRangeEnd: rangeStart,
+    bytesUsed,
+    lastBatchOffset: 0,
+    lastBatchSize: 0,
+    updatedAt: now,
+  });
+}
+
+// The code bundle a worker must run for an assignment, added to every next-chunk answer
+function describeAssignmentCode(task, assignment) {
+  const version = assignmentCodeVersion(assignment);
+  const entry = findCodeVersion(task, version);
+  const storageId = getTaskStorageId(task);
+  return {
+    codeVersion: version,
+    codeUrl: entry && task.baseUrl && storageId ? `${task.baseUrl}/storage/${storageId}/${entry.fileName}` : null,
+  };
+}
+
+// Measures the worker's items/second between progress reports of a bucket; reports that come too
+// soon after the last measurement are left for the next one
+function sampleThroughput(task, assignment, processed, now = Date.now()) {
+  const baseCount = Number.isFinite(assignment.rateSampleCount) ? assignment.rateSampleCount : 0;
+  const baseAt = Date.parse(assignment.rateSampleAt || assignment.assignedAt);
+  if (processed < baseCount || !Number.isFinite(baseAt)) {
+    // a resumed bucket starts over
+    assignment.rateSampleCount = processed;
+    assignment.rateSampleAt = new Date(now).toISOString();
+    return;
+  }
+  if (processed === baseCount || now - baseAt < MIN_RATE_SAMPLE_MS) return;
+  recordThroughput(task, assignment.workerId, processed - baseCount, now - baseAt, now);
+  assignment.rateSampleCount = processed;
+  assignment.rateSampleAt = new Date(now).toISOString();
+}
+
+function clearTaskAssignments(db, taskId) {
+  let removed = false;
+  for (const entry of db.chunkAssignments.where("taskId", taskId)) {
+    db.chunkAssignments.remove(entry);
+    removed = true;
+  }
+  return removed;
+}
+
+// Message for a worker asking to claim or fetch buckets of a task in this state, or null when it may.
+// Cancelled tasks answer "revoked" as they did before the lifecycle states.
+function describeUnavailableState(state) {
+  if (state === "cancelling" || state === "cancelled") return "revoked";
+  if (state === "draft" || state === "expired") return state;
+  return null;
+}
+
+// The first work on a queued task starts it; other states stay as they are
+function markTaskRunning(task, reason) {
+  if (resolveTaskState(task) === "queued") transitionTask(task, "running", reason);
+}
+
+// Ends a task that ran past its deadline: workers are released like on /revoke, and whatever the task
+// did not spend is no longer available to it.
+function expireTask(db, task) {
+  const { budgetTotal, budgetSpent } = resolveTaskBudget(task);
+  if (!transitionTask(task, "expired", "deadline")) return;
+  task.expiredAt = new Date().toISOString();
+  task.assignedWorkers = [];
+  clearTaskAssignments(db, task.id);
+  task.budgetReleased = Number(Math.max(0, budgetTotal - budgetSpent).toFixed(6));
+}
+
+function normalizeRange(entry, fallbackIndex = null) {
+  if (!entry) return null;
+  const start = Number.isFinite(entry.rangeStart) ? entry.rangeStart : null;
+  const end = Number.isFinite(entry.rangeEnd) ? entry.rangeEnd : null;
+  if (start !== null && end !== null && end > start) {
+    return { start, end };
+  }
+  if (fallbackIndex !== null) {
+    const itemsCount = Number.isFinite(entry.itemsCount) ? Math.max(1, entry.itemsCount) : 1;
+    return { start: fallbackIndex, end: fallbackIndex + itemsCount };
+  }
+  return null;
+}
+
+function collectRanges(entries) {
+  const ranges = [];
+  for (const entry of entries) {
+    const fallbackIndex = Number.isFinite(entry.chunkIndex) ? entry.chunkIndex : null;
+    const range = normalizeRange(entry, fallbackIndex);
+    if (range) {
+      ranges.push(range);
+    }
+  }
+  return ranges;
+}
+
+function truncateText(value, limit = ITEM_PREVIEW_LIMIT) {
+  if (typeof value !== "string") return "";
+  if (value.length <= limit) return value;
+  return `${value.slice(0, limit)}... (+${value.length - limit} chars)`;
+}
+
+function safeStringify(input) {
+  try {
+    if (typeof input === "string") return input;
+    return JSON.stringify(input);
+  } catch (error) {
+    return String(input);
+  }
+}
+
+function sanitizeItemResults(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { items: [], total: 0, truncated: false };
+  }
+  const limited = raw.slice(0, MAX_ITEM_RESULTS_STORED);
+  const items = limited.map((item, idx) => {
+    const globalIndex = Number.isFinite(item?.globalIndex) ? item.globalIndex : null;
+    const localIndex = Number.isFinite(item?.localIndex) ? item.localIndex : idx;
+    const status = item?.status === "failed" ? "failed" : item?.status === "skipped" ? "skipped" : "completed";
+    const inputPreviewSource = typeof item?.inputPreview === "string" && item.inputPreview.trim().length > 0 ? item.inputPreview : safeStringify(item?.input ?? item?.inputValue ?? null);
+    const outputSource = typeof item?.output === "string" ? item.output : safeStringify(item?.output ?? null);
+    const errorSource = typeof item?.error === "string" ? item.error : null;
+    return {
+      globalIndex,
+      localIndex,
+      status,
+      inputPreview: truncateText(inputPreviewSource || ""),
+      output: truncateText(outputSource || ""),
+      error: errorSource ? truncateText(errorSource) : null,
+    };
+  });
+  return {
+    items,
+    total: raw.length,
+    truncated: raw.length > items.length,
+  };
+}
+
+function sanitizeSingleItem(raw, fallbacks = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  const safe = sanitizeItemResults([
+    {
+      globalIndex: Number.isFinite(raw.globalIndex) ? raw.globalIndex : fallbacks.globalIndex ?? null,
+      localIndex: Number.isFinite(raw.localIndex) ? raw.localIndex : fallbacks.localIndex ?? null,
+      status: raw.status || fallbacks.status || "completed",
+      inputPreview: raw.inputPreview ?? raw.input ?? raw.inputValue ?? null,
+      output: raw.output ?? null,
+      error: raw.error ?? null,
+    },
+  ]);
+  return safe.items[0] || null;
+}
+
+function buildResultTextFromItems(items, status) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return `[input]\nnone\n[output]\nstatus: ${status}`;
   }
   const previewLimit = 20;
   const limited = items.slice(0, previewLimit);
@@ -805,27 +1705,35 @@ function buildAssignmentSummary(entry) {
     progressRangeEnd: Number.isFinite(entry?.progressRangeEnd) ? entry.progressRangeEnd : null,
     lastBatchOffset: Number.isFinite(entry?.lastBatchOffset) ? entry.lastBatchOffset : null,
     lastBatchSize: Number.isFinite(entry?.lastBatchSize) ? entry.lastBatchSize : null,
+    reduce: Boolean(entry?.reduce),
+    speculative: Boolean(entry?.speculative),
     updatedAt: entry?.updatedAt || null,
   };
 }
 
-function indexCovered(index, ranges) {
+function findOpenIndex(total, ranges) {
+  const ordered = [...ranges].sort((a, b) => a.start - b.start);
+  let cursor = 0;
+  for (const range of ordered) {
+    if (range.start > cursor) break;
+    cursor = Math.max(cursor, range.end);
+  }
+  return cursor < total ? cursor : null;
+}
+
+function findOpenRunEnd(start, total, ranges) {
+  let limit = total;
   for (const range of ranges) {
-    if (index >= range.start && index < range.end) return true;
+    if (range.start > start && range.start < limit) limit = range.start;
   }
-  return false;
+  return limit;
 }
 
-function calculateBucket(task, items, finishedRanges, assignedRanges) {
+// itemSizes holds the byte size of each item in the open run beginning at `start`; maxItems, when
+// set, caps the bucket's item count on top of the byte limit
+function calculateBucket(task, start, itemSizes, maxItems = null) {
   const cfg = task.bucketConfig;
-  const total = items.length;
-  const itemSizes = items.map((item) => {
-    try {
-      return Buffer.byteLength(JSON.stringify(item));
-    } catch (e) {
-      return 0;
-    }
-  });
+  const total = maxItems ? Math.min(itemSizes.length, maxItems) : itemSizes.length;
   const ensureItemFits = (size) => {
     let changed = false;
     while (cfg.maxBuckets > 1 && size > cfg.maxBucketBytes) {
@@ -840,16 +1748,9 @@ function calculateBucket(task, items, finishedRanges, assignedRanges) {
     return changed;
   };
 
-  let start = null;
-  for (let i = 0; i < total; i++) {
-    if (!indexCovered(i, finishedRanges) && !indexCovered(i, assignedRanges)) {
-      start = i;
-      break;
-    }
-  }
-  if (start === null) return null;
+  if (total === 0) return null;
 
-  const firstSize = itemSizes[start] || 0;
+  const firstSize = itemSizes[0] || 0;
   if (ensureItemFits(firstSize)) {
     // first item forced config change; make sure totals reflect update
     task.totalChunks = cfg.maxBuckets;
@@ -858,12 +1759,9 @@ function calculateBucket(task, items, finishedRanges, assignedRanges) {
 
   let limit = cfg.maxBucketBytes;
   let bytesUsed = 0;
-  let end = start;
+  let end = 0;
 
   while (end < total) {
-    if (indexCovered(end, finishedRanges) || indexCovered(end, assignedRanges)) {
-      break;
-    }
     const size = itemSizes[end] || 0;
     if (size > limit) {
       const changed = ensureItemFits(size);
@@ -875,9 +1773,9 @@ function calculateBucket(task, items, finishedRanges, assignedRanges) {
     }
     if (size > limit) {
       // still too large, assign as single item bucket
-      if (end === start) {
+      if (end === 0) {
         bytesUsed = size;
-        end = start + 1;
+        end = 1;
       }
       break;
     }
@@ -889,29 +1787,46 @@ function calculateBucket(task, items, finishedRanges, assignedRanges) {
     if (bytesUsed >= limit) break;
   }
 
-  if (end === start) {
+  if (end === 0) {
     // ensure we advance by at least one item
-    const size = itemSizes[start] || 0;
-    bytesUsed = size;
-    end = start + 1;
+    bytesUsed = itemSizes[0] || 0;
+    end = 1;
   }
 
   return {
     rangeStart: start,
-    rangeEnd: Math.min(end, total),
+    rangeEnd: start + Math.min(end, total),
     bytesUsed: bytesUsed || 0,
   };
 }
 
+async function planNextBucket(task, dataset, finishedRanges, assignedRanges, maxItems = null) {
+  const taken = [
+    ...finishedRanges,
+    ...assignedRanges,
+    ...(dataset.unavailableRanges || []),
+    ...(dataset.droppedRanges || []),
+  ];
+  const start = findOpenIndex(dataset.total, taken);
+  if (start === null) return null;
+  const runEnd = findOpenRunEnd(start, dataset.total, taken);
+  const window = await dataset.readWindow(start, runEnd, task.bucketConfig.maxBucketBytes);
+  const bucket = calculateBucket(task, start, window.sizes, maxItems);
+  if (!bucket) return null;
+  return {
+    ...bucket,
+    chunkData: window.items.slice(0, bucket.rangeEnd - bucket.rangeStart),
+  };
+}
+
 function computeProgress(task, db) {
-  const resultsArr = db.data.chunkResults || [];
-  const finishedStatuses = new Set(["completed", "skipped", "failed"]);
+  const finishedStatuses = new Set(["completed", "skipped", "failed", "disputed"]);
   let processedChunks = 0;
   let processedItems = 0;
 
-  for (const result of resultsArr) {
-    if (result.taskId !== task.id) continue;
-
+  for (const result of db.chunkResults.where("taskId", task.id)) {
+    // a merged item retry is counted through the bucket it was carved from
+    if (result.mergedInto != null) continue;
     const range = normalizeRange(result, Number.isFinite(result.chunkIndex) ? result.chunkIndex : null);
     const totalFromRange = range ? Math.max(0, range.end - range.start) : null;
     const totalFromCount = Number.isFinite(result.itemsCount) ? Math.max(0, result.itemsCount) : null;
@@ -920,9 +1835,12 @@ function computeProgress(task, db) {
 
     let processedForResult = 0;
     if (finishedStatuses.has(result.status)) {
-      processedChunks += 1;
+      if (result.parentChunkIndex == null) processedChunks += 1;
       processedForResult = totalFromRange ?? totalFromCount ?? processedHint ?? totalFallback ?? 0;
-    } else if (result.status === "processing") {
+      for (const pending of result.pendingItemRanges || []) {
+        processedForResult -= Math.max(0, pending.rangeEnd - pending.rangeStart);
+      }
+    } else if (["processing", "verifying", "retrying"].includes(result.status)) {
       processedForResult = processedHint ?? totalFromRange ?? totalFallback ?? 0;
     }
 
@@ -945,9 +1863,21 @@ function computeProgress(task, db) {
     progress = Math.min(100, Math.round((processedChunks / chunkGoal) * 100));
   }
   task.progress = progress;
-  if (progress === 100 && task.status !== "completed") {
-    task.status = "completed";
+}
+
+// Recounts progress after a write and settles the task once every bucket is in. Reads only call
+// computeProgress, so listing tasks never changes their state.
+function refreshTaskProgress(task, db) {
+  computeProgress(task, db);
+  if (task.progress !== 100 || !["queued", "running", "paused"].includes(resolveTaskState(task))) return;
+  const reduce = task.reduce;
+  if (reduce?.entrypoint && reduce.state !== "completed") {
+    // every bucket is in, but the task is only done once its reducer ran
+    if (reduce.state === "waiting") reduce.state = "pending";
+    if (reduce.state === "failed") transitionTask(task, "failed", "reducer-failed");
+    return;
   }
+  transitionTask(task, "completed", "all-items-processed");
 }
 
 app.get("/api/me", (req, res) => {
@@ -957,9 +1887,7 @@ app.get("/api/me", (req, res) => {
     if (!sessionUser) {
       return res.status(404).json({ error: "User session not found" });
     }
-    const transactions = ensureCollection(db, "walletTransactions", []).filter(
-      (entry) => entry?.userId === sessionUser.id
-    );
+    const transactions = db.walletTransactions.where("userId", sessionUser.id);
     transactions.sort((a, b) => {
       const left = a?.createdAt ? new Date(a.createdAt).getTime() : 0;
       const right = b?.createdAt ? new Date(b.createdAt).getTime() : 0;
@@ -1055,12 +1983,11 @@ const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET || null;
 const stripeClient = stripeSecret ? new Stripe(String(stripeSecret), { apiVersion: '2023-08-16' }) : null;
 
 function persistStripeSession(db, record) {
-  const sessions = ensureCollection(db, 'stripeSessions', []);
-  const idx = sessions.findIndex((s) => s.id === record.id);
-  if (idx === -1) {
-    sessions.push(record);
+  const existing = db.stripeSessions.get(record.id);
+  if (!existing) {
+    db.stripeSessions.insert(record);
   } else {
-    sessions[idx] = Object.assign({}, sessions[idx], record);
+    Object.assign(existing, record);
   }
   return record;
 }
@@ -1176,6 +2103,247 @@ app.post("/api/stripe/webhook", async (req, res) => {
   }
 });
 
+// Checks the options of a task submission (POST /api/tasks or a schedule's task template) that need no
+// storage or database access. Returns { options } or { error } with a message for a 400.
+function parseTaskSubmission(body) {
+  const {
+    name,
+    capabilityRequired,
+    creditCost,
+    totalChunks,
+    costPerChunk: costPerChunkRaw,
+    maxBillableChunks: maxBillableChunksRaw,
+    replicationFactor,
+    replicationQuorum,
+    verificationMode,
+    maxAttempts,
+    retryBackoffMs,
+    retryPreferDifferentWorker,
+    priority: priorityRaw,
+    upstreamTaskId,
+    upstreamMode,
+    reducer,
+    deadline: deadlineRaw,
+    bucketTargetSeconds,
+    minBucketItems,
+    maxBucketItems,
+    leaseDurationMs: leaseDurationRaw,
+  } = body || {};
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  if (!trimmedName) {
+    return { error: "name is required" };
+  }
+  if (!capabilityRequired) {
+    return { error: "capabilityRequired is required" };
+  }
+  const requiredCapability = String(capabilityRequired).trim().toLowerCase();
+  if (!KNOWN_CAPABILITIES.includes(requiredCapability)) {
+    return { error: `capabilityRequired must be one of: ${KNOWN_CAPABILITIES.join(", ")}` };
+  }
+  const parsedCost = Number(costPerChunkRaw || creditCost || 0);
+  if (!Number.isFinite(parsedCost) || parsedCost <= 0) {
+    return { error: "costPerChunk must be greater than 0" };
+  }
+  const parsedMaxChunks = Number(maxBillableChunksRaw || totalChunks || 0);
+  const maxBillableChunks = Number.isFinite(parsedMaxChunks) && parsedMaxChunks > 0 ? Math.floor(parsedMaxChunks) : 1;
+  const { config: replication, error: replicationError } = parseReplicationOptions({
+    factor: replicationFactor,
+    quorum: replicationQuorum,
+    mode: verificationMode,
+  });
+  if (replicationError) {
+    return { error: replicationError };
+  }
+  const { policy: retryPolicy, error: retryError } = parseRetryPolicy({
+    maxAttempts,
+    backoffMs: retryBackoffMs,
+    preferDifferentWorker: retryPreferDifferentWorker,
+  });
+  if (retryError) {
+    return { error: retryError };
+  }
+  const { priority, error: priorityError } = parsePriority(priorityRaw);
+  if (priorityError) {
+    return { error: priorityError };
+  }
+  const { config: upstream, error: upstreamError } = parseUpstreamOptions({ upstreamTaskId, upstreamMode });
+  if (upstreamError) {
+    return { error: upstreamError };
+  }
+  const { deadline, error: deadlineError } = parseDeadline(deadlineRaw);
+  if (deadlineError) {
+    return { error: deadlineError };
+  }
+  const { entrypoint: reducerEntrypoint, error: reducerError } = parseReducerEntrypoint(reducer);
+  if (reducerError) {
+    return { error: reducerError };
+  }
+  const { sizing: bucketSizing, error: sizingError } = parseBucketSizing({
+    targetSeconds: bucketTargetSeconds,
+    minItems: minBucketItems,
+    maxItems: maxBucketItems,
+  });
+  if (sizingError) {
+    return { error: sizingError };
+  }
+  const { leaseDurationMs, error: leaseError } = parseLeaseDuration(leaseDurationRaw);
+  if (leaseError) {
+    return { error: leaseError };
+  }
+  return {
+    options: {
+      name: trimmedName,
+      capabilityRequired: requiredCapability,
+      parsedCost,
+      maxBillableChunks,
+      replication,
+      retryPolicy,
+      priority,
+      upstream,
+      deadline,
+      reducerEntrypoint,
+      bucketSizing,
+      leaseDurationMs,
+    },
+  };
+}
+
+// Creates a task from a submission whose code.zip (and dataset, if any) already sit in the task's
+// storage folder. Returns { status, body } for the response.
+// recordFields are stored on the new task as given; clones use them to share the original's dataset
+async function createTask(db, { taskId, body, currentUser, codeFile, dataFile, baseUrl, recordFields = {} }) {
+  const { options, error: submissionError } = parseTaskSubmission(body);
+  if (submissionError) {
+    return { status: 400, body: { error: submissionError } };
+  }
+  const { inputType, metadataJson, creatorId, maxBucketBytes, budgetTotal: budgetTotalRaw } = body;
+  // a draft is stored but handed to no worker until it is queued
+  const initialState = body.draft === true || body.draft === "true" || body.draft === "1" ? "draft" : "queued";
+  const createdAt = new Date().toISOString();
+  const { parsedCost, maxBillableChunks, replication, upstream } = options;
+  const upstreamTask = upstream ? db.tasks.get(upstream.taskId) : null;
+  if (upstream && !upstreamTask) {
+    return { status: 400, body: { error: "upstreamTaskId does not match an existing task" } };
+  }
+  if (upstreamTask && upstreamTask.creatorId !== currentUser.sessionId) {
+    return { status: 403, body: { error: "Upstream task belongs to another customer" } };
+  }
+  const parsedBudget = Number(budgetTotalRaw || 0);
+  const budgetTotal = Number.isFinite(parsedBudget) && parsedBudget > 0
+    ? parsedBudget
+    : parsedCost * maxBillableChunks * (replication?.factor || 1);
+  if (currentUser.walletBalance < budgetTotal) {
+    return { status: 400, body: { error: "Insufficient wallet balance for selected budget" } };
+  }
+  if (!codeFile) {
+    return { status: 400, body: { error: "code.zip upload is required" } };
+  }
+  if (upstream && (dataFile || inputType === "database")) {
+    return { status: 400, body: { error: "A pipeline task reads its items from the upstream task; do not attach data" } };
+  }
+  let databaseItemCount = null;
+  if (inputType === "database") {
+    const source = parseDatabaseSource({ inputType, metadataJson });
+    if (!source) {
+      return { status: 400, body: { error: "metadataJson must include a MongoDB uri, database and collection" } };
+    }
+    try {
+      databaseItemCount = await countDatabaseItems(source, { fresh: true });
+    } catch (error) {
+      console.error("database source check failed", error?.message || error);
+      return { status: 400, body: { error: "Unable to read the attached database collection" } };
+    }
+  }
+  const taskDir = path.join(storageDir, taskId);
+  let dataFormat = null;
+  let datasetOptions = null;
+  let datasetItemCount = null;
+  if (dataFile) {
+    const declaredFormat = typeof body.dataFormat === "string" ? body.dataFormat.trim() : "";
+    if (declaredFormat && declaredFormat !== "auto" && !normalizeDatasetFormat(declaredFormat)) {
+      return { status: 400, body: { error: "dataFormat must be one of json, ndjson or csv" } };
+    }
+    dataFormat = normalizeDatasetFormat(declaredFormat)
+      || detectDatasetFormat(dataFile.originalname, dataFile.path)
+      || "json";
+    const rawDelimiter = typeof body.csvDelimiter === "string" ? body.csvDelimiter : "";
+    const delimiter = rawDelimiter === "tab" || rawDelimiter === "\\t" ? "\t" : rawDelimiter;
+    if (dataFormat === "csv" && delimiter.length === 1) {
+      datasetOptions = { delimiter };
+    }
+    const dataDest = path.join(taskDir, datasetFileName(dataFormat));
+    if (dataFile.path !== dataDest) {
+      fs.renameSync(dataFile.path, dataDest);
+    }
+    try {
+      const index = await buildDatasetIndex(dataDest, dataFormat, datasetOptions || {});
+      datasetItemCount = index.count;
+    } catch (error) {
+      fs.rmSync(taskDir, { recursive: true, force: true });
+      return { status: 400, body: { error: `Unable to parse ${dataFormat} dataset: ${error.message}` } };
+    }
+  }
+  const record = {
+    id: taskId,
+    name: options.name,
+    status: initialState,
+    statusChangedAt: createdAt,
+    statusHistory: [{ from: null, to: initialState, reason: "created", at: createdAt }],
+    creatorId: currentUser.sessionId || creatorId || null,
+    creatorUserId: currentUser.id,
+    capabilityRequired: options.capabilityRequired,
+    creditCost: parsedCost,
+    inputType: upstream ? "upstream" : inputType || "file",
+    metadataJson: metadataJson || null,
+    totalChunks: maxBillableChunks,
+    processedChunks: 0,
+    processedItems: 0,
+    progress: 0,
+    createdAt,
+    result: null,
+    codeFileName: codeFile ? path.basename(codeFile.filename) : null,
+    dataFileName: dataFile ? datasetFileName(dataFormat) : null,
+    dataFormat,
+    datasetOptions,
+    baseUrl,
+    maxBucketBytes: maxBucketBytes ? Number(maxBucketBytes) : null,
+    bucketConfig: {
+      maxBuckets: maxBillableChunks,
+      maxBucketBytes: maxBucketBytes ? Number(maxBucketBytes) : null,
+    },
+    totalItems: upstreamTask ? upstreamTask.totalItems ?? null : databaseItemCount ?? datasetItemCount,
+    nextChunkIndex: 0,
+    storageId: taskId,
+    costPerChunk: parsedCost,
+    budgetTotal,
+    maxBillableChunks,
+    platformFeePercent: Number.isFinite(Number(body.platformFeePercent))
+      ? Number(body.platformFeePercent)
+      : PLATFORM_FEE_PERCENT,
+    budgetSpent: 0,
+    chunksPaid: 0,
+    replication,
+    retryPolicy: options.retryPolicy,
+    priority: options.priority,
+    upstream,
+    reduce: createReduceRun(options.reducerEntrypoint),
+    deadline: options.deadline,
+    bucketSizing: options.bucketSizing,
+    workerThroughput: {},
+    leaseDurationMs: options.leaseDurationMs,
+    codeVersion: 1,
+    codeVersions: [{ version: 1, fileName: path.basename(codeFile.filename), uploadedAt: createdAt, note: null }],
+    ...recordFields,
+  };
+  const codeDest = path.join(taskDir, record.codeFileName);
+  if (codeFile.path !== codeDest) {
+    fs.renameSync(codeFile.path, codeDest);
+  }
+  db.tasks.insert(record);
+  await saveDb();
+  return { status: 201, body: { task: buildTaskResponse(record) } };
+}
+
 app.post(
   "/api/tasks",
   upload.fields([
@@ -1185,97 +2353,19 @@ app.post(
   async (req, res) => {
     try {
       const db = getDb();
-      const taskId = req.taskId || nanoid();
-        const {
-          name,
-          capabilityRequired,
-          creditCost,
-          inputType,
-          metadataJson,
-          totalChunks,
-          creatorId,
-          maxBucketBytes,
-          costPerChunk: costPerChunkRaw,
-          budgetTotal: budgetTotalRaw,
-          maxBillableChunks: maxBillableChunksRaw,
-        } = req.body;
-      const trimmedName = typeof name === "string" ? name.trim() : "";
-      if (!trimmedName) {
-        return res.status(400).json({ error: "name is required" });
-      }
-      if (!capabilityRequired) {
-        return res.status(400).json({ error: "capabilityRequired is required" });
-      }
       const currentUser = req.currentUser || findUserBySessionId(db, req.sessionId);
       if (!currentUser) {
         return res.status(500).json({ error: "Unable to resolve submitting user" });
       }
-      const parsedCost = Number(costPerChunkRaw || creditCost || 0);
-      if (!Number.isFinite(parsedCost) || parsedCost <= 0) {
-        return res.status(400).json({ error: "costPerChunk must be greater than 0" });
-      }
-      const parsedMaxChunks = Number(maxBillableChunksRaw || totalChunks || 0);
-      const maxBillableChunks = Number.isFinite(parsedMaxChunks) && parsedMaxChunks > 0 ? Math.floor(parsedMaxChunks) : 1;
-      const parsedBudget = Number(budgetTotalRaw || 0);
-      const budgetTotal = Number.isFinite(parsedBudget) && parsedBudget > 0 ? parsedBudget : parsedCost * maxBillableChunks;
-      if (currentUser.walletBalance < budgetTotal) {
-        return res.status(400).json({ error: "Insufficient wallet balance for selected budget" });
-      }
-      if (!req.files || !req.files.code) {
-        return res.status(400).json({ error: "code.zip upload is required" });
-      }
-      const codeFile = req.files.code[0];
-      const dataFile = req.files.data ? req.files.data[0] : null;
-      const taskDir = path.join(storageDir, taskId);
-      const record = {
-        id: taskId,
-        name: trimmedName,
-        status: "queued",
-        creatorId: currentUser.sessionId || creatorId || null,
-        creatorUserId: currentUser.id,
-        capabilityRequired,
-        creditCost: parsedCost,
-        inputType: inputType || "file",
-        metadataJson: metadataJson || null,
-        totalChunks: maxBillableChunks,
-        processedChunks: 0,
-        processedItems: 0,
-        progress: 0,
-        createdAt: new Date().toISOString(),
-        result: null,
-        codeFileName: codeFile ? path.basename(codeFile.filename) : null,
-        dataFileName: dataFile ? path.basename(dataFile.filename) : null,
+      const { status, body } = await createTask(db, {
+        taskId: req.taskId || nanoid(),
+        body: req.body || {},
+        currentUser,
+        codeFile: req.files?.code?.[0] || null,
+        dataFile: req.files?.data?.[0] || null,
         baseUrl: `http://${req.headers.host}`,
-        maxBucketBytes: maxBucketBytes ? Number(maxBucketBytes) : null,
-        bucketConfig: {
-          maxBuckets: maxBillableChunks,
-          maxBucketBytes: maxBucketBytes ? Number(maxBucketBytes) : null,
-        },
-        totalItems: null,
-        nextChunkIndex: 0,
-        storageId: taskId,
-        costPerChunk: parsedCost,
-        budgetTotal,
-        maxBillableChunks,
-        platformFeePercent: Number.isFinite(Number(req.body?.platformFeePercent))
-          ? Number(req.body.platformFeePercent)
-          : PLATFORM_FEE_PERCENT,
-        budgetSpent: 0,
-        chunksPaid: 0,
-      };
-      const codeDest = path.join(taskDir, record.codeFileName);
-      if (codeFile.path !== codeDest) {
-        fs.renameSync(codeFile.path, codeDest);
-      }
-      if (dataFile) {
-        const dataDest = path.join(taskDir, record.dataFileName);
-        if (dataFile.path !== dataDest) {
-          fs.renameSync(dataFile.path, dataDest);
-        }
-      }
-      db.data.tasks.push(record);
-      await saveDb();
-      res.status(201).json({ task: buildTaskResponse(record) });
+      });
+      res.status(status).json(body);
     } catch (error) {
       console.error("submit task error", error);
       res.status(500).json({ error: "Failed to create task" });
@@ -1285,149 +2375,859 @@ app.post(
 
 app.get("/api/tasks", (req, res) => {
   const db = getDb();
-  const { status } = req.query;
-  let tasks = [...db.data.tasks];
+  const { status, workerId } = req.query;
+  let tasks = db.tasks.all();
   if (status) {
-    tasks = tasks.filter((t) => t.status === status);
+    tasks = tasks.filter((t) => resolveTaskState(t) === status);
+  }
+  // ?workerId= lists only the tasks that worker's registered capabilities can run
+  if (workerId) {
+    const capabilities = getWorkerCapabilities(workerId) || [];
+    tasks = tasks.filter((t) => canRunTask(capabilities, t));
   }
   // compute progress for the response (don't persist on every poll)
   tasks.forEach((task) => computeProgress(task, db));
-  const payload = tasks.map(buildTaskResponse).filter(Boolean);
+  // tasks linked through upstream references carry a summary of their pipeline
+  const allTasks = db.tasks.all();
+  const pipelines = new Map();
+  const payload = tasks
+    .map((task) => {
+      if (!pipelines.has(task.id)) {
+        const pipeline = describePipeline(allTasks, task.id);
+        if (!pipeline) pipelines.set(task.id, null);
+        else pipeline.nodes.forEach((node) => pipelines.set(node.taskId, pipeline));
+      }
+      const response = buildTaskResponse(task);
+      const pipeline = pipelines.get(task.id);
+      if (response && pipeline) {
+        response.pipeline = {
+          taskIds: pipeline.nodes.map((node) => node.taskId),
+          stages: pipeline.stages,
+          processedItems: pipeline.processedItems,
+          totalItems: pipeline.totalItems,
+          progress: pipeline.progress,
+          completed: pipeline.completed,
+        };
+      }
+      return response;
+    })
+    .filter(Boolean);
   res.json({ tasks: payload });
 });
 
-app.post("/api/tasks/:taskId/claim", async (req, res) => {
+// The DAG a task belongs to: its upstream and downstream tasks, their edges and aggregate progress
+app.get("/api/tasks/:taskId/pipeline", (req, res) => {
   const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === req.params.taskId);
+  const task = db.tasks.get(req.params.taskId);
   if (!task) return res.status(404).json({ error: "Task not found" });
-  if (task.revoked) {
-    return res.json({ ok: false, message: 'revoked' });
+  const allTasks = db.tasks.all();
+  allTasks.forEach((entry) => computeProgress(entry, db));
+  const pipeline = describePipeline(allTasks, task.id);
+  res.json({ pipeline });
+});
+
+app.post("/api/tasks/:taskId/claim", serializeByTask(async (req, res) => {
+  const db = getDb();
+  const task = db.tasks.get(req.params.taskId);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const unavailable = describeUnavailableState(resolveTaskState(task));
+  if (unavailable) {
+    return res.json({ ok: false, message: unavailable });
   }
   // allow worker to pass their workerId so we can track which worker claimed the task
   const { workerId } = req.body || {};
+  if (workerId) {
+    const ineligible = checkWorkerEligibility(task, workerId);
+    if (ineligible === 'unregistered') {
+      return res.status(403).json({ error: 'Worker has not registered its capabilities' });
+    }
+    if (ineligible) {
+      return res.status(403).json({ error: `Worker lacks the "${task.capabilityRequired}" capability this task requires` });
+    }
+  }
   // Convert single-worker model into multi-worker subscription: add worker to assignedWorkers
   task.assignedWorkers = task.assignedWorkers || [];
   if (workerId && !task.assignedWorkers.includes(workerId)) {
     task.assignedWorkers.push(workerId);
     ensureWorkerUser(db, workerId);
   }
-  // mark processing so the task isn't considered queued
-  if (task.status === 'queued') task.status = 'processing';
+  // a worker signed up, so the task isn't considered queued
+  markTaskRunning(task, 'claimed');
+  await saveDb();
+  res.json({ task: buildTaskResponse(task) });
+}));
+
+// Worker drops participation in a task (stop doing any more operations for this worker)
+app.post('/api/tasks/:taskId/drop', serializeByTask(async (req, res) => {
+  try {
+    const { workerId } = req.body || {};
+    if (!workerId) return res.status(400).json({ error: 'workerId required' });
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    // Remove worker from assignedWorkers
+    task.assignedWorkers = Array.isArray(task.assignedWorkers) ? task.assignedWorkers.filter((w) => w !== workerId) : [];
+
+    // Release any active chunk assignments that belong to this worker for this task; what it already
+    // reported is kept and the rest can be picked up by other workers
+    let settled = false;
+    for (const a of db.chunkAssignments.where('taskId', task.id)) {
+      if (a.workerId === workerId) {
+        settled = releaseAssignment(db, task, a, 'dropped') || settled;
+      }
+    }
+    if (settled) refreshTaskProgress(task, db);
+
+    // the task keeps its state when no workers remain, so customers can receive results as they arrive
+
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('drop task error', err);
+    res.status(500).json({ error: 'Failed to drop task' });
+  }
+}));
+
+// Customer revokes (cancels) a task: stop all workers and free buckets. Unlike /pause, leases already
+// out are cut off, so their holders get 409 lease-lost.
+app.post('/api/tasks/:taskId/revoke', serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const state = resolveTaskState(task);
+    if (!canTransition(state, 'cancelling')) {
+      return res.status(409).json({ error: `Cannot revoke a task that is ${state}` });
+    }
+
+    // workers cannot claim or fetch chunks from here on
+    transitionTask(task, 'cancelling', 'revoked');
+
+    // Remove assigned workers
+    task.assignedWorkers = [];
+
+    // Remove chunk assignments so buckets become available again
+    clearTaskAssignments(db, task.id);
+    transitionTask(task, 'cancelled', 'leases-released');
+
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('revoke task error', err);
+    res.status(500).json({ error: 'Failed to revoke task' });
+  }
+}));
+
+// Customer reinvokes a previously revoked task: it is queued again and workers must claim it again
+app.post('/api/tasks/:taskId/reinvoke', serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const state = resolveTaskState(task);
+    if (state !== 'cancelled') {
+      return res.status(409).json({ error: `Cannot reinvoke a task that is ${state}` });
+    }
+    transitionTask(task, 'queued', 'reinvoked');
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('reinvoke task error', err);
+    res.status(500).json({ error: 'Failed to reinvoke task' });
+  }
+}));
+
+// Customer pauses a task: no new buckets, retries or reduce runs are handed out, but workers holding a
+// lease may finish their bucket and are paid for it
+app.post('/api/tasks/:taskId/pause', requireOwnTask, serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const state = resolveTaskState(task);
+    if (!canTransition(state, 'paused')) {
+      return res.status(409).json({ error: `Cannot pause a task that is ${state}` });
+    }
+    transitionTask(task, 'paused', 'paused');
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('pause task error', err);
+    res.status(500).json({ error: 'Failed to pause task' });
+  }
+}));
+
+// Customer resumes a paused task; it goes back to running, or to queued if nothing was handed out yet
+app.post('/api/tasks/:taskId/resume', requireOwnTask, serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const state = resolveTaskState(task);
+    if (state !== 'paused') {
+      return res.status(409).json({ error: `Cannot resume a task that is ${state}` });
+    }
+    transitionTask(task, resumeTarget(task), 'resumed');
+    // buckets that finished while the task was paused may have completed it
+    refreshTaskProgress(task, db);
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('resume task error', err);
+    res.status(500).json({ error: 'Failed to resume task' });
+  }
+}));
+
+// Customer releases a draft task to workers
+app.post('/api/tasks/:taskId/queue', requireOwnTask, serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const state = resolveTaskState(task);
+    if (state !== 'draft') {
+      return res.status(409).json({ error: `Cannot queue a task that is ${state}` });
+    }
+    transitionTask(task, 'queued', 'published');
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('queue task error', err);
+    res.status(500).json({ error: 'Failed to queue task' });
+  }
+}));
+
+// Refuses requests on another customer's task. Routes that take a multipart upload run it first, so such
+// uploads never touch the task's storage.
+function requireOwnTask(req, res, next) {
+  const db = getDb();
+  const task = db.tasks.get(req.params.taskId);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const currentUser = req.currentUser || findUserBySessionId(db, req.sessionId);
+  if (!currentUser) return res.status(500).json({ error: "Unable to resolve submitting user" });
+  if (task.creatorId !== currentUser.sessionId) {
+    return res.status(403).json({ error: "Task belongs to another customer" });
+  }
+  req.task = task;
+  next();
+}
+
+// Customer uploads a new code version (multipart `code`, optional `note`). Buckets handed out from now on
+// run it; leases already out keep the version they were given, and each result records its version.
+app.post(
+  "/api/tasks/:taskId/code",
+  requireOwnTask,
+  codeVersionUpload.single("code"),
+  serializeByTask(async (req, res) => {
+    const task = req.task;
+    const discardUpload = () => {
+      if (req.file) fs.rmSync(req.file.path, { force: true });
+    };
+    try {
+      if (!req.file) return res.status(400).json({ error: "code.zip upload is required" });
+      const state = resolveTaskState(task);
+      if (state === "expired") {
+        discardUpload();
+        return res.status(409).json({ error: `Cannot update the code of a task that is ${state}` });
+      }
+      const { note, error } = parseCodeNote(req.body?.note);
+      if (error) {
+        discardUpload();
+        return res.status(400).json({ error });
+      }
+      const version = (currentCodeVersion(task) || 0) + 1;
+      fs.renameSync(req.file.path, getTaskStoragePath(task, codeBundleFileName(version)));
+      addCodeVersion(task, { note });
+      await saveDb();
+      res.json({ ok: true, codeVersion: task.codeVersion, task: buildTaskResponse(task) });
+    } catch (err) {
+      discardUpload();
+      console.error("upload code version error", err);
+      res.status(500).json({ error: "Failed to upload code version" });
+    }
+  })
+);
+
+// Customer re-runs a task as a new one reading the same stored dataset: every item (items=all), the items
+// the original gave up on (items=failed) or the listed ranges (items=ranges, ranges=0-100,250). Without a
+// new code.zip upload the original's is copied; other POST /api/tasks options override the original's.
+app.post(
+  "/api/tasks/:taskId/clone",
+  upload.fields([{ name: "code", maxCount: 1 }]),
+  async (req, res) => {
+    const taskId = req.taskId || nanoid();
+    const taskDir = path.join(storageDir, taskId);
+    const reject = (status, error) => {
+      fs.rmSync(taskDir, { recursive: true, force: true });
+      return res.status(status).json({ error });
+    };
+    try {
+      const db = getDb();
+      const original = db.tasks.get(req.params.taskId);
+      if (!original) return reject(404, "Task not found");
+      const currentUser = req.currentUser || findUserBySessionId(db, req.sessionId);
+      if (!currentUser) return reject(500, "Unable to resolve submitting user");
+      if (original.creatorId !== currentUser.sessionId) {
+        return reject(403, "Task belongs to another customer");
+      }
+      const { selection, error } = parseRerunSelection(req.body || {});
+      if (error) return reject(400, error);
+      let dataset;
+      try {
+        dataset = await openSourceDataset(original);
+      } catch (err) {
+        console.error("failed to open task data source", original.id, err?.message || err);
+        return reject(502, "Task data source unavailable");
+      }
+      // a clone of a restricted clone keeps to that clone's items unless ranges are given
+      let itemRanges = Array.isArray(original.itemRanges) ? original.itemRanges : null;
+      if (selection.mode === "failed") {
+        itemRanges = failedItemRanges(original);
+        if (itemRanges.length === 0) return reject(400, "Task has no failed items to re-run");
+      } else if (selection.mode === "ranges") {
+        if (selection.ranges[selection.ranges.length - 1].end > dataset.total) {
+          return reject(400, `ranges must lie within the task's ${dataset.total} items`);
+        }
+        itemRanges = selection.ranges;
+      }
+
+      let codeFile = req.files?.code?.[0] || null;
+      if (!codeFile) {
+        const originalCode = original.codeFileName ? getTaskStoragePath(original, original.codeFileName) : null;
+        if (!originalCode || !fs.existsSync(originalCode)) {
+          return reject(400, "The original code.zip is missing; upload a new one");
+        }
+        fs.mkdirSync(taskDir, { recursive: true });
+        codeFile = { path: path.join(taskDir, "code.zip"), filename: "code.zip" };
+        fs.copyFileSync(originalCode, codeFile.path);
+      }
+      const sharesFile = Boolean(original.dataFileName) && !original.upstream;
+      const { status, body } = await createTask(db, {
+        taskId,
+        body: rerunSubmission(original, req.body || {}),
+        currentUser,
+        codeFile,
+        dataFile: null,
+        baseUrl: `http://${req.headers.host}`,
+        recordFields: {
+          ...(sharesFile
+            ? {
+              dataFileName: original.dataFileName,
+              dataFormat: original.dataFormat || null,
+              datasetOptions: original.datasetOptions || null,
+              datasetStorageId: getTaskDatasetStorageId(original),
+            }
+            : {}),
+          ...(itemRanges || sharesFile
+            ? { totalItems: itemRanges ? countRangeItems(itemRanges) : dataset.total }
+            : {}),
+          itemRanges,
+          clonedFrom: {
+            taskId: original.id,
+            name: original.name,
+            items: selection.mode,
+            newCode: Boolean(req.files?.code?.[0]),
+            codeVersion: req.files?.code?.[0] ? null : currentCodeVersion(original),
+            clonedAt: new Date().toISOString(),
+          },
+        },
+      });
+      if (status !== 201) return reject(status, body.error);
+      res.status(status).json(body);
+    } catch (err) {
+      console.error("clone task error", err);
+      reject(500, "Failed to clone task");
+    }
+  }
+);
+
+// Customer puts dead-lettered buckets back into the pool: one chunk (body.chunkIndex) or all of them.
+// The retry policy starts over for each re-queued bucket.
+app.post('/api/tasks/:taskId/dead-letter/requeue', requireOwnTask, serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const deadLetter = Array.isArray(task.deadLetter) ? task.deadLetter : [];
+    const { chunkIndex } = req.body || {};
+    const selected = chunkIndex === undefined || chunkIndex === null
+      ? deadLetter
+      : deadLetter.filter((entry) => entry.chunkIndex === Number(chunkIndex));
+    if (!selected.length) return res.status(404).json({ error: 'No dead-lettered chunk to re-queue' });
+    if (task.status === 'expired') return res.status(409).json({ error: 'Task expired' });
+
+    const now = new Date().toISOString();
+    const requeued = new Set(selected.map((entry) => entry.chunkIndex));
+    for (const result of db.chunkResults.where('taskId', task.id)) {
+      if (!requeued.has(result.chunkIndex) || result.status !== 'failed') continue;
+      result.status = 'retrying';
+      result.retryAt = null;
+      result.failedAttempts = 0;
+      result.triedWorkerIds = [];
+      result.processedItems = 0;
+      result.requeuedAt = now;
+      result.updatedAt = now;
+    }
+    task.deadLetter = deadLetter.filter((entry) => !requeued.has(entry.chunkIndex));
+    const state = resolveTaskState(task);
+    if (state === 'completed' || state === 'failed') transitionTask(task, 'running', 'dead-letter-requeued');
+    refreshTaskProgress(task, db);
+    await saveDb();
+    res.json({ ok: true, requeued: [...requeued], task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('requeue dead-letter error', err);
+    res.status(500).json({ error: 'Failed to re-queue chunks' });
+  }
+}));
+
+// Customer runs a reducer again after it used up its attempts
+app.post('/api/tasks/:taskId/reduce/retry', requireOwnTask, serializeByTask(async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!task.reduce) return res.status(400).json({ error: 'Task has no reducer' });
+    if (task.status === 'expired') return res.status(409).json({ error: 'Task expired' });
+    if (task.reduce.state !== 'failed') return res.status(409).json({ error: 'Reducer has not failed' });
+    task.reduce.state = 'pending';
+    task.reduce.failedAttempts = 0;
+    task.reduce.retryAt = null;
+    transitionTask(task, 'running', 'reducer-retry');
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('reduce retry error', err);
+    res.status(500).json({ error: 'Failed to retry reducer' });
+  }
+}));
+
+// Task templates that run on a cron schedule. Their code.zip and dataset live under storage/schedules/<id>
+// and are copied into a new task folder for every run.
+const scheduleStorageDir = path.join(storageDir, "schedules");
+
+const scheduleUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const scheduleId = req.params?.scheduleId || req.scheduleId || nanoid();
+      const dir = path.join(scheduleStorageDir, scheduleId);
+      fs.mkdirSync(dir, { recursive: true });
+      req.scheduleId = scheduleId;
+      cb(null, dir);
+    },
+    filename: (req, file, cb) => {
+      // moved over the template's code.zip/dataset once the request checks out
+      cb(null, `upload-${file.fieldname}-${nanoid(6)}`);
+    },
+  }),
+});
+
+function buildScheduleResponse(db, schedule) {
+  const { _id, ...safeSchedule } = schedule;
+  return {
+    ...safeSchedule,
+    // newest first, with the current state of every task a run created
+    runs: (Array.isArray(schedule.runs) ? schedule.runs : [])
+      .map((run) => {
+        const task = run.taskId ? db.tasks.get(run.taskId) : null;
+        return { ...run, taskStatus: task?.status || null, taskProgress: task ? Number(task.progress) || 0 : null };
+      })
+      .reverse(),
+  };
+}
+
+function requireOwnSchedule(req, res, next) {
+  const schedule = getDb().taskSchedules.get(req.params.scheduleId);
+  if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+  if (schedule.creatorId !== req.sessionId) {
+    return res.status(403).json({ error: "Schedule belongs to another customer" });
+  }
+  req.schedule = schedule;
+  next();
+}
+
+// Instantiates one run of a schedule as a regular task, charged against the owner's wallet like any task
+// and capped at the schedule's runBudget. Runs missed while the server was down collapse into this one;
+// a run that cannot be created (e.g. the wallet does not cover runBudget) is kept in the history as skipped.
+async function runSchedule(db, schedule, now = new Date()) {
+  const scheduledFor = schedule.nextRunAt || now.toISOString();
+  schedule.lastRunAt = now.toISOString();
+  schedule.nextRunAt = nextRunAt(schedule.cron, now)?.toISOString() || null;
+  schedule.updatedAt = now.toISOString();
+  const run = recordScheduleRun(schedule, { scheduledFor, startedAt: now.toISOString(), status: "skipped", taskId: null, error: null });
+  const taskId = nanoid();
+  const taskDir = path.join(storageDir, taskId);
+  const templateDir = path.join(scheduleStorageDir, schedule.id);
+  try {
+    const owner = findUserBySessionId(db, schedule.creatorId);
+    if (!owner) throw new Error("Schedule owner no longer exists");
+    const { options, error } = parseTaskSubmission(schedule.template);
+    if (error) throw new Error(error);
+    const chunkCap = runChunkCap(schedule.runBudget, options.parsedCost, options.replication?.factor || 1);
+    const limited = schedule.template.maxBillableChunks || schedule.template.totalChunks;
+    fs.mkdirSync(taskDir, { recursive: true });
+    const codeFile = { path: path.join(taskDir, "code.zip"), filename: "code.zip" };
+    fs.copyFileSync(path.join(templateDir, "code.zip"), codeFile.path);
+    let dataFile = null;
+    if (schedule.dataFileName) {
+      dataFile = { path: path.join(taskDir, `upload-${schedule.dataFileName}`), originalname: schedule.dataFileName };
+      fs.copyFileSync(path.join(templateDir, SCHEDULE_DATASET_FILE), dataFile.path);
+    }
+    const { status, body } = await createTask(db, {
+      taskId,
+      body: {
+        ...schedule.template,
+        name: `${schedule.name} (${scheduledFor.slice(0, 16).replace("T", " ")} UTC)`,
+        maxBillableChunks: String(limited ? Math.min(options.maxBillableChunks, chunkCap) : chunkCap),
+        budgetTotal: String(schedule.runBudget),
+      },
+      currentUser: owner,
+      codeFile,
+      dataFile,
+      baseUrl: schedule.baseUrl,
+    });
+    if (status !== 201) throw new Error(body.error || `task creation failed (${status})`);
+    db.tasks.get(taskId).scheduleId = schedule.id;
+    run.status = "created";
+    run.taskId = taskId;
+  } catch (err) {
+    run.error = err.message;
+    fs.rmSync(taskDir, { recursive: true, force: true });
+  }
+  await saveDb();
+  return run;
+}
+
+let scheduleSweepRunning = false;
+setInterval(async () => {
+  if (scheduleSweepRunning) return;
+  scheduleSweepRunning = true;
+  try {
+    const db = getDb();
+    const now = new Date();
+    const due = db.taskSchedules.filter((schedule) => !schedule.paused && schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now.valueOf());
+    for (const schedule of due) {
+      await runSchedule(db, schedule, now);
+    }
+  } catch (err) {
+    console.error("schedule sweep error", err);
+  } finally {
+    scheduleSweepRunning = false;
+  }
+}, SCHEDULE_SWEEP_INTERVAL_MS);
+
+// Customer defines a schedule: the same multipart fields as POST /api/tasks (the task template) plus
+// `schedule` (cron expression, UTC) and `runBudget` (budget cap of every run)
+app.post(
+  "/api/schedules",
+  scheduleUpload.fields([
+    { name: "code", maxCount: 1 },
+    { name: "data", maxCount: 1 },
+  ]),
+  async (req, res) => {
+    const scheduleId = req.scheduleId || nanoid();
+    const scheduleDir = path.join(scheduleStorageDir, scheduleId);
+    const reject = (status, error) => {
+      fs.rmSync(scheduleDir, { recursive: true, force: true });
+      return res.status(status).json({ error });
+    };
+    try {
+      const db = getDb();
+      const currentUser = req.currentUser || findUserBySessionId(db, req.sessionId);
+      if (!currentUser) return reject(500, "Unable to resolve submitting user");
+      const body = req.body || {};
+      const { cron, error: cronError } = parseCronExpression(body.schedule);
+      if (cronError) return reject(400, cronError);
+      const { runBudget, error: budgetError } = parseRunBudget(body.runBudget);
+      if (budgetError) return reject(400, budgetError);
+      const template = {};
+      for (const key of TEMPLATE_FIELDS) {
+        if (body[key] !== undefined && body[key] !== "") template[key] = String(body[key]);
+      }
+      const { options, error } = parseTaskSubmission(template);
+      if (error) return reject(400, error);
+      if (runChunkCap(runBudget, options.parsedCost, options.replication?.factor || 1) < 1) {
+        return reject(400, "runBudget must cover at least one chunk");
+      }
+      if (template.inputType === "database" && !parseDatabaseSource(template)) {
+        return reject(400, "metadataJson must include a MongoDB uri, database and collection");
+      }
+      const codeFile = req.files?.code?.[0];
+      if (!codeFile) return reject(400, "code.zip upload is required");
+      const dataFile = req.files?.data?.[0] || null;
+      fs.renameSync(codeFile.path, path.join(scheduleDir, "code.zip"));
+      if (dataFile) fs.renameSync(dataFile.path, path.join(scheduleDir, SCHEDULE_DATASET_FILE));
+      const now = new Date();
+      const schedule = {
+        id: scheduleId,
+        name: options.name,
+        creatorId: currentUser.sessionId,
+        creatorUserId: currentUser.id,
+        cron: cron.expression,
+        runBudget,
+        template,
+        dataFileName: dataFile ? path.basename(dataFile.originalname) : null,
+        baseUrl: `http://${req.headers.host}`,
+        paused: false,
+        nextRunAt: nextRunAt(cron.expression, now)?.toISOString() || null,
+        lastRunAt: null,
+        runs: [],
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+      };
+      db.taskSchedules.insert(schedule);
+      await saveDb();
+      res.status(201).json({ schedule: buildScheduleResponse(db, schedule) });
+    } catch (err) {
+      console.error("create schedule error", err);
+      return reject(500, "Failed to create schedule");
+    }
+  }
+);
+
+app.get("/api/schedules", (req, res) => {
+  const db = getDb();
+  const schedules = db.taskSchedules.where("creatorId", req.sessionId);
+  res.json({ schedules: schedules.map((schedule) => buildScheduleResponse(db, schedule)) });
+});
+
+app.get("/api/schedules/:scheduleId", requireOwnSchedule, (req, res) => {
+  res.json({ schedule: buildScheduleResponse(getDb(), req.schedule) });
+});
+
+// Customer swaps in a refreshed dataset; the next runs use it
+app.post("/api/schedules/:scheduleId/data", requireOwnSchedule, scheduleUpload.single("data"), async (req, res) => {
+  try {
+    const schedule = req.schedule;
+    if (!req.file) return res.status(400).json({ error: "data upload is required" });
+    fs.renameSync(req.file.path, path.join(scheduleStorageDir, schedule.id, SCHEDULE_DATASET_FILE));
+    schedule.dataFileName = path.basename(req.file.originalname);
+    schedule.updatedAt = new Date().toISOString();
+    await saveDb();
+    res.json({ ok: true, schedule: buildScheduleResponse(getDb(), schedule) });
+  } catch (err) {
+    console.error("replace schedule dataset error", err);
+    res.status(500).json({ error: "Failed to replace dataset" });
+  }
+});
+
+app.post("/api/schedules/:scheduleId/pause", requireOwnSchedule, async (req, res) => {
+  const schedule = req.schedule;
+  schedule.paused = true;
+  schedule.nextRunAt = null;
+  schedule.updatedAt = new Date().toISOString();
+  await saveDb();
+  res.json({ ok: true, schedule: buildScheduleResponse(getDb(), schedule) });
+});
+
+// Resuming does not catch up on runs missed while paused; the schedule continues from now
+app.post("/api/schedules/:scheduleId/resume", requireOwnSchedule, async (req, res) => {
+  const schedule = req.schedule;
+  schedule.paused = false;
+  schedule.nextRunAt = nextRunAt(schedule.cron, new Date())?.toISOString() || null;
+  schedule.updatedAt = new Date().toISOString();
+  await saveDb();
+  res.json({ ok: true, schedule: buildScheduleResponse(getDb(), schedule) });
+});
+
+// Tasks the schedule already created stay as they are
+app.delete("/api/schedules/:scheduleId", requireOwnSchedule, async (req, res) => {
+  const db = getDb();
+  db.taskSchedules.remove(req.schedule);
+  fs.rmSync(path.join(scheduleStorageDir, req.schedule.id), { recursive: true, force: true });
+  await saveDb();
+  res.json({ ok: true });
+});
+
+// Hands the reduce run to a worker (again, when it resumes its lease). Its input, every item output of
+// the task, is too large for the lease response; the worker downloads it from /api/worker/reduce-input.
+async function assignReduceRun(db, task, workerId, existing) {
+  const run = task.reduce;
+  if (run.chunkIndex == null) {
+    run.chunkIndex = task.nextChunkIndex || 0;
+    task.nextChunkIndex = run.chunkIndex + 1;
+  }
+  const total = Number.isFinite(task.totalItems) ? task.totalItems : 0;
+  let assignment = existing;
+  if (assignment) {
+    assignment.expiresAt = leaseExpiresAt(task);
+    assignment.updatedAt = new Date().toISOString();
+  } else {
+    assignment = insertChunkAssignment(db, task.id, workerId, run.chunkIndex, { rangeStart: 0, rangeEnd: total, bytesUsed: null });
+    assignment.reduce = true;
+  }
   await saveDb();
-  res.json({ task: buildTaskResponse(task) });
-});
-
-// Worker drops participation in a task (stop doing any more operations for this worker)
-app.post('/api/tasks/:taskId/drop', async (req, res) => {
-  try {
-    const { workerId } = req.body || {};
-    if (!workerId) return res.status(400).json({ error: 'workerId required' });
-    const db = getDb();
-    const task = db.data.tasks.find((t) => t.id === req.params.taskId);
-    if (!task) return res.status(404).json({ error: 'Task not found' });
-
-    // Remove worker from assignedWorkers
-    task.assignedWorkers = Array.isArray(task.assignedWorkers) ? task.assignedWorkers.filter((w) => w !== workerId) : [];
+  return { status: 200, body: {
+    ok: true,
+    task: buildTaskResponse(task),
+    reduce: true,
+    reducer: run.entrypoint,
+    chunkIndex: run.chunkIndex,
+    rangeStart: 0,
+    rangeEnd: total,
+    totalItems: total,
+    resume: Boolean(existing),
+    leaseToken: assignment.leaseToken,
+    leaseExpiresAt: assignment.expiresAt,
+    ...describeAssignmentCode(task, assignment),
+  } };
+}
 
-    // Remove any active chunk assignments that belong to this worker for this task
-    const assignments = db.data.chunkAssignments || [];
-    for (let i = assignments.length - 1; i >= 0; i--) {
-      const a = assignments[i];
-      if (a.taskId === task.id && a.workerId === workerId) {
-        // drop assignment so other workers can pick up these chunks
-        assignments.splice(i, 1);
-      }
+// Stores the reducer's output as the task's result and pays the worker like a bucket. A failed run is
+// retried under the task's retry policy; once that is used up the task fails.
+function recordReduceRun(db, task, workerId, { status, output, error, codeVersion }) {
+  const run = task.reduce;
+  const now = new Date();
+  const safeError = typeof error === "string" ? error : error ? safeStringify(error) : null;
+  run.status = status === "completed" ? "completed" : "failed";
+  run.workerId = workerId;
+  run.codeVersion = codeVersion;
+  recordAttempt(run, { workerId, status: run.status, error: safeError });
+  if (run.status === "completed") {
+    const text = typeof output === "string" ? output : safeStringify(output ?? "");
+    const file = getTaskStoragePath(task, TASK_RESULT_FILE);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, text);
+    } catch (err) {
+      console.warn("failed to store task result", task.id, err.message);
     }
+    task.result = truncateText(text, TASK_RESULT_PREVIEW_LIMIT);
+    run.state = "completed";
+    run.error = null;
+    run.retryAt = null;
+    run.finishedAt = now.toISOString();
+    issueChunkPayout(db, task, run, workerId);
+    return;
+  }
+  const policy = resolveRetryPolicy(task);
+  run.error = safeError;
+  run.failedAttempts = (run.failedAttempts || 0) + 1;
+  if (run.failedAttempts < policy.maxAttempts) {
+    run.state = "pending";
+    run.retryAt = new Date(now.getTime() + retryDelayMs(policy, run.failedAttempts)).toISOString();
+  } else {
+    run.state = "failed";
+    run.retryAt = null;
+    run.finishedAt = now.toISOString();
+  }
+}
 
-    // If no workers remain and there are unfinished chunks, keep task.status as processing so customers can receive results as they arrive
-    if (!task.assignedWorkers || task.assignedWorkers.length === 0) {
-      // leave status as-is (queued/processing/completed) - do not mark complete here
-    }
+// Capabilities the worker registered, or null before it registered
+function getWorkerCapabilities(workerId) {
+  if (!workerId) return null;
+  return getDb().workers.get(String(workerId))?.capabilities || null;
+}
 
-    await saveDb();
-    res.json({ ok: true, task: buildTaskResponse(task) });
-  } catch (err) {
-    console.error('drop task error', err);
-    res.status(500).json({ error: 'Failed to drop task' });
-  }
-});
+// Register/heartbeat bookkeeping on the worker's record; returns whether the record needs saving
+function touchWorker(db, workerId, info, now = Date.now()) {
+  workerHeartbeats.set(workerId, now);
+  const existing = db.workers.get(workerId);
+  const record = existing || db.workers.insert(createWorkerRecord(workerId, now));
+  return recordWorkerSeen(record, info, now) || !existing;
+}
 
-// Customer revokes a task: stop all workers and free buckets
-app.post('/api/tasks/:taskId/revoke', async (req, res) => {
-  try {
-    const db = getDb();
-    const task = db.data.tasks.find((t) => t.id === req.params.taskId);
-    if (!task) return res.status(404).json({ error: 'Task not found' });
+// Last time the worker called in: the exact heartbeat, or the stored one after a restart
+function workerLastSeen(db, workerId) {
+  const stored = Date.parse(db.workers.get(workerId)?.lastSeenAt);
+  return Math.max(workerHeartbeats.get(workerId) || 0, Number.isFinite(stored) ? stored : 0) || null;
+}
 
-    // Mark revoked so workers cannot claim or fetch chunks
-    task.revoked = true;
+function buildWorkerResponse(db, record, lease, now = Date.now()) {
+  const lastSeen = workerLastSeen(db, record.id);
+  const leaseTask = lease ? db.tasks.get(lease.taskId) : null;
+  return {
+    id: record.id,
+    online: lastSeen !== null && now - lastSeen <= WORKER_TIMEOUT_MS,
+    firstSeenAt: record.firstSeenAt || null,
+    lastSeenAt: lastSeen ? new Date(lastSeen).toISOString() : null,
+    version: record.version || null,
+    host: record.host || null,
+    capabilities: record.capabilities || [],
+    currentAssignment: lease
+      ? {
+        taskId: lease.taskId,
+        taskName: leaseTask?.name || null,
+        ...buildAssignmentSummary(lease),
+      }
+      : null,
+    completedChunks: record.completedChunks || 0,
+    failedChunks: record.failedChunks || 0,
+    earnings: Number.isFinite(record.earnings) ? record.earnings : 0,
+  };
+}
 
-    // Remove assigned workers
-    task.assignedWorkers = [];
+// Returns null when the worker may run the task, otherwise 'unregistered' or 'capability-mismatch'
+function checkWorkerEligibility(task, workerId) {
+  const capabilities = getWorkerCapabilities(workerId);
+  if (!capabilities) return 'unregistered';
+  return canRunTask(capabilities, task) ? null : 'capability-mismatch';
+}
 
-    // Remove chunk assignments so buckets become available again
-    const assignments = db.data.chunkAssignments || [];
-    for (let i = assignments.length - 1; i >= 0; i--) {
-      const a = assignments[i];
-      if (a.taskId === task.id) assignments.splice(i, 1);
-    }
+// Once nothing is left to cut, an idle worker gets a copy of the slowest bucket still in flight. Both
+// runs keep their own lease; record-chunk keeps whichever succeeds first and cancels the other.
+async function assignSpeculativeRun(db, task, workerId, dataset, activeAssignments, results) {
+  if (resolveReplication(task).factor > 1) return null;
+  const straggler = findStraggler(activeAssignments, results, workerId, { minAgeMs: SPECULATION_DELAY_MS });
+  if (!straggler) return null;
+  const chunkData = await dataset.readRange(straggler.rangeStart, straggler.rangeEnd);
+  const assignment = insertChunkAssignment(db, task.id, workerId, straggler.chunkIndex, straggler);
+  assignment.speculative = true;
+  await saveDb();
+  return { status: 200, body: {
+    ok: true,
+    task: buildTaskResponse(task),
+    chunkIndex: straggler.chunkIndex,
+    chunkData,
+    rangeStart: straggler.rangeStart,
+    rangeEnd: straggler.rangeEnd,
+    totalItems: dataset.total,
+    bucketBytes: straggler.bytesUsed ?? null,
+    maxBucketBytes: task.bucketConfig.maxBucketBytes,
+    leaseToken: assignment.leaseToken,
+    leaseExpiresAt: assignment.expiresAt,
+    ...describeAssignmentCode(task, assignment),
+    speculative: true,
+  } };
+}
 
+// Hands a worker its next bucket of a task: a lease it still holds, an open replica or retry run, or a
+// newly cut bucket. Resolves to the HTTP status and body to send. Buckets handed out by the cross-task
+// scheduler skip the claim check, since those workers never claim tasks.
+async function assignNextChunk(db, task, workerId, { requireClaim = true } = {}) {
+  const taskId = task.id;
+  const assignedWorkers = Array.isArray(task.assignedWorkers) ? task.assignedWorkers : [];
+  if (isPastDeadline(task)) {
+    // the periodic sweep has not reached it yet
+    expireTask(db, task);
     await saveDb();
-    res.json({ ok: true, task: buildTaskResponse(task) });
-  } catch (err) {
-    console.error('revoke task error', err);
-    res.status(500).json({ error: 'Failed to revoke task' });
   }
-});
-
-// Customer reinvokes a previously revoked task so workers can claim again
-app.post('/api/tasks/:taskId/reinvoke', async (req, res) => {
-  try {
-    const db = getDb();
-    const task = db.data.tasks.find((t) => t.id === req.params.taskId);
-    if (!task) return res.status(404).json({ error: 'Task not found' });
-    task.revoked = false;
-    // keep status as queued/processing as-is; workers must claim again
-    await saveDb();
-    res.json({ ok: true, task: buildTaskResponse(task) });
-  } catch (err) {
-    console.error('reinvoke task error', err);
-    res.status(500).json({ error: 'Failed to reinvoke task' });
+  const state = resolveTaskState(task);
+  const unavailable = describeUnavailableState(state);
+  if (unavailable) {
+    return { status: 200, body: { ok: false, message: unavailable } };
   }
-});
-
-// Worker asks for the next available chunk to process for a task
-app.post('/api/worker/next-chunk', async (req, res) => {
-  const { taskId, workerId } = req.body || {};
-  if (!taskId || !workerId) return res.status(400).json({ error: 'taskId and workerId required' });
-  const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === taskId);
-  if (!task) return res.status(404).json({ error: 'Task not found' });
-  const assignedWorkers = Array.isArray(task.assignedWorkers) ? task.assignedWorkers : [];
-  if (task.revoked) {
-    // Task temporarily revoked by customer
-    return res.json({ ok: false, message: 'revoked' });
+  const ineligible = checkWorkerEligibility(task, workerId);
+  if (ineligible) {
+    return { status: 403, body: { ok: false, message: ineligible } };
   }
-  if (!assignedWorkers.includes(workerId)) {
-    return res.json({ ok: false, message: 'not-assigned' });
+  if (requireClaim && !assignedWorkers.includes(workerId)) {
+    return { status: 200, body: { ok: false, message: 'not-assigned' } };
   }
   const budgetInfo = resolveTaskBudget(task);
-  const assignmentsCollection = db.data.chunkAssignments || [];
   sweepExpiredAssignments(db, task.id);
 
-  const finishedResults = db.data.chunkResults || [];
-  const finishedStatuses = new Set(["completed", "failed", "skipped"]);
+  const finishedResults = db.chunkResults.where('taskId', taskId);
+  const finishedStatuses = new Set(["completed", "failed", "skipped", "disputed"]);
 
   let existingResumeAssignment = null;
-  for (let i = assignmentsCollection.length - 1; i >= 0; i--) {
-    const entry = assignmentsCollection[i];
-    if (entry.taskId !== taskId) continue;
+  const taskAssignments = db.chunkAssignments.where('taskId', taskId);
+  for (let i = taskAssignments.length - 1; i >= 0; i--) {
+    const entry = taskAssignments[i];
     if (entry.workerId !== workerId) continue;
-    const relatedResult = finishedResults.find(
-      (result) => result.taskId === taskId && result.chunkIndex === entry.chunkIndex
-    );
+    const relatedResult = finishedResults.find((result) => result.chunkIndex === entry.chunkIndex);
     if (relatedResult && finishedStatuses.has(relatedResult.status)) {
-      assignmentsCollection.splice(i, 1);
+      db.chunkAssignments.remove(entry);
       continue;
     }
     if (!existingResumeAssignment) {
@@ -1441,36 +3241,54 @@ app.post('/api/worker/next-chunk', async (req, res) => {
     }
   }
 
-  const activeAssignments = assignmentsCollection.filter((a) => a.taskId === taskId);
-  const dataItems = readTaskItems(task);
-  if (!Array.isArray(dataItems) || dataItems.length === 0) {
-    return res.status(400).json({ error: 'No data items available for task' });
+  const activeAssignments = db.chunkAssignments.where('taskId', taskId);
+  // the reduce run goes out on its own once every bucket finished
+  if (existingResumeAssignment?.reduce) {
+    return assignReduceRun(db, task, workerId, existingResumeAssignment);
+  }
+  if (isDispatching(state) && isReduceDue(task.reduce) && !activeAssignments.some((entry) => entry.reduce)) {
+    return assignReduceRun(db, task, workerId, null);
+  }
+  let dataset;
+  try {
+    dataset = await openTaskDataset(task);
+  } catch (error) {
+    console.error('failed to open task data source', task.id, error?.message || error);
+    return { status: 502, body: { error: 'Task data source unavailable' } };
   }
-  task.totalItems = dataItems.length;
-  const mutatedConfig = ensureBucketConfig(task, dataItems);
+  if (!dataset.total) {
+    if (task.upstream) return { status: 200, body: { ok: false, message: 'waiting-upstream' } };
+    return { status: 400, body: { error: 'No data items available for task' } };
+  }
+  // items an upstream task gave up on are never handed out, so they do not count towards completion
+  task.totalItems = dataset.total - (dataset.droppedItems || 0);
+  const mutatedConfig = ensureBucketConfig(task, dataset.largestItemBytes);
 
   if (existingResumeAssignment) {
     const resumeRange = normalizeRange(existingResumeAssignment, existingResumeAssignment.chunkIndex ?? null);
     const resumeStart = resumeRange?.start ?? existingResumeAssignment.rangeStart ?? existingResumeAssignment.chunkIndex ?? 0;
     const resumeEnd = resumeRange?.end ?? existingResumeAssignment.rangeEnd ?? resumeStart;
-    const safeStart = Math.max(0, Math.min(resumeStart, dataItems.length));
-    let safeEnd = Math.max(safeStart, Math.min(resumeEnd, dataItems.length));
+    const safeStart = Math.max(0, Math.min(resumeStart, dataset.total));
+    let safeEnd = Math.max(safeStart, Math.min(resumeEnd, dataset.total));
     if (safeEnd <= safeStart) {
       const fallbackCount = Number.isFinite(existingResumeAssignment.itemsCount)
         ? Math.max(1, existingResumeAssignment.itemsCount)
         : 1;
-      safeEnd = Math.min(dataItems.length, safeStart + fallbackCount);
+      safeEnd = Math.min(dataset.total, safeStart + fallbackCount);
     }
-    const chunkData = dataItems.slice(safeStart, safeEnd);
+    const chunkData = await dataset.readRange(safeStart, safeEnd);
 
-    existingResumeAssignment.expiresAt = new Date(Date.now() + BUCKET_TIMEOUT_MS).toISOString();
+    existingResumeAssignment.expiresAt = leaseExpiresAt(task);
     existingResumeAssignment.updatedAt = new Date().toISOString();
+    // the time the bucket sat abandoned says nothing about the worker's rate
+    existingResumeAssignment.rateSampleAt = existingResumeAssignment.updatedAt;
     if (!existingResumeAssignment.workerId) existingResumeAssignment.workerId = workerId;
+    if (!existingResumeAssignment.leaseToken) existingResumeAssignment.leaseToken = issueLeaseToken();
 
     await saveDb();
 
     const taskResp = buildTaskResponse(task);
-    return res.json({
+    return { status: 200, body: {
       ok: true,
       task: taskResp,
       chunkIndex: Number.isFinite(existingResumeAssignment.chunkIndex)
@@ -1479,156 +3297,339 @@ app.post('/api/worker/next-chunk', async (req, res) => {
       chunkData,
       rangeStart: Number.isFinite(safeStart) ? safeStart : null,
       rangeEnd: Number.isFinite(safeEnd) ? safeEnd : null,
-      totalItems: dataItems.length,
+      totalItems: dataset.total,
       bucketBytes: existingResumeAssignment.bytesUsed || null,
       maxBucketBytes: task.bucketConfig.maxBucketBytes,
       resume: true,
       processedCount: Number.isFinite(existingResumeAssignment.processedCount)
         ? existingResumeAssignment.processedCount
         : null,
-    });
+      leaseToken: existingResumeAssignment.leaseToken,
+      leaseExpiresAt: existingResumeAssignment.expiresAt,
+      ...describeAssignmentCode(task, existingResumeAssignment),
+    } };
+  }
+  // a paused task lets the buckets already out finish but hands out nothing new
+  if (state === 'paused') {
+    if (mutatedConfig) await saveDb();
+    return { status: 200, body: { ok: false, message: 'paused' } };
   }
 
     const taskCustomer = findUserBySessionId(db, task.creatorId || null);
-    if (!DISABLE_BUDGET_CHECKS && budgetInfo.maxBillableChunks > 0 && budgetInfo.chunksPaid + activeAssignments.length >= budgetInfo.maxBillableChunks) {
-      return res.json({ ok: false, message: 'budget-exhausted' });
-    }
     if (!DISABLE_BUDGET_CHECKS && taskCustomer && taskCustomer.walletBalance < budgetInfo.costPerChunk) {
-      return res.json({ ok: false, message: 'insufficient-funds' });
+      return { status: 200, body: { ok: false, message: 'insufficient-funds' } };
+    }
+
+  // open replica runs of existing buckets (replicated tasks) and failed buckets due for a retry are
+  // handed out again before a new bucket is cut
+  const replication = resolveReplication(task);
+  const replicaSlot = replication.factor > 1
+    ? findOpenReplicaSlot(activeAssignments, finishedResults, workerId, replication.factor)
+    : null;
+  const reusedSlot = replicaSlot || findRetrySlot(task, finishedResults, activeAssignments, workerId);
+  if (reusedSlot) {
+    let chunkData;
+    try {
+      chunkData = await dataset.readRange(reusedSlot.rangeStart, reusedSlot.rangeEnd);
+    } catch (error) {
+      console.error('failed to read task items', task.id, error?.message || error);
+      return { status: 502, body: { error: 'Task data source unavailable' } };
     }
+    const assignment = insertChunkAssignment(db, taskId, workerId, reusedSlot.chunkIndex, reusedSlot);
+    markTaskRunning(task, 'bucket-assigned');
+    await saveDb();
+    return { status: 200, body: {
+      ok: true,
+      task: buildTaskResponse(task),
+      chunkIndex: reusedSlot.chunkIndex,
+      chunkData,
+      rangeStart: reusedSlot.rangeStart,
+      rangeEnd: reusedSlot.rangeEnd,
+      totalItems: dataset.total,
+      bucketBytes: reusedSlot.bytesUsed,
+      maxBucketBytes: task.bucketConfig.maxBucketBytes,
+      leaseToken: assignment.leaseToken,
+      leaseExpiresAt: assignment.expiresAt,
+      ...describeAssignmentCode(task, assignment),
+      replica: Boolean(replicaSlot),
+      retry: !replicaSlot,
+    } };
+  }
+
+  // replicas and speculative copies of one bucket share its chunk index and count once here
+  const activeBuckets = new Set(activeAssignments.map((entry) => entry.chunkIndex)).size;
+  const budgetExhausted = !DISABLE_BUDGET_CHECKS && budgetInfo.maxBillableChunks > 0
+    && budgetInfo.chunksPaid + activeBuckets >= budgetInfo.maxBillableChunks;
 
-  const finishedRanges = collectRanges((db.data.chunkResults || []).filter((r) => r.taskId === taskId));
+  const finishedRanges = collectRanges(finishedResults);
   const assignedRanges = collectRanges(activeAssignments);
+  const trySpeculativeRun = async () => {
+    try {
+      return await assignSpeculativeRun(db, task, workerId, dataset, activeAssignments, finishedResults);
+    } catch (error) {
+      console.error('failed to read task items', task.id, error?.message || error);
+      return { status: 502, body: { error: 'Task data source unavailable' } };
+    }
+  };
+  if (budgetExhausted) {
+    // a copy of a running bucket is still only paid once
+    return (await trySpeculativeRun()) || { status: 200, body: { ok: false, message: 'budget-exhausted' } };
+  }
 
-  const bucket = calculateBucket(task, dataItems, finishedRanges, assignedRanges);
+  // sized to keep this worker busy for the task's target duration once its rate is known
+  const itemLimit = bucketItemLimit(task, workerId);
+  let bucket;
+  try {
+    bucket = await planNextBucket(task, dataset, finishedRanges, assignedRanges, itemLimit);
+  } catch (error) {
+    console.error('failed to read task items', task.id, error?.message || error);
+    return { status: 502, body: { error: 'Task data source unavailable' } };
+  }
   if (!bucket) {
+    const speculative = await trySpeculativeRun();
+    if (speculative) return speculative;
     if (mutatedConfig) await saveDb();
-    return res.json({ ok: false, message: 'no-chunk' });
+    const waiting = dataset.unavailableRanges?.length > 0;
+    return { status: 200, body: { ok: false, message: waiting ? 'waiting-upstream' : 'no-chunk' } };
   }
 
   const chunkIndex = task.nextChunkIndex || 0;
   task.nextChunkIndex = chunkIndex + 1;
-  const expiresAt = new Date(Date.now() + BUCKET_TIMEOUT_MS).toISOString();
-  db.data.chunkAssignments.push({
-    id: nanoid(),
-    taskId,
-    chunkIndex,
-    workerId,
-    assignedAt: new Date().toISOString(),
-    expiresAt,
-    rangeStart: bucket.rangeStart,
-    rangeEnd: bucket.rangeEnd,
-    itemsCount: bucket.rangeEnd - bucket.rangeStart,
-    processedCount: 0,
-    progressRangeEnd: bucket.rangeStart,
-    bytesUsed: bucket.bytesUsed,
-    lastBatchOffset: 0,
-    lastBatchSize: 0,
-    updatedAt: new Date().toISOString(),
-  });
+  const assignment = insertChunkAssignment(db, taskId, workerId, chunkIndex, bucket);
 
-  task.status = 'processing';
+  markTaskRunning(task, 'bucket-assigned');
   task.assignedWorkers = task.assignedWorkers || [];
   if (!task.assignedWorkers.includes(workerId)) task.assignedWorkers.push(workerId);
 
-  const chunkData = dataItems.slice(bucket.rangeStart, bucket.rangeEnd);
+  const chunkData = bucket.chunkData;
 
   await saveDb();
 
   const taskResp = buildTaskResponse(task);
-  res.json({
+  return { status: 200, body: {
     ok: true,
     task: taskResp,
     chunkIndex,
     chunkData,
     rangeStart: bucket.rangeStart,
     rangeEnd: bucket.rangeEnd,
-    totalItems: dataItems.length,
+    totalItems: dataset.total,
     bucketBytes: bucket.bytesUsed,
     maxBucketBytes: task.bucketConfig.maxBucketBytes,
-  });
-});
+    maxBucketItems: itemLimit,
+    leaseToken: assignment.leaseToken,
+    leaseExpiresAt: assignment.expiresAt,
+    ...describeAssignmentCode(task, assignment),
+  } };
+}
+
+// Worker asks for the next available chunk to process for a task
+app.post('/api/worker/next-chunk', serializeByTask(async (req, res) => {
+  const { taskId, workerId } = req.body || {};
+  if (!taskId || !workerId) return res.status(400).json({ error: 'taskId and workerId required' });
+  const db = getDb();
+  const task = db.tasks.get(taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  const { status, body } = await assignNextChunk(db, task, workerId);
+  res.status(status).json(body);
+}));
+
+// Tasks the cross-task scheduler may hand buckets out from to a worker with these capabilities
+function listSchedulableTasks(db, capabilities) {
+  return db.tasks.filter((task) => isDispatching(resolveTaskState(task)) && canRunTask(capabilities, task));
+}
 
-app.post('/api/worker/heartbeat', (req, res) => {
+// Worker asks for its next bucket from any task instead of a task it claimed. A bucket it still holds
+// comes first; otherwise tasks are tried in fair-share order until one has work.
+app.post('/api/worker/next-chunk/any', async (req, res) => {
   const { workerId } = req.body || {};
   if (!workerId) return res.status(400).json({ error: 'workerId required' });
+  const capabilities = getWorkerCapabilities(workerId);
+  if (!capabilities) return res.status(403).json({ ok: false, message: 'unregistered' });
+  const db = getDb();
+  const held = db.chunkAssignments.find((entry) => entry.workerId === workerId && !isAssignmentExpired(entry));
+  const candidates = listSchedulableTasks(db, capabilities).map((task) => ({
+    task,
+    customerId: task.creatorId || null,
+    customerWeight: findUserBySessionId(db, task.creatorId || null)?.shareWeight,
+    activeLeases: db.chunkAssignments.where('taskId', task.id).length,
+  }));
+  const ordered = rankTasks(candidates);
+  if (held) {
+    // a paused task is not scheduled, but the bucket still out on it may finish
+    const heldTask = ordered.find((task) => task.id === held.taskId)
+      || (resolveTaskState(db.tasks.get(held.taskId)) === 'paused' ? db.tasks.get(held.taskId) : null);
+    if (heldTask) ordered.unshift(heldTask);
+  }
+
+  const tried = new Set();
+  for (const task of ordered) {
+    if (tried.has(task.id)) continue;
+    tried.add(task.id);
+    try {
+      const { status, body } = await withTaskLock(task.id, () =>
+        db.tasks.get(task.id) ? assignNextChunk(db, task, workerId, { requireClaim: false }) : { status: 404, body: {} }
+      );
+      if (status !== 200 || !body.ok) continue;
+      if (!body.resume) recordDispatch(task.creatorId || null, task.id);
+      return res.json({ ...body, taskId: task.id });
+    } catch (error) {
+      console.error('scheduled next-chunk error', task.id, error);
+    }
+  }
+  res.json({ ok: false, message: 'no-chunk' });
+});
+
+// Customer changes how large a share of its buckets a task gets
+app.post('/api/tasks/:taskId/priority', requireOwnTask, async (req, res) => {
+  try {
+    const db = getDb();
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const { priority, error } = parsePriority(req.body?.priority);
+    if (error) return res.status(400).json({ error });
+    task.priority = priority;
+    await saveDb();
+    res.json({ ok: true, task: buildTaskResponse(task) });
+  } catch (err) {
+    console.error('update priority error', err);
+    res.status(500).json({ error: 'Failed to update priority' });
+  }
+});
+
+// Worker declares which kinds of tasks it can run; re-registering replaces the previous set
+app.post('/api/worker/register', async (req, res) => {
+  const { workerId, capabilities: requested, version, host } = req.body || {};
+  if (!workerId) return res.status(400).json({ error: 'workerId required' });
+  const { capabilities, error } = parseCapabilities(requested);
+  if (error) return res.status(400).json({ error });
+  if (touchWorker(getDb(), String(workerId), { capabilities, version, host })) await saveDb();
+  res.json({ ok: true, workerId, capabilities });
+});
+
+app.post('/api/worker/heartbeat', async (req, res) => {
+  const { workerId, capabilities: requested, version, host } = req.body || {};
+  if (!workerId) return res.status(400).json({ error: 'workerId required' });
+  let capabilities = null;
+  if (requested !== undefined) {
+    const parsed = parseCapabilities(requested);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    capabilities = parsed.capabilities;
+  }
   const now = Date.now();
-  if (!workerHeartbeats.has(workerId)) {
-    workerHeartbeats.set(workerId, now);
+  if (!workerHeartbeats.has(String(workerId))) {
     console.log('registered worker heartbeat', workerId);
-  } else {
-    workerHeartbeats.set(workerId, now);
   }
+  if (touchWorker(getDb(), String(workerId), { capabilities, version, host }, now)) await saveDb();
   res.json({ ok: true, serverTime: new Date(now).toISOString() });
 });
 
 app.get('/api/worker/online/:workerId', (req, res) => {
   const workerId = req.params.workerId;
   if (!workerId) return res.status(400).json({ error: 'workerId required' });
-  const ts = workerHeartbeats.get(workerId);
-  if (!ts) return res.json({ online: false });
+  const capabilities = getWorkerCapabilities(workerId);
+  const ts = workerLastSeen(getDb(), workerId);
+  if (!ts) return res.json({ online: false, capabilities });
   const delta = Date.now() - ts;
   if (delta > WORKER_TIMEOUT_MS) {
     workerHeartbeats.delete(workerId);
-    return res.json({ online: false });
+    return res.json({ online: false, capabilities });
+  }
+  res.json({ online: true, lastHeartbeat: new Date(ts).toISOString(), ageMs: delta, capabilities });
+});
+
+// Fleet listing: every worker that ever registered or sent a heartbeat, most recently seen first.
+// ?status=online|offline narrows it down.
+app.get('/api/workers', (req, res) => {
+  const { status, error } = parseWorkerStatusFilter(req.query.status);
+  if (error) return res.status(400).json({ error });
+  const db = getDb();
+  const now = Date.now();
+  const leases = new Map();
+  for (const entry of db.chunkAssignments.all()) {
+    if (!entry.workerId || isAssignmentExpired(entry, now)) continue;
+    const current = leases.get(entry.workerId);
+    if (!current || Date.parse(entry.assignedAt) > Date.parse(current.assignedAt)) leases.set(entry.workerId, entry);
   }
-  res.json({ online: true, lastHeartbeat: new Date(ts).toISOString(), ageMs: delta });
+  const workers = db.workers.all()
+    .map((record) => buildWorkerResponse(db, record, leases.get(record.id) || null, now))
+    .filter((worker) => !status || worker.online === (status === 'online'))
+    .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+  res.json({ workers });
 });
 
-app.post("/api/worker/set-total-chunks", async (req, res) => {
+app.post("/api/worker/set-total-chunks", serializeByTask(async (req, res) => {
   const { taskId, totalChunks } = req.body || {};
   if (!taskId || typeof totalChunks !== "number") {
     return res.status(400).json({ error: "taskId and totalChunks are required" });
   }
   const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === taskId);
+  const task = db.tasks.get(taskId);
   if (!task) return res.status(404).json({ error: "Task not found" });
   task.totalChunks = totalChunks;
-  computeProgress(task, db);
+  refreshTaskProgress(task, db);
   await saveDb();
   res.json({ ok: true });
-});
+}));
 
-app.post("/api/worker/record-chunk", async (req, res) => {
+app.post("/api/worker/record-chunk", serializeByTask(async (req, res) => {
   const {
     taskId,
     chunkIndex,
     status,
     resultText,
-    rangeStart,
-    rangeEnd,
-    itemsCount,
+    rangeStart: reportedRangeStart,
+    rangeEnd: reportedRangeEnd,
+    itemsCount: reportedItemsCount,
     bytesUsed,
     output,
     error,
     itemResults,
+    leaseToken,
   } = req.body || {};
-  if (!taskId || typeof chunkIndex !== "number" || !status) {
+  if (!taskId || typeof chunkIndex !== "number" || !status || !leaseToken) {
     return res.status(400).json({ error: "Missing fields" });
   }
   const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === taskId);
+  const task = db.tasks.get(taskId);
   if (!task) return res.status(404).json({ error: "Task not found" });
-  if (task.status === "queued") {
-    task.status = "processing";
-  }
-  // remove any existing assignment for this chunk (it is completed now)
-  const assignments = db.data.chunkAssignments || [];
-  const matchedAssignment = assignments.find((entry) => entry.taskId === taskId && entry.chunkIndex === chunkIndex);
-  for (let i = assignments.length - 1; i >= 0; i--) {
-    const entry = assignments[i];
-    if (entry.taskId !== taskId) continue;
-    if (entry.chunkIndex === chunkIndex) {
-      assignments.splice(i, 1);
-      continue;
-    }
-    if (Number.isFinite(rangeStart) && Number.isFinite(rangeEnd)) {
-      const entryRange = normalizeRange(entry, entry.chunkIndex ?? null);
-      if (entryRange && entryRange.start === rangeStart && entryRange.end === rangeEnd) {
-        assignments.splice(i, 1);
-      }
-    }
+
+  const lease = resolveLease(db, taskId, chunkIndex, leaseToken);
+  if (!lease.assignment) {
+    quarantineSubmission(task, {
+      kind: "result",
+      chunkIndex,
+      workerId: req.body?.workerId || null,
+      status,
+      rangeStart: Number.isFinite(reportedRangeStart) ? reportedRangeStart : null,
+      rangeEnd: Number.isFinite(reportedRangeEnd) ? reportedRangeEnd : null,
+      reason: lease.reason,
+    });
+    await saveDb();
+    return res.status(409).json({ ok: false, message: lease.reason });
+  }
+  const matchedAssignment = lease.assignment;
+  const submittingWorker = db.workers.get(matchedAssignment.workerId);
+  if (submittingWorker) recordWorkerOutcome(submittingWorker, { status });
+  if (matchedAssignment.reduce) {
+    db.chunkAssignments.remove(matchedAssignment);
+    recordReduceRun(db, task, matchedAssignment.workerId || req.body?.workerId || null, {
+      status,
+      output,
+      error,
+      codeVersion: assignmentCodeVersion(matchedAssignment),
+    });
+    refreshTaskProgress(task, db);
+    await saveDb();
+    return res.json({ ok: true, reduce: task.reduce.state, payout: Boolean(task.reduce.payoutIssued) });
   }
+  markTaskRunning(task, "result-recorded");
+  // the lease defines what was handed out, whatever range the worker reports
+  const rangeStart = Number.isFinite(matchedAssignment.rangeStart) ? matchedAssignment.rangeStart : reportedRangeStart;
+  const rangeEnd = Number.isFinite(matchedAssignment.rangeEnd) ? matchedAssignment.rangeEnd : reportedRangeEnd;
+  const itemsCount = Number.isFinite(rangeStart) && Number.isFinite(rangeEnd) ? rangeEnd - rangeStart : reportedItemsCount;
+  // the assignment is fulfilled now
+  db.chunkAssignments.remove(matchedAssignment);
 
   const range = normalizeRange({ rangeStart, rangeEnd, itemsCount, chunkIndex }, chunkIndex);
   const sanitizedItemPayload = sanitizeItemResults(itemResults);
@@ -1649,24 +3650,71 @@ app.post("/api/worker/record-chunk", async (req, res) => {
   const safeOutput = truncateText(rawOutput || "");
   const safeError = typeof error === "string" ? error : error ? safeStringify(error) : null;
 
-  const resultsArr = db.data.chunkResults || [];
-  for (let i = resultsArr.length - 1; i >= 0; i--) {
-    const r = resultsArr[i];
-    if (r.taskId !== taskId) continue;
-    if (r.chunkIndex === chunkIndex) continue;
+  const replication = resolveReplication(task);
+  if (replication.factor > 1) {
+    const outputHash = hashReplicaOutput({ status, output: rawOutput, itemResults }, replication.compare);
+    writeItemOutputs(task, `${chunkIndex}.${outputHash.slice(0, 16)}`, itemResults, range);
+    const { result, verification, payout, decided } = recordReplicaSubmission(db, task, {
+      chunkIndex,
+      workerId: matchedAssignment.workerId || req.body?.workerId || null,
+      codeVersion: assignmentCodeVersion(matchedAssignment),
+      status,
+      rangeStart,
+      rangeEnd,
+      itemsCount: resolvedItemsCount,
+      bytesUsed,
+      // compare what the worker sent, not the truncated copy we keep
+      outputHash,
+      resultText: safeResultText,
+      output: safeOutput,
+      error: safeError,
+      itemResults: sanitizedItems,
+      itemResultsTotal: totalItemResults,
+      itemResultsTruncated: itemsTruncated,
+    });
+    let retry = null;
+    if (decided) {
+      settleReplicaOutputs(task, chunkIndex, result.replicas.find((replica) => replica.agreed)?.outputHash || null);
+      recordAttempt(result, { workerId: result.workerId, status: result.status, error: result.error });
+      if (verification.state === "verified" && result.status === "failed") {
+        retry = handleFailedChunk(task, result, result.replicas.map((replica) => replica.workerId));
+      }
+    }
+    refreshTaskProgress(task, db);
+    await saveDb();
+    return res.json({ ok: true, payout, verification, retry });
+  }
+
+  // a bucket with a speculative copy still running is settled by whichever run succeeds first
+  const rivalRuns = db.chunkAssignments.where("taskId", taskId).filter((entry) => entry.chunkIndex === chunkIndex);
+  const resolvedWorkerId = matchedAssignment.workerId || req.body?.workerId || null;
+  if (rivalRuns.length > 0 && status === "failed") {
+    const pending = db.chunkResults.where("taskId", taskId).find((r) => r.chunkIndex === chunkIndex);
+    if (pending) recordAttempt(pending, { workerId: resolvedWorkerId, status, error: safeError });
+    await saveDb();
+    return res.json({ ok: true, retry: null, speculation: "rival-running" });
+  }
+  for (const rival of rivalRuns) {
+    db.chunkAssignments.remove(rival);
+  }
+
+  writeItemOutputs(task, String(chunkIndex), itemResults, range);
+
+  // item retries sit inside the range of the bucket they were carved from
+  const parentChunkIndex = db.chunkResults.where("taskId", taskId).find((r) => r.chunkIndex === chunkIndex)?.parentChunkIndex ?? null;
+  for (const r of db.chunkResults.where("taskId", taskId)) {
+    if (r.chunkIndex === chunkIndex || r.payoutIssued) continue;
+    if (r.chunkIndex === parentChunkIndex || r.parentChunkIndex === chunkIndex) continue;
     const rRange = normalizeRange(r, Number.isFinite(r.chunkIndex) ? r.chunkIndex : null);
     if (range && rRange) {
       const overlap = Math.max(0, Math.min(range.end, rRange.end) - Math.max(range.start, rRange.start));
       if (overlap > 0) {
-        resultsArr.splice(i, 1);
+        db.chunkResults.remove(r);
       }
     }
   }
 
-  const existing = resultsArr.find(
-    (r) => r.taskId === taskId && r.chunkIndex === chunkIndex
-  );
-  const resolvedWorkerId = req.body?.workerId || matchedAssignment?.workerId || existing?.workerId || null;
+  const existing = db.chunkResults.where("taskId", taskId).find((r) => r.chunkIndex === chunkIndex);
   if (existing) {
     existing.status = status;
     existing.resultText = safeResultText || existing.resultText;
@@ -1706,35 +3754,70 @@ app.post("/api/worker/record-chunk", async (req, res) => {
       output: safeOutput || null,
       error: safeError,
       itemResults: sanitizedItems,
-      itemResultsTotal,
+      itemResultsTotal: totalItemResults,
       itemResultsTruncated: itemsTruncated,
       processedItems: resolvedItemsCount,
       workerId: resolvedWorkerId || null,
     };
-    db.data.chunkResults.push(newResult);
+    db.chunkResults.insert(newResult);
   }
 
-  const targetResult = existing || db.data.chunkResults.find((r) => r.taskId === taskId && r.chunkIndex === chunkIndex);
+  const targetResult = existing || db.chunkResults.where("taskId", taskId).find((r) => r.chunkIndex === chunkIndex);
+  if (targetResult) {
+    targetResult.codeVersion = assignmentCodeVersion(matchedAssignment);
+    recordAttempt(targetResult, { workerId: resolvedWorkerId, status, error: safeError });
+    if (rivalRuns.length > 0) {
+      targetResult.speculation = {
+        winnerWorkerId: resolvedWorkerId,
+        winnerWasSpeculative: Boolean(matchedAssignment.speculative),
+        cancelledWorkerIds: rivalRuns.map((rival) => rival.workerId),
+      };
+    }
+  }
+  // a bucket where only some items failed keeps its good items; the failed ones are carved out
+  const failedItems = targetResult && status === "failed" ? findFailedItemRanges(itemResults, range) : null;
+  if (targetResult && status === "failed" && !failedItems) {
+    const retry = handleFailedChunk(task, targetResult, [resolvedWorkerId]);
+    refreshTaskProgress(task, db);
+    await saveDb();
+    return res.json({ ok: true, retry });
+  }
+  if (failedItems) {
+    carveFailedItems(db, task, targetResult, failedItems, resolvedWorkerId);
+  }
+  if (targetResult && (failedItems || targetResult.parentChunkIndex != null)) {
+    targetResult.billableFraction = itemShareOfBucket(db, targetResult, failedItems?.failedCount || 0);
+  }
+  if (targetResult?.parentChunkIndex != null && targetResult.status === "completed") {
+    mergeItemRetry(db, targetResult);
+  }
   if (targetResult) {
     const payoutApplied = issueChunkPayout(db, task, targetResult, resolvedWorkerId);
     if (payoutApplied) {
-      computeProgress(task, db);
+      refreshTaskProgress(task, db);
       await saveDb();
       return res.json({ ok: true, payout: true });
     }
   }
-  computeProgress(task, db);
+  refreshTaskProgress(task, db);
   await saveDb();
   res.json({ ok: true });
-});
+}));
 
 // Delete a task and all related files/data (customer action)
-app.delete('/api/tasks/:taskId', async (req, res) => {
+app.delete('/api/tasks/:taskId', serializeByTask(async (req, res) => {
   try {
     const db = getDb();
-    const taskIndex = (db.data.tasks || []).findIndex((t) => t.id === req.params.taskId);
-    if (taskIndex === -1) return res.status(404).json({ error: 'Task not found' });
-    const task = db.data.tasks[taskIndex];
+    const task = db.tasks.get(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    // downstream tasks read their items from this task's outputs
+    if (db.tasks.find((other) => other.upstream?.taskId === task.id)) {
+      return res.status(409).json({ error: 'Task feeds a downstream pipeline task; delete that task first' });
+    }
+    // clones read their items from the dataset stored with this task
+    if (db.tasks.find((other) => other.datasetStorageId && other.datasetStorageId === getTaskStorageId(task))) {
+      return res.status(409).json({ error: 'Task dataset is shared with a clone; delete the clone first' });
+    }
 
     // Remove storage folder if present
     try {
@@ -1750,11 +3833,11 @@ app.delete('/api/tasks/:taskId', async (req, res) => {
     }
 
     // Remove task record
-    db.data.tasks.splice(taskIndex, 1);
+    db.tasks.remove(task);
 
     // Remove chunk results and assignments tied to task
-    db.data.chunkResults = (db.data.chunkResults || []).filter((r) => r.taskId !== req.params.taskId);
-    db.data.chunkAssignments = (db.data.chunkAssignments || []).filter((a) => a.taskId !== req.params.taskId);
+    db.chunkResults.where('taskId', task.id).forEach((r) => db.chunkResults.remove(r));
+    clearTaskAssignments(db, task.id);
 
     await saveDb();
     res.json({ ok: true });
@@ -1762,14 +3845,76 @@ app.delete('/api/tasks/:taskId', async (req, res) => {
     console.error('delete task error', err);
     res.status(500).json({ error: 'Failed to delete task' });
   }
+}));
+
+// Resolves once the response can take more data, or once the worker hung up
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Streams the input of a reduce run to the worker holding its lease: every item output of the task in
+// item order, as a JSON array of { index, output }. Buckets are read one at a time, so the task's outputs
+// are never all in memory.
+app.get("/api/worker/reduce-input/:taskId", async (req, res) => {
+  const db = getDb();
+  const task = db.tasks.get(req.params.taskId);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const run = task.reduce;
+  if (!run || run.chunkIndex == null) return res.status(409).json({ ok: false, message: "no-reduce-run" });
+  const { assignment, reason } = resolveLease(db, task.id, run.chunkIndex, String(req.query.leaseToken || ""));
+  if (!assignment?.reduce) return res.status(409).json({ ok: false, message: reason || "lease-lost" });
+
+  const total = Number.isFinite(task.totalItems) ? task.totalItems : 0;
+  const buckets = listOutputBuckets(db.chunkResults.where("taskId", task.id), 0, total, ["completed", "skipped"]);
+  res.type("application/json");
+  res.write("[");
+  let first = true;
+  for (const runs of buckets) {
+    if (res.destroyed) return;
+    let text = "";
+    for (const item of readBucketItems(task, runs)) {
+      if (item.status === "failed" || item.index >= total) continue;
+      text += `${first ? "" : ","}${JSON.stringify({ index: item.index, output: toDownstreamItem(item.output) })}`;
+      first = false;
+    }
+    if (text && !res.write(text)) await waitForDrain(res);
+  }
+  res.end("]");
 });
 
-app.post("/api/worker/record-progress", async (req, res) => {
+// Extends a lease without reporting progress, for workers busy with one long item
+app.post("/api/worker/renew-lease", serializeByTask(async (req, res) => {
+  const { taskId, chunkIndex, leaseToken } = req.body || {};
+  if (!taskId || typeof chunkIndex !== "number" || !leaseToken) {
+    return res.status(400).json({ error: "taskId, chunkIndex, and leaseToken are required" });
+  }
+  const db = getDb();
+  const task = db.tasks.get(taskId);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const { assignment, reason } = resolveLease(db, taskId, chunkIndex, leaseToken);
+  if (!assignment) {
+    return res.status(409).json({ ok: false, message: reason });
+  }
+  assignment.expiresAt = leaseExpiresAt(task);
+  // updatedAt stays the time of the last progress report, which speculation goes by
+  assignment.renewedAt = new Date().toISOString();
+  await saveDb();
+  res.json({ ok: true, leaseExpiresAt: assignment.expiresAt, leaseDurationMs: resolveLeaseDuration(task, BUCKET_TIMEOUT_MS) });
+}));
+
+app.post("/api/worker/record-progress", serializeByTask(async (req, res) => {
   const {
     taskId,
     chunkIndex,
-    workerId,
-    rangeStart,
+    rangeStart: reportedRangeStart,
     itemsProcessed,
     totalItems,
     bytesUsed,
@@ -1777,44 +3922,62 @@ app.post("/api/worker/record-progress", async (req, res) => {
     items,
     batchOffset,
     batchSize,
+    leaseToken,
   } = req.body || {};
-  if (!taskId || typeof chunkIndex !== "number" || !Number.isFinite(itemsProcessed)) {
-    return res.status(400).json({ error: "taskId, chunkIndex, and itemsProcessed are required" });
+  if (!taskId || typeof chunkIndex !== "number" || !Number.isFinite(itemsProcessed) || !leaseToken) {
+    return res.status(400).json({ error: "taskId, chunkIndex, itemsProcessed, and leaseToken are required" });
   }
 
   const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === taskId);
+  const task = db.tasks.get(taskId);
   if (!task) return res.status(404).json({ error: "Task not found" });
 
-  const assignments = db.data.chunkAssignments || [];
-  const assignment = assignments.find((entry) => entry.taskId === taskId && entry.chunkIndex === chunkIndex);
+  const { assignment, reason: leaseFailure } = resolveLease(db, taskId, chunkIndex, leaseToken);
+  if (!assignment) {
+    quarantineSubmission(task, {
+      kind: "progress",
+      chunkIndex,
+      workerId: req.body?.workerId || null,
+      itemsProcessed,
+      rangeStart: Number.isFinite(reportedRangeStart) ? reportedRangeStart : null,
+      reason: leaseFailure,
+    });
+    await saveDb();
+    return res.status(409).json({ ok: false, message: leaseFailure });
+  }
+  const rangeStart = Number.isFinite(assignment.rangeStart) ? assignment.rangeStart : reportedRangeStart;
   const total = Number.isFinite(totalItems) ? Math.max(0, Math.floor(totalItems)) : null;
   const processedRaw = Number.isFinite(itemsProcessed) ? Math.max(0, Math.floor(itemsProcessed)) : null;
   const processed = processedRaw !== null && total !== null ? Math.min(processedRaw, total) : processedRaw;
   const normalizedBatchOffset = Number.isFinite(batchOffset) ? Math.max(0, Math.floor(batchOffset)) : null;
   const normalizedBatchSize = Number.isFinite(batchSize) ? Math.max(0, Math.floor(batchSize)) : null;
-  if (assignment) {
-    assignment.processedCount = processed ?? assignment.processedCount ?? 0;
-    if (Number.isFinite(bytesUsed)) assignment.bytesUsed = bytesUsed;
-    if (Number.isFinite(rangeStart) && processed !== null) {
-      assignment.progressRangeEnd = rangeStart + processed;
-    }
-    if (normalizedBatchOffset !== null) {
-      assignment.lastBatchOffset = normalizedBatchOffset;
-    }
-    if (normalizedBatchSize !== null) {
-      assignment.lastBatchSize = normalizedBatchSize;
-    }
-    assignment.expiresAt = new Date(Date.now() + BUCKET_TIMEOUT_MS).toISOString();
-    assignment.updatedAt = new Date().toISOString();
-    if (workerId) assignment.workerId = workerId;
+  if (processed !== null && !assignment.reduce) {
+    sampleThroughput(task, assignment, processed);
+  }
+  assignment.processedCount = processed ?? assignment.processedCount ?? 0;
+  if (Number.isFinite(bytesUsed)) assignment.bytesUsed = bytesUsed;
+  if (Number.isFinite(rangeStart) && processed !== null) {
+    assignment.progressRangeEnd = rangeStart + processed;
+  }
+  if (normalizedBatchOffset !== null) {
+    assignment.lastBatchOffset = normalizedBatchOffset;
+  }
+  if (normalizedBatchSize !== null) {
+    assignment.lastBatchSize = normalizedBatchSize;
+  }
+  assignment.expiresAt = leaseExpiresAt(task);
+  assignment.updatedAt = new Date().toISOString();
+
+  if (assignment.reduce || resolveReplication(task).factor > 1) {
+    // replica runs share one result entry, which only changes once a run is submitted, and the reduce
+    // run has none
+    await saveDb();
+    return res.json({ ok: true, processed, total, leaseExpiresAt: assignment.expiresAt });
   }
 
-  db.data.chunkResults = db.data.chunkResults || [];
-  const resultsArr = db.data.chunkResults;
-  let resultEntry = resultsArr.find((r) => r.taskId === taskId && r.chunkIndex === chunkIndex);
+  let resultEntry = db.chunkResults.where("taskId", taskId).find((r) => r.chunkIndex === chunkIndex);
   if (!resultEntry) {
-    resultEntry = {
+    resultEntry = db.chunkResults.insert({
       id: nanoid(),
       taskId,
       chunkIndex,
@@ -1832,11 +3995,10 @@ app.post("/api/worker/record-progress", async (req, res) => {
       itemResultsTotal: 0,
       itemResultsTruncated: false,
       processedItems: processed,
-    };
-    resultsArr.push(resultEntry);
+    });
   }
 
-  if (resultEntry.status !== "completed" && resultEntry.status !== "failed") {
+  if (!["completed", "failed", "retrying"].includes(resultEntry.status)) {
     resultEntry.status = "processing";
   }
   if (Number.isFinite(rangeStart)) {
@@ -1872,6 +4034,7 @@ app.post("/api/worker/record-progress", async (req, res) => {
   if (rawBatch.length > 0) {
     resultEntry.itemResults = Array.isArray(resultEntry.itemResults) ? resultEntry.itemResults : [];
     const baseLocal = normalizedBatchOffset !== null ? normalizedBatchOffset : null;
+    const reportedOutputs = [];
     rawBatch.forEach((rawItem, idx) => {
       const fallbackLocal = baseLocal !== null
         ? baseLocal + idx
@@ -1889,6 +4052,13 @@ app.post("/api/worker/record-progress", async (req, res) => {
       if (!sanitized) {
         return;
       }
+      reportedOutputs.push({
+        globalIndex: sanitized.globalIndex,
+        status: sanitized.status,
+        output: rawItem.output ?? null,
+        error: rawItem.error ?? null,
+        inputPreview: sanitized.inputPreview,
+      });
 
       if (Number.isFinite(sanitized.localIndex)) {
         const localIdx = sanitized.localIndex;
@@ -1906,6 +4076,8 @@ app.post("/api/worker/record-progress", async (req, res) => {
     if (resultEntry.itemResults.length > MAX_ITEM_RESULTS_STORED) {
       resultEntry.itemResults.splice(0, resultEntry.itemResults.length - MAX_ITEM_RESULTS_STORED);
     }
+    // the stored item results are previews; the full outputs are kept in case the bucket is given up part way
+    appendItemOutputs(task, String(chunkIndex), reportedOutputs);
   }
 
   if (total !== null && processed !== null) {
@@ -1922,20 +4094,21 @@ app.post("/api/worker/record-progress", async (req, res) => {
   }
   resultEntry.updatedAt = new Date().toISOString();
 
-  computeProgress(task, db);
+  refreshTaskProgress(task, db);
   await saveDb();
   res.json({
     ok: true,
     processed,
     total,
+    leaseExpiresAt: assignment.expiresAt,
   });
-});
+}));
 
 app.get("/api/worker/task-info", (req, res) => {
   const { taskId } = req.query;
   if (!taskId) return res.status(400).json({ error: "taskId required" });
   const db = getDb();
-  const task = db.data.tasks.find((t) => t.id === taskId);
+  const task = db.tasks.get(taskId);
   if (!task) return res.status(404).json({ error: "Task not found" });
   computeProgress(task, db);
   const hostBase = `http://${req.headers.host}`;
@@ -1943,7 +4116,7 @@ app.get("/api/worker/task-info", (req, res) => {
   const taskBase = storageId ? `${hostBase}/storage/${storageId}` : null;
   res.json({
     taskId: task.id,
-    status: task.status,
+    status: resolveTaskState(task),
     totalChunks: task.totalChunks,
     processedChunks: task.processedChunks,
     capabilityRequired: task.capabilityRequired,
@@ -1951,14 +4124,50 @@ app.get("/api/worker/task-info", (req, res) => {
     inputType: task.inputType,
     metadataJson: task.metadataJson,
     codeUrl: taskBase && task.codeFileName ? `${taskBase}/${task.codeFileName}` : null,
-    dataUrl: taskBase && task.dataFileName ? `${taskBase}/${task.dataFileName}` : null,
+    dataUrl: task.dataFileName ? `${hostBase}/storage/${getTaskDatasetStorageId(task)}/${task.dataFileName}` : null,
+  });
+});
+
+// Full item outputs by global index. Buckets are read in item order only until the page holds `limit`
+// items; `nextStart` is the index of the first matching item left out, or null after the last page.
+app.get("/api/tasks/:taskId/items", (req, res) => {
+  const db = getDb();
+  const task = db.tasks.get(req.params.taskId);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const totalItems = Number.isFinite(task.totalItems) ? task.totalItems : null;
+  const { query, error } = parseItemsQuery(req.query, totalItems);
+  if (error) return res.status(400).json({ error });
+  const items = [];
+  let nextStart = null;
+  const buckets = listOutputBuckets(db.chunkResults.where("taskId", task.id), query.start, query.end, ITEM_STATUSES);
+  for (const runs of buckets) {
+    for (const item of readBucketItems(task, runs)) {
+      if (item.index < query.start || item.index >= query.end) continue;
+      if (query.status && item.status !== query.status) continue;
+      if (items.length === query.limit) {
+        nextStart = item.index;
+        break;
+      }
+      items.push(item);
+    }
+    if (nextStart !== null) break;
+  }
+  res.json({
+    items,
+    start: query.start,
+    end: totalItems !== null ? Math.min(query.end, totalItems) : query.end,
+    status: query.status,
+    limit: query.limit,
+    nextStart,
+    totalItems,
   });
 });
 
 app.get("/api/tasks/:taskId/results", (req, res) => {
   const db = getDb();
-  const rawResults = (db.data.chunkResults || [])
-    .filter((r) => r.taskId === req.params.taskId)
+  const rawResults = db.chunkResults
+    .where("taskId", req.params.taskId)
+    .filter((r) => r.mergedInto == null)
     .sort((a, b) => a.chunkIndex - b.chunkIndex);
   const results = rawResults.map((r) => {
     const itemResults = Array.isArray(r.itemResults) ? r.itemResults : [];
@@ -1973,8 +4182,8 @@ app.get("/api/tasks/:taskId/results", (req, res) => {
       processedItems: Number.isFinite(r.processedItems) ? Math.max(0, r.processedItems) : null,
     };
   });
-  const assignments = (db.data.chunkAssignments || [])
-    .filter((a) => a.taskId === req.params.taskId)
+  const assignments = db.chunkAssignments
+    .where("taskId", req.params.taskId)
     .map(buildAssignmentSummary)
     .sort((a, b) => {
       const aIndex = Number.isFinite(a.chunkIndex) ? a.chunkIndex : Number.MAX_SAFE_INTEGER;
@@ -0,0 +1,37 @@
+// Result statuses that settle a bucket; a bucket in one of them is not worth a second run
+const SETTLED_STATUSES = new Set(['completed', 'failed', 'skipped', 'disputed']);
+
+function completionFraction(entry) {
+  const total = Number.isFinite(entry.itemsCount) && entry.itemsCount > 0
+    ? entry.itemsCount
+    : Math.max(1, (entry.rangeEnd ?? 0) - (entry.rangeStart ?? 0));
+  const processed = Number.isFinite(entry.processedCount) ? entry.processedCount : 0;
+  return Math.min(1, processed / total);
+}
+
+/**
+ * The in-flight bucket an idle worker should run a speculative copy of, or null. Candidates have run for
+ * at least `minAgeMs`, are not held by `workerId`, and have no copy running yet. The least complete one
+ * (processedCount over its items) goes first; ties go to the one that reported progress longest ago.
+ */
+export function findStraggler(assignments, results, workerId, { minAgeMs, now = Date.now() }) {
+  const runsPerChunk = new Map();
+  for (const entry of assignments) {
+    runsPerChunk.set(entry.chunkIndex, (runsPerChunk.get(entry.chunkIndex) || 0) + 1);
+  }
+  const settled = new Set(
+    results.filter((result) => SETTLED_STATUSES.has(result.status)).map((result) => result.chunkIndex),
+  );
+  const candidates = assignments.filter((entry) => {
+    if (entry.reduce || entry.workerId === workerId || !Number.isFinite(entry.chunkIndex)) return false;
+    if (runsPerChunk.get(entry.chunkIndex) > 1 || settled.has(entry.chunkIndex)) return false;
+    const assignedAt = Date.parse(entry.assignedAt);
+    return Number.isFinite(assignedAt) && now - assignedAt >= minAgeMs;
+  });
+  candidates.sort((a, b) => {
+    const byProgress = completionFraction(a) - completionFraction(b);
+    if (byProgress !== 0) return byProgress;
+    return Date.parse(a.updatedAt || a.assignedAt) - Date.parse(b.updatedAt || b.assignedAt);
+  });
+  return candidates[0] || null;
+}
@@ -0,0 +1,63 @@
+import path from 'path';
+import { createLowdbStore } from './lowdb.js';
+
+export const COLLECTION_KEYS = [
+  'tasks',
+  'chunkResults',
+  'chunkAssignments',
+  'users',
+  'walletTransactions',
+  'stripeSessions',
+  'taskSchedules',
+  'workers',
+];
+
+export function createEmptyData() {
+  return {
+    tasks: [],
+    chunkResults: [],
+    chunkAssignments: [],
+    users: [],
+    walletTransactions: [],
+    stripeSessions: [],
+    taskSchedules: [],
+    workers: [],
+    platformLedger: { totalEarnings: 0 },
+  };
+}
+
+export function resolveStorageBackend(env = process.env) {
+  const configured = String(env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (configured) return configured === 'mongodb' ? 'mongo' : configured;
+  return env.MONGO_URI ? 'mongo' : 'lowdb';
+}
+
+/**
+ * Create the storage backend named by `backend` (STORAGE_BACKEND: lowdb, mongo or sqlite).
+ *
+ * Every backend exposes the same shape:
+ *   load()                 resolves to the stored collections + platformLedger, or null when empty
+ *   persist(data, changes) writes one save; `changes` lists per-collection upserts/deletes since
+ *                          the previous save and is null for backends that rewrite everything
+ *   close()
+ *   incremental            true when persist() only needs `changes`
+ */
+export async function createStore({ backend = resolveStorageBackend(), dataDir }) {
+  switch (backend) {
+    case 'lowdb':
+      return createLowdbStore({ dataDir });
+    case 'mongo': {
+      const { createMongoStore } = await import('./mongo.js');
+      return createMongoStore({ uri: process.env.MONGO_URI });
+    }
+    case 'sqlite': {
+      const { createSqliteStore } = await import('./sqlite.js');
+      const filePath = process.env.SQLITE_PATH
+        ? path.resolve(process.env.SQLITE_PATH)
+        : path.join(dataDir, 'database.sqlite');
+      return createSqliteStore({ filePath });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected lowdb, mongo or sqlite)`);
+  }
+}
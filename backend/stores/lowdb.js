@@ -0,0 +1,22 @@
+import { LowSync } from 'lowdb';
+import { JSONFileSync } from 'lowdb/node';
+import path from 'path';
+
+export function createLowdbStore({ dataDir }) {
+  const low = new LowSync(new JSONFileSync(path.join(dataDir, 'database.json')), null);
+
+  return {
+    name: 'lowdb',
+    // the whole document is rewritten (via temp file + rename) on every save that has changes
+    incremental: false,
+    async load() {
+      low.read();
+      return low.data || null;
+    },
+    async persist(data) {
+      low.data = data;
+      low.write();
+    },
+    async close() {},
+  };
+}
@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+
+mongoose.set('strictQuery', false);
+
+const schemaOptions = { strict: false, minimize: false, versionKey: false };
+
+const TaskSchema = new mongoose.Schema({}, schemaOptions);
+TaskSchema.index({ id: 1 }, { unique: true, sparse: true });
+
+const ChunkResultSchema = new mongoose.Schema({}, schemaOptions);
+ChunkResultSchema.index({ taskId: 1, chunkIndex: 1 }, { unique: true, sparse: true });
+
+const ChunkAssignmentSchema = new mongoose.Schema({}, schemaOptions);
+ChunkAssignmentSchema.index({ taskId: 1, chunkIndex: 1 }, { sparse: true });
+
+const UserSchema = new mongoose.Schema({}, schemaOptions);
+UserSchema.index({ id: 1 }, { unique: true, sparse: true });
+UserSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+
+const WalletTransactionSchema = new mongoose.Schema({}, schemaOptions);
+WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+const StripeSessionSchema = new mongoose.Schema({}, schemaOptions);
+StripeSessionSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+
+const TaskScheduleSchema = new mongoose.Schema({}, schemaOptions);
+TaskScheduleSchema.index({ id: 1 }, { unique: true, sparse: true });
+
+const WorkerSchema = new mongoose.Schema({}, schemaOptions);
+WorkerSchema.index({ id: 1 }, { unique: true, sparse: true });
+
+const PlatformLedgerSchema = new mongoose.Schema({}, schemaOptions);
+
+const TaskModel = mongoose.models.Task || mongoose.model('Task', TaskSchema, 'tasks');
+const ChunkResultModel =
+  mongoose.models.ChunkResult || mongoose.model('ChunkResult', ChunkResultSchema, 'chunkResults');
+const ChunkAssignmentModel =
+  mongoose.models.ChunkAssignment || mongoose.model('ChunkAssignment', ChunkAssignmentSchema, 'chunkAssignments');
+const UserModel = mongoose.models.User || mongoose.model('User', UserSchema, 'users');
+const WalletTransactionModel =
+  mongoose.models.WalletTransaction || mongoose.model('WalletTransaction', WalletTransactionSchema, 'walletTransactions');
+const StripeSessionModel =
+  mongoose.models.StripeSession || mongoose.model('StripeSession', StripeSessionSchema, 'stripeSessions');
+const TaskScheduleModel =
+  mongoose.models.TaskSchedule || mongoose.model('TaskSchedule', TaskScheduleSchema, 'taskSchedules');
+const WorkerModel = mongoose.models.Worker || mongoose.model('Worker', WorkerSchema, 'workers');
+const PlatformLedgerModel =
+  mongoose.models.PlatformLedger || mongoose.model('PlatformLedger', PlatformLedgerSchema, 'platformLedger');
+
+function getArray(source) {
+  return Array.isArray(source) ? source : [];
+}
+
+function normalizeTaskRecord(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const record = { ...raw };
+  if (!record.id && record._id) {
+    record.id = String(record._id);
+  } else if (record.id) {
+    record.id = String(record.id);
+  }
+  if (record.storageId) {
+    record.storageId = String(record.storageId);
+  }
+  delete record._id;
+  return record;
+}
+
+function normalizeGenericRecord(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const record = { ...raw };
+  if (record.id) {
+    record.id = String(record.id);
+  }
+  if (record.taskId) {
+    record.taskId = String(record.taskId);
+  }
+  if (record.userId) {
+    record.userId = String(record.userId);
+  }
+  delete record._id;
+  return record;
+}
+
+function normalizeUserRecord(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const record = { ...raw };
+  if (record.id) record.id = String(record.id);
+  if (record.sessionId) record.sessionId = String(record.sessionId);
+  delete record._id;
+  return record;
+}
+
+const COLLECTIONS = [
+  { key: 'tasks', model: TaskModel, normalize: normalizeTaskRecord },
+  { key: 'chunkResults', model: ChunkResultModel, normalize: normalizeGenericRecord },
+  { key: 'chunkAssignments', model: ChunkAssignmentModel, normalize: normalizeGenericRecord },
+  { key: 'users', model: UserModel, normalize: normalizeUserRecord },
+  { key: 'walletTransactions', model: WalletTransactionModel, normalize: normalizeGenericRecord },
+  { key: 'stripeSessions', model: StripeSessionModel, normalize: normalizeGenericRecord },
+  { key: 'taskSchedules', model: TaskScheduleModel, normalize: normalizeGenericRecord },
+  { key: 'workers', model: WorkerModel, normalize: normalizeGenericRecord },
+];
+
+const LEDGER_ID = 'platform';
+
+async function persistCollection(config, entry) {
+  const operations = [];
+  const operationIds = [];
+  for (const id of entry.deletes) {
+    operations.push({ deleteOne: { filter: { id } } });
+    operationIds.push(id);
+  }
+  for (const { id, record } of entry.upserts) {
+    operations.push({ replaceOne: { filter: { id }, replacement: config.normalize(record), upsert: true } });
+    operationIds.push(id);
+  }
+  if (!operations.length) return [];
+  try {
+    await config.model.bulkWrite(operations, { ordered: false });
+    return [];
+  } catch (error) {
+    const writeErrors = Array.isArray(error?.writeErrors) ? error.writeErrors : null;
+    if (!writeErrors) return operationIds;
+    console.error(`Failed to sync ${writeErrors.length} ${config.key} record(s) to MongoDB`, writeErrors[0]?.errmsg || '');
+    return writeErrors.map((item) => operationIds[item.index]);
+  }
+}
+
+/**
+ * MongoDB backend. Saves send one bulkWrite of upserts/deletes per collection; records whose
+ * writes fail are reported back so the next save retries them.
+ */
+export async function createMongoStore({ uri }) {
+  if (!uri) throw new Error('MONGO_URI is required for the mongo storage backend');
+  await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+  console.log('MongoDB connection established');
+
+  return {
+    name: 'mongo',
+    incremental: true,
+    async load() {
+      const loaded = await Promise.all(COLLECTIONS.map((config) => config.model.find().lean().exec()));
+      const data = {};
+      let empty = true;
+      COLLECTIONS.forEach((config, idx) => {
+        data[config.key] = loaded[idx].map(config.normalize);
+        if (loaded[idx].length) empty = false;
+      });
+      const ledger = await PlatformLedgerModel.findOne({ id: LEDGER_ID }).lean().exec();
+      if (ledger) {
+        const { _id, id, ...rest } = ledger;
+        data.platformLedger = rest;
+      }
+      return empty ? null : data;
+    },
+    async persist(data, changes) {
+      if (!changes) {
+        await this.replaceAll(data);
+        return { failed: {} };
+      }
+      const failed = {};
+      for (const config of COLLECTIONS) {
+        const entry = changes.collections[config.key];
+        if (!entry) continue;
+        const failedIds = await persistCollection(config, entry);
+        if (failedIds.length) failed[config.key] = failedIds;
+      }
+      if (changes.platformLedger) {
+        await PlatformLedgerModel.replaceOne(
+          { id: LEDGER_ID },
+          { ...changes.platformLedger, id: LEDGER_ID },
+          { upsert: true }
+        );
+      }
+      return { failed };
+    },
+    // Delete-all/insert-all rewrite; only the migration script should need this
+    async replaceAll(data) {
+      await Promise.all(COLLECTIONS.map((config) => config.model.deleteMany({})));
+      const operations = [];
+      for (const config of COLLECTIONS) {
+        const records = getArray(data?.[config.key]).map(config.normalize);
+        if (records.length) operations.push(config.model.insertMany(records, { ordered: false }));
+      }
+      operations.push(
+        PlatformLedgerModel.replaceOne(
+          { id: LEDGER_ID },
+          { ...(data?.platformLedger || { totalEarnings: 0 }), id: LEDGER_ID },
+          { upsert: true }
+        )
+      );
+      await Promise.all(operations);
+    },
+    async close() {
+      await mongoose.disconnect();
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { COLLECTION_KEYS } from './index.js';
+
+function tableName(key) {
+  return key.replace(/[A-Z]/g, (ch) => `_${ch.toLowerCase()}`);
+}
+
+/**
+ * Embedded SQLite backend. Each collection is a table of JSON documents keyed by id with
+ * task_id/user_id columns indexed for lookups; every save is applied in one transaction.
+ */
+export function createSqliteStore({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const sqlite = new Database(filePath);
+  sqlite.pragma('journal_mode = WAL');
+
+  for (const key of COLLECTION_KEYS) {
+    const table = tableName(key);
+    sqlite.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        task_id TEXT,
+        user_id TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_task_id ON ${table} (task_id);
+      CREATE INDEX IF NOT EXISTS ${table}_user_id ON ${table} (user_id);
+    `);
+  }
+  sqlite.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, doc TEXT NOT NULL)');
+
+  const statements = new Map(
+    COLLECTION_KEYS.map((key) => {
+      const table = tableName(key);
+      return [
+        key,
+        {
+          selectAll: sqlite.prepare(`SELECT doc FROM ${table} ORDER BY rowid`),
+          upsert: sqlite.prepare(
+            `INSERT INTO ${table} (id, task_id, user_id, doc) VALUES (@id, @taskId, @userId, @doc)
+             ON CONFLICT(id) DO UPDATE SET task_id = excluded.task_id, user_id = excluded.user_id, doc = excluded.doc`
+          ),
+          remove: sqlite.prepare(`DELETE FROM ${table} WHERE id = ?`),
+          clear: sqlite.prepare(`DELETE FROM ${table}`),
+        },
+      ];
+    })
+  );
+  const selectMeta = sqlite.prepare('SELECT doc FROM meta WHERE key = ?');
+  const upsertMeta = sqlite.prepare(
+    'INSERT INTO meta (key, doc) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET doc = excluded.doc'
+  );
+
+  const writeRecord = (key, record) => {
+    statements.get(key).upsert.run({
+      id: String(record.id),
+      taskId: record.taskId != null ? String(record.taskId) : null,
+      userId: record.userId != null ? String(record.userId) : null,
+      doc: JSON.stringify(record),
+    });
+  };
+
+  const applyChanges = sqlite.transaction((changes) => {
+    for (const key of COLLECTION_KEYS) {
+      const entry = changes.collections[key];
+      if (!entry) continue;
+      for (const id of entry.deletes) statements.get(key).remove.run(String(id));
+      for (const { record } of entry.upserts) writeRecord(key, record);
+    }
+    if (changes.platformLedger) {
+      upsertMeta.run('platformLedger', JSON.stringify(changes.platformLedger));
+    }
+  });
+
+  const replaceAll = sqlite.transaction((data) => {
+    for (const key of COLLECTION_KEYS) {
+      statements.get(key).clear.run();
+      for (const record of Array.isArray(data[key]) ? data[key] : []) {
+        if (record && record.id != null) writeRecord(key, record);
+      }
+    }
+    upsertMeta.run('platformLedger', JSON.stringify(data.platformLedger || { totalEarnings: 0 }));
+  });
+
+  return {
+    name: 'sqlite',
+    incremental: true,
+    async load() {
+      const data = {};
+      let empty = true;
+      for (const key of COLLECTION_KEYS) {
+        data[key] = statements.get(key).selectAll.all().map((row) => JSON.parse(row.doc));
+        if (data[key].length) empty = false;
+      }
+      const ledger = selectMeta.get('platformLedger');
+      if (ledger) {
+        data.platformLedger = JSON.parse(ledger.doc);
+        empty = false;
+      }
+      return empty ? null : data;
+    },
+    async persist(data, changes) {
+      if (changes) applyChanges(changes);
+      else replaceAll(data);
+    },
+    async replaceAll(data) {
+      replaceAll(data);
+    },
+    async close() {
+      sqlite.close();
+    },
+  };
+}
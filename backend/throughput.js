@@ -0,0 +1,89 @@
+// How long a bucket should keep a worker busy when a task does not say
+export const DEFAULT_BUCKET_TARGET_SECONDS = 120;
+// Targets stay well inside the default 20 minute bucket lease
+const MAX_BUCKET_TARGET_SECONDS = 10 * 60;
+// Weight of the newest measurement in a worker's smoothed rate
+const RATE_SMOOTHING = 0.3;
+// Progress reports closer together than this are folded into the next measurement
+export const MIN_RATE_SAMPLE_MS = 1000;
+
+function toInteger(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+/**
+ * Validate the bucket sizing options sent to POST /api/tasks: the time a bucket should take a worker
+ * and the fewest/most items a bucket may hold. Returns { sizing } (defaults filled in) or { error }.
+ */
+export function parseBucketSizing({ targetSeconds, minItems, maxItems }) {
+  const target = toInteger(targetSeconds);
+  if (Number.isNaN(target) || (target !== null && (target < 1 || target > MAX_BUCKET_TARGET_SECONDS))) {
+    return { error: `bucketTargetSeconds must be an integer between 1 and ${MAX_BUCKET_TARGET_SECONDS}` };
+  }
+  const min = toInteger(minItems);
+  if (Number.isNaN(min) || (min !== null && min < 1)) {
+    return { error: 'minBucketItems must be a positive integer' };
+  }
+  const max = toInteger(maxItems);
+  if (Number.isNaN(max) || (max !== null && max < 1)) {
+    return { error: 'maxBucketItems must be a positive integer' };
+  }
+  if (min !== null && max !== null && min > max) {
+    return { error: 'minBucketItems cannot be larger than maxBucketItems' };
+  }
+  return {
+    sizing: {
+      targetSeconds: target ?? DEFAULT_BUCKET_TARGET_SECONDS,
+      minItems: min ?? 1,
+      maxItems: max,
+    },
+  };
+}
+
+/** Bucket sizing of a task; tasks created without one use the defaults. */
+export function resolveBucketSizing(task) {
+  const sizing = task?.bucketSizing || {};
+  const minItems = Number.isInteger(sizing.minItems) && sizing.minItems >= 1 ? sizing.minItems : 1;
+  return {
+    targetSeconds: Number.isFinite(sizing.targetSeconds) && sizing.targetSeconds > 0
+      ? Math.min(sizing.targetSeconds, MAX_BUCKET_TARGET_SECONDS)
+      : DEFAULT_BUCKET_TARGET_SECONDS,
+    minItems,
+    maxItems: Number.isInteger(sizing.maxItems) && sizing.maxItems >= minItems ? sizing.maxItems : null,
+  };
+}
+
+/**
+ * Fold a measurement of `items` processed in `elapsedMs` into the worker's smoothed items/second
+ * for the task, kept on task.workerThroughput. Returns the updated entry, or null for no measurement.
+ */
+export function recordThroughput(task, workerId, items, elapsedMs, now = Date.now()) {
+  if (!workerId || !(items > 0) || !(elapsedMs > 0)) return null;
+  const rate = items / (elapsedMs / 1000);
+  task.workerThroughput = task.workerThroughput || {};
+  const previous = task.workerThroughput[workerId];
+  const smoothed = previous && Number.isFinite(previous.itemsPerSecond)
+    ? previous.itemsPerSecond + RATE_SMOOTHING * (rate - previous.itemsPerSecond)
+    : rate;
+  const entry = {
+    itemsPerSecond: smoothed,
+    samples: (previous?.samples || 0) + 1,
+    updatedAt: new Date(now).toISOString(),
+  };
+  task.workerThroughput[workerId] = entry;
+  return entry;
+}
+
+/**
+ * Most items the worker's next bucket of the task should hold: its measured rate times the target
+ * duration, within the task's bounds. Without a measurement only the task's maximum applies.
+ */
+export function bucketItemLimit(task, workerId) {
+  const sizing = resolveBucketSizing(task);
+  const rate = task?.workerThroughput?.[workerId]?.itemsPerSecond;
+  if (!Number.isFinite(rate) || rate <= 0) return sizing.maxItems;
+  const target = Math.max(sizing.minItems, Math.round(rate * sizing.targetSeconds));
+  return sizing.maxItems !== null ? Math.min(sizing.maxItems, target) : target;
+}
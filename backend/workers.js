@@ -0,0 +1,64 @@
+// A worker's stored lastSeenAt only moves once it is this far behind, so heartbeats rarely cause a save
+export const WORKER_SEEN_RESOLUTION_MS = 30 * 1000;
+const MAX_WORKER_INFO_LENGTH = 120;
+
+function cleanInfo(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, MAX_WORKER_INFO_LENGTH) : null;
+}
+
+/** Record of a worker seen for the first time. */
+export function createWorkerRecord(workerId, now = Date.now()) {
+  const seenAt = new Date(now).toISOString();
+  return {
+    id: String(workerId),
+    firstSeenAt: seenAt,
+    lastSeenAt: seenAt,
+    version: null,
+    host: null,
+    capabilities: null,
+    completedChunks: 0,
+    failedChunks: 0,
+    earnings: 0,
+  };
+}
+
+/**
+ * Note a register or heartbeat call on the worker's record: the time, plus the capabilities (already
+ * validated), version and host when the call carried them. Returns whether the record changed enough
+ * to be saved.
+ */
+export function recordWorkerSeen(record, { capabilities, version, host }, now = Date.now()) {
+  let changed = false;
+  if (now - Date.parse(record.lastSeenAt) >= WORKER_SEEN_RESOLUTION_MS) {
+    record.lastSeenAt = new Date(now).toISOString();
+    changed = true;
+  }
+  if (capabilities && JSON.stringify(capabilities) !== JSON.stringify(record.capabilities)) {
+    record.capabilities = capabilities;
+    changed = true;
+  }
+  for (const [field, value] of [['version', cleanInfo(version)], ['host', cleanInfo(host)]]) {
+    if (value && value !== record[field]) {
+      record[field] = value;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/** Count a result the worker submitted under its lease, and what it earned for it. */
+export function recordWorkerOutcome(record, { status, earned = 0 }) {
+  if (status === 'completed') record.completedChunks = (record.completedChunks || 0) + 1;
+  if (status === 'failed') record.failedChunks = (record.failedChunks || 0) + 1;
+  if (earned) record.earnings = Number(((record.earnings || 0) + earned).toFixed(6));
+}
+
+/** Validate the ?status= filter of GET /api/workers; returns { status } (null for all) or { error }. */
+export function parseWorkerStatusFilter(value) {
+  if (value === undefined || value === null || value === '' || value === 'all') return { status: null };
+  const status = String(value).trim().toLowerCase();
+  if (status !== 'online' && status !== 'offline') return { error: 'status must be online, offline or all' };
+  return { status };
+}
@@ -1,27 +1,50 @@
 #!/usr/bin/env node
-import mongoose from 'mongoose';
-import { initDb, getDb, syncToMongo, isMongoReady } from '../backend/db.js';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createLowdbStore } from '../backend/stores/lowdb.js';
+import { createStore } from '../backend/stores/index.js';
+
+dotenv.config();
+
+const dataDir = path.resolve(process.cwd(), 'backend', 'data');
 
 async function run() {
-  await initDb();
-  if (!isMongoReady()) {
-    console.error('MONGO_URI is not configured or MongoDB connection failed. Aborting migration.');
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI is not configured. Aborting migration.');
     process.exitCode = 1;
     return;
   }
 
-  const db = getDb();
-  const tasksCount = Array.isArray(db.data?.tasks) ? db.data.tasks.length : 0;
-  const resultsCount = Array.isArray(db.data?.chunkResults) ? db.data.chunkResults.length : 0;
-  const assignmentsCount = Array.isArray(db.data?.chunkAssignments) ? db.data.chunkAssignments.length : 0;
+  const data = await createLowdbStore({ dataDir }).load();
+  if (!data) {
+    console.error('No LowDB data found in backend/data/database.json. Nothing to migrate.');
+    process.exitCode = 1;
+    return;
+  }
+
+  let mongo;
+  try {
+    mongo = await createStore({ backend: 'mongo', dataDir });
+  } catch (error) {
+    console.error('MongoDB connection failed. Aborting migration.', error?.message || error);
+    process.exitCode = 1;
+    return;
+  }
+
+  const tasksCount = Array.isArray(data.tasks) ? data.tasks.length : 0;
+  const resultsCount = Array.isArray(data.chunkResults) ? data.chunkResults.length : 0;
+  const assignmentsCount = Array.isArray(data.chunkAssignments) ? data.chunkAssignments.length : 0;
 
   console.log(`Migrating data to MongoDB...`);
   console.log(`  Tasks:         ${tasksCount}`);
   console.log(`  Chunk results: ${resultsCount}`);
   console.log(`  Assignments:   ${assignmentsCount}`);
 
-  await syncToMongo();
-  await mongoose.disconnect();
+  try {
+    await mongo.replaceAll(data);
+  } finally {
+    await mongo.close();
+  }
 
   console.log('Migration complete.');
 }
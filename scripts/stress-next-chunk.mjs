@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Hammers /api/worker/next-chunk (or /api/worker/next-chunk/any with `any`), record-progress and
+// record-chunk from many simulated workers at once, then checks that no two assignments got the same
+// chunk index or overlapping item ranges.
+//
+// Usage: API_BASE=http://localhost:4000 node scripts/stress-next-chunk.mjs [workers] [items] [task|any]
+import process from 'process';
+
+const API_BASE = process.env.API_BASE || 'http://localhost:4000';
+const WORKERS = Math.max(2, Number(process.argv[2]) || 32);
+const ITEMS = Math.max(1, Number(process.argv[3]) || 2000);
+const SCHEDULED = process.argv[4] === 'any';
+const SESSION_ID = `stress-${Date.now()}`;
+
+// code.zip is only stored by the backend here, so an empty archive is enough
+const EMPTY_ZIP = Buffer.from(`504b0506${'00'.repeat(18)}`, 'hex');
+
+async function api(method, pathname, body) {
+  const headers = { 'x-session-id': SESSION_ID };
+  let payload = body;
+  if (body && !(body instanceof FormData)) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(`${API_BASE}${pathname}`, { method, headers, body: payload });
+  const text = await res.text();
+  const json = text ? JSON.parse(text) : {};
+  if (!res.ok) throw new Error(`${method} ${pathname} -> ${res.status} ${json.error || text}`);
+  return json;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function createTask() {
+  const items = Array.from({ length: ITEMS }, (_, idx) => ({ idx, text: `item-${idx}` }));
+  const form = new FormData();
+  form.append('name', `stress ${WORKERS}x${ITEMS}`);
+  form.append('capabilityRequired', 'data-analysis');
+  form.append('creditCost', '0.001');
+  form.append('maxBillableChunks', String(ITEMS));
+  form.append('maxBucketBytes', '400');
+  form.append('code', new Blob([EMPTY_ZIP]), 'code.zip');
+  form.append('data', new Blob([JSON.stringify(items)]), 'data.json');
+  const { task } = await api('POST', '/api/tasks', form);
+  return task;
+}
+
+async function runWorker(taskId, workerId, assignments) {
+  await api('POST', '/api/worker/register', { workerId, capabilities: ['data-analysis'] });
+  if (!SCHEDULED) await api('POST', `/api/tasks/${taskId}/claim`, { workerId });
+  for (;;) {
+    const chunk = SCHEDULED
+      ? await api('POST', '/api/worker/next-chunk/any', { workerId })
+      : await api('POST', '/api/worker/next-chunk', { taskId, workerId });
+    if (!chunk.ok) return chunk.message;
+    const { chunkIndex, rangeStart, rangeEnd, leaseToken } = chunk;
+    // next-chunk/any may pick another open task on a shared server; finish its bucket without counting it
+    if (SCHEDULED && chunk.taskId !== taskId) {
+      await finishBucket(chunk.taskId, workerId, chunk);
+      continue;
+    }
+    assignments.push({ workerId, chunkIndex, rangeStart, rangeEnd });
+    await sleep(Math.random() * 5);
+    await finishBucket(taskId, workerId, chunk);
+  }
+}
+
+async function finishBucket(taskId, workerId, { chunkIndex, rangeStart, rangeEnd, leaseToken }) {
+  const itemsCount = rangeEnd - rangeStart;
+  await api('POST', '/api/worker/record-progress', {
+    taskId,
+    workerId,
+    chunkIndex,
+    rangeStart,
+    itemsProcessed: itemsCount,
+    totalItems: itemsCount,
+    leaseToken,
+  });
+  await api('POST', '/api/worker/record-chunk', {
+    taskId,
+    workerId,
+    chunkIndex,
+    status: 'completed',
+    rangeStart,
+    rangeEnd,
+    itemsCount,
+    leaseToken,
+  });
+}
+
+function findViolations(assignments, total) {
+  const problems = [];
+  const byIndex = new Map();
+  for (const entry of assignments) {
+    if (byIndex.has(entry.chunkIndex)) {
+      problems.push(`chunk ${entry.chunkIndex} handed to ${byIndex.get(entry.chunkIndex).workerId} and ${entry.workerId}`);
+    }
+    byIndex.set(entry.chunkIndex, entry);
+  }
+  const sorted = [...assignments].sort((a, b) => a.rangeStart - b.rangeStart);
+  let covered = 0;
+  for (const entry of sorted) {
+    if (entry.rangeStart < covered) {
+      problems.push(`range [${entry.rangeStart}, ${entry.rangeEnd}) of chunk ${entry.chunkIndex} overlaps an earlier bucket`);
+    } else if (entry.rangeStart > covered) {
+      problems.push(`items [${covered}, ${entry.rangeStart}) were never assigned`);
+    }
+    covered = Math.max(covered, entry.rangeEnd);
+  }
+  if (covered < total) problems.push(`items [${covered}, ${total}) were never assigned`);
+  return problems;
+}
+
+async function main() {
+  const task = await createTask();
+  const endpoint = SCHEDULED ? '/api/worker/next-chunk/any' : '/api/worker/next-chunk';
+  console.log(`Created task ${task.id} with ${ITEMS} items; starting ${WORKERS} workers on ${API_BASE}${endpoint}`);
+
+  const assignments = [];
+  const started = Date.now();
+  const outcomes = await Promise.all(
+    Array.from({ length: WORKERS }, (_, idx) => runWorker(task.id, `stress-worker-${idx + 1}`, assignments))
+  );
+  const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+
+  const problems = findViolations(assignments, ITEMS);
+  const { results } = await api('GET', `/api/tasks/${task.id}/results`);
+  const completed = results.filter((r) => r.status === 'completed').length;
+  if (completed !== assignments.length) {
+    problems.push(`${assignments.length} buckets assigned but ${completed} completed results stored`);
+  }
+
+  console.log(`${assignments.length} buckets in ${elapsed}s; workers stopped with: ${[...new Set(outcomes)].join(', ')}`);
+  if (!process.env.KEEP_TASK) {
+    await api('DELETE', `/api/tasks/${task.id}`);
+  }
+  if (problems.length) {
+    problems.slice(0, 20).forEach((problem) => console.error(`  ${problem}`));
+    console.error(`FAILED: ${problems.length} problem(s)`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log('OK: no duplicate chunk indexes or overlapping ranges');
+}
+
+main().catch((error) => {
+  console.error('Stress run failed:', error?.message || error);
+  process.exitCode = 1;
+});
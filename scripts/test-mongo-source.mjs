@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// `npm run test:mongo`: checks the MongoDB collection source of "database" tasks (backend/datasets.js)
+// against an in-memory mongod from mongodb-memory-server. The mongod binary is downloaded from
+// fastdl.mongodb.org on first use; offline, point MONGOMS_SYSTEM_BINARY at a local mongod instead.
+//
+// Usage: node scripts/test-mongo-source.mjs
+import { strict as assert } from 'assert';
+import process from 'process';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import {
+  parseDatabaseSource,
+  countDatabaseItems,
+  readDatabaseItems,
+  readDatabasePage,
+  closeDatabaseSources,
+} from '../backend/datasets.js';
+
+const ITEMS = 25;
+const DATABASE = 'source-check';
+const COLLECTION = 'items';
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('parses the task metadata into a source', async ({ uri }) => {
+  const task = {
+    inputType: 'database',
+    metadataJson: JSON.stringify({ type: 'MongoDB', uri: ` ${uri} `, database: DATABASE, collection: COLLECTION }),
+  };
+  const source = parseDatabaseSource(task);
+  assert.equal(source.type, 'mongodb');
+  assert.equal(source.uri, uri);
+  assert.equal(source.database, DATABASE);
+  assert.equal(source.collection, COLLECTION);
+  assert.equal(parseDatabaseSource({ ...task, inputType: 'file' }), null);
+  assert.equal(parseDatabaseSource({ ...task, metadataJson: JSON.stringify({ uri }) }), null);
+  assert.equal(parseDatabaseSource({ ...task, metadataJson: JSON.stringify({ type: 'postgres', uri, collection: 'x' }) }), null);
+});
+
+check('counts the documents and caches the count until asked for a fresh one', async ({ source, collection }) => {
+  assert.equal(await countDatabaseItems(source, { fresh: true }), ITEMS);
+  await collection.insertOne({ idx: ITEMS, label: 'late' });
+  assert.equal(await countDatabaseItems(source), ITEMS);
+  assert.equal(await countDatabaseItems(source, { fresh: true }), ITEMS + 1);
+  await collection.deleteOne({ idx: ITEMS });
+  assert.equal(await countDatabaseItems(source, { fresh: true }), ITEMS);
+});
+
+check('reads item ranges in _id order as plain JSON', async ({ source }) => {
+  const items = await readDatabaseItems(source, 5, 9);
+  assert.deepEqual(items.map((item) => item.idx), [5, 6, 7, 8]);
+  assert.equal(typeof items[0]._id, 'string');
+  assert.equal(typeof items[0].createdAt, 'string');
+  const all = await readDatabaseItems(source, 0, ITEMS);
+  assert.deepEqual(all.map((item) => item.idx), Array.from({ length: ITEMS }, (_, idx) => idx));
+});
+
+check('continues each page from the last _id of the one before', async ({ source }) => {
+  const first = await readDatabasePage(source, 0, 10);
+  assert.deepEqual(first.items.map((item) => item.idx), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(first.last.index, 9);
+  const second = await readDatabasePage(source, 10, 10, first.last);
+  assert.deepEqual(second.items.map((item) => item.idx), [10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+  const rest = await readDatabasePage(source, 20, 10, second.last);
+  assert.deepEqual(rest.items.map((item) => item.idx), [20, 21, 22, 23, 24]);
+  // a read between known positions starts from the closest one before it
+  assert.deepEqual((await readDatabaseItems(source, 12, 15)).map((item) => item.idx), [12, 13, 14]);
+});
+
+check('clamps ranges past the end of the collection', async ({ source }) => {
+  assert.deepEqual((await readDatabaseItems(source, ITEMS - 2, ITEMS + 10)).map((item) => item.idx), [ITEMS - 2, ITEMS - 1]);
+  assert.deepEqual(await readDatabaseItems(source, ITEMS + 5, ITEMS + 10), []);
+  assert.deepEqual(await readDatabaseItems(source, 4, 4), []);
+});
+
+check('reconnects after the cached connections are closed', async ({ source }) => {
+  await closeDatabaseSources();
+  assert.equal(await countDatabaseItems(source), ITEMS);
+  assert.deepEqual((await readDatabaseItems(source, 0, 1)).map((item) => item.idx), [0]);
+});
+
+async function main() {
+  let mongod;
+  try {
+    mongod = await MongoMemoryServer.create();
+  } catch (error) {
+    console.error('Could not start an in-memory mongod:', error?.message || error);
+    console.error('Set MONGOMS_SYSTEM_BINARY to a local mongod when fastdl.mongodb.org is unreachable.');
+    process.exitCode = 1;
+    return;
+  }
+  const uri = mongod.getUri();
+  const connection = await mongoose.createConnection(uri, { dbName: DATABASE }).asPromise();
+  let failed = 0;
+  try {
+    const collection = connection.db.collection(COLLECTION);
+    await collection.insertMany(
+      Array.from({ length: ITEMS }, (_, idx) => ({ idx, label: `item-${idx}`, createdAt: new Date(Date.UTC(2024, 0, 1 + idx)) }))
+    );
+    const source = parseDatabaseSource({
+      inputType: 'database',
+      metadataJson: JSON.stringify({ type: 'mongodb', uri, database: DATABASE, collection: COLLECTION }),
+    });
+    for (const { name, fn } of checks) {
+      try {
+        await fn({ uri, source, collection });
+        console.log(`ok - ${name}`);
+      } catch (error) {
+        failed += 1;
+        console.error(`not ok - ${name}\n  ${error?.message || error}`);
+      }
+    }
+  } finally {
+    await closeDatabaseSources();
+    await connection.close();
+    await mongod.stop();
+  }
+  if (failed) {
+    console.error(`FAILED: ${failed} of ${checks.length} check(s)`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`All ${checks.length} MongoDB source checks passed`);
+}
+
+main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// `npm test`: starts the backend on a free port with a throwaway LowDB store in a temp directory, runs
+// stress-next-chunk.mjs against /api/worker/next-chunk and /api/worker/next-chunk/any, then stops it.
+//
+// Usage: node scripts/test-next-chunk.mjs [workers] [items]
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+
+const scriptsDir = path.dirname(new URL(import.meta.url).pathname);
+const serverScript = path.resolve(scriptsDir, '..', 'backend', 'server.js');
+const stressScript = path.resolve(scriptsDir, 'stress-next-chunk.mjs');
+const WORKERS = String(Math.max(2, Number(process.argv[2]) || 16));
+const ITEMS = String(Math.max(1, Number(process.argv[3]) || 1000));
+const STARTUP_TIMEOUT_MS = 30000;
+const RUN_TIMEOUT_MS = 180000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const hasExited = (child) => child.exitCode !== null || child.signalCode !== null;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(apiBase, server) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (hasExited(server)) throw new Error(`server exited with ${server.exitCode ?? server.signalCode} during startup`);
+    try {
+      const res = await fetch(`${apiBase}/api/tasks`);
+      if (res.ok) return;
+    } catch (err) {
+      // not listening yet
+    }
+    await sleep(250);
+  }
+  throw new Error(`server did not answer within ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+function runStress(apiBase, endpoint) {
+  return new Promise((resolve) => {
+    const child = spawn('node', [stressScript, WORKERS, ITEMS, endpoint], {
+      env: { ...process.env, API_BASE: apiBase },
+      stdio: ['ignore', 'inherit', 'inherit'],
+    });
+    const timer = setTimeout(() => {
+      console.error(`stress run (${endpoint}) timed out after ${RUN_TIMEOUT_MS / 1000}s`);
+      child.kill('SIGTERM');
+    }, RUN_TIMEOUT_MS);
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      resolve(code === 0 && !signal);
+    });
+  });
+}
+
+async function main() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-chunk-test-'));
+  const port = await findFreePort();
+  const apiBase = `http://127.0.0.1:${port}`;
+  const serverLog = [];
+  // the store and uploads live under <cwd>/backend, so the temp directory keeps them out of the repo
+  const server = spawn('node', [serverScript], {
+    cwd: workDir,
+    env: { ...process.env, PORT: String(port), STORAGE_BACKEND: 'lowdb', MONGO_URI: '' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  server.stdout.on('data', (data) => serverLog.push(data));
+  server.stderr.on('data', (data) => serverLog.push(data));
+
+  let passed = false;
+  try {
+    await waitForServer(apiBase, server);
+    const results = [];
+    for (const endpoint of ['task', 'any']) {
+      results.push(await runStress(apiBase, endpoint));
+    }
+    passed = results.every(Boolean);
+  } catch (error) {
+    console.error('next-chunk test failed:', error?.message || error);
+  } finally {
+    server.kill('SIGTERM');
+    await new Promise((resolve) => (hasExited(server) ? resolve() : server.once('exit', resolve)));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  if (!passed) {
+    process.stderr.write(Buffer.concat(serverLog).toString().split('\n').slice(-40).join('\n'));
+    console.error('\nFAILED');
+    process.exitCode = 1;
+    return;
+  }
+  console.log('All next-chunk checks passed');
+}
+
+main();
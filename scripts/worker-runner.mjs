@@ -1,11 +1,16 @@
 #!/usr/bin/env node
 /*
   Minimal worker runner service.
-  - Polls the backend for queued tasks
-  - Claims a task with WORKER_ID
-  - Downloads code.zip and data.json if present
+  - Asks the backend for the next bucket from any task (WORKER_MODE=scheduled, default), or polls for
+    tasks claimed for WORKER_ID and drains them one by one (WORKER_MODE=claimed)
+  - Downloads code.zip and the task dataset (data.json, data.ndjson or data.csv) if present
   - Extracts code.zip and runs `node main.js` inside the extracted folder
-  - If data.json is an array, posts one bucket result per item batch to /api/worker/record-chunk
+  - Requests buckets of dataset items and posts one bucket result per item batch to /api/worker/record-chunk
+  - Sends the bucket's lease token with every progress/result call and abandons the bucket once the lease is lost
+  - Runs a task's reducer (`node <reducer>` with REDUCE_INPUT pointing at every item output) when handed
+    its reduce run and posts the reducer's stdout as the task's final result
+  - Registers WORKER_CAPABILITIES (comma separated, default: every known capability) so it is only
+    handed tasks whose capabilityRequired it declared
 
   Usage:
     WORKER_ID=my-worker-1 API_BASE=http://localhost:4000 node scripts/worker-runner.mjs
@@ -33,6 +38,25 @@ const NO_CHUNK_MAX_RETRIES = Number.isFinite(Number(process.env.NO_CHUNK_MAX_RET
   ? Math.max(1, Number(process.env.NO_CHUNK_MAX_RETRIES))
   : 12;
 const VERBOSE_WORKER_LOGS = process.env.VERBOSE_WORKER_LOGS === 'true';
+// scheduled: the server picks a task for every bucket; claimed: only work on tasks claimed for WORKER_ID
+const WORKER_MODE = process.env.WORKER_MODE === 'claimed' ? 'claimed' : 'scheduled';
+const MAX_CACHED_WORKSPACES = Number(process.env.MAX_CACHED_WORKSPACES) || 4;
+// reported with every register/heartbeat so the fleet listing shows what each worker runs
+const WORKER_VERSION = process.env.WORKER_VERSION || readRunnerVersion();
+const WORKER_HOST = process.env.WORKER_HOST || os.hostname();
+const WORKER_CAPABILITIES = (process.env.WORKER_CAPABILITIES ||
+  'image-processing,data-analysis,text-processing,web-scraping,machine-learning')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+function readRunnerVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version || null;
+  } catch (error) {
+    return null;
+  }
+}
 
 function log(...args) {
   if (!VERBOSE_WORKER_LOGS) return;
@@ -116,6 +140,10 @@ async function recordProgressUpdate(payload) {
       log('record-progress failed', res.status, body.slice(0, 200));
       return { ok: false, fatal: 'task-not-found' };
     }
+    if (res.status === 409) {
+      const body = await res.json().catch(() => ({}));
+      return { ok: false, leaseLost: body.message || 'lease-lost' };
+    }
     if (!res.ok) {
       const body = await res.text();
       log('record-progress failed', res.status, body.slice(0, 200));
@@ -128,21 +156,93 @@ async function recordProgressUpdate(payload) {
   }
 }
 
+// Renews a bucket's lease every third of its duration from the moment it is leased, so neither the
+// workspace setup nor one long item can outlive it. Once the backend refuses a renewal, `lost` holds
+// 'task-not-found' or the refusal reason and `onLost` is called with it.
+function startLeaseRenewal(task, nextJson) {
+  const lease = { lost: null, onLost: null, stop: () => {} };
+  const leaseToken = nextJson.leaseToken || null;
+  const leaseMs = Number(nextJson.task?.leaseDurationMs) || Date.parse(nextJson.leaseExpiresAt) - Date.now();
+  if (!leaseToken || !Number.isFinite(leaseMs) || leaseMs <= 0) return lease;
+  const onLost = (reason) => {
+    lease.lost = reason;
+    lease.stop();
+    lease.onLost?.(reason);
+  };
+  const timer = setInterval(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/worker/renew-lease`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ taskId: task.id, chunkIndex: nextJson.chunkIndex, leaseToken, workerId: WORKER_ID }),
+      });
+      if (res.status === 404) {
+        onLost('task-not-found');
+      } else if (res.status === 409) {
+        const body = await res.json().catch(() => ({}));
+        onLost(body.message || 'lease-lost');
+      } else if (!res.ok) {
+        log('renew-lease failed', res.status, (await res.text()).slice(0, 200));
+      }
+    } catch (error) {
+      log('renew-lease error', error.message);
+    }
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+  lease.stop = () => clearInterval(timer);
+  return lease;
+}
+
 async function sendHeartbeat() {
   try {
     await fetch(`${API_BASE}/api/worker/heartbeat`, {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ workerId: WORKER_ID }),
+      // capabilities ride along so a restarted server learns them again without a new registration
+      body: JSON.stringify({
+        workerId: WORKER_ID,
+        capabilities: WORKER_CAPABILITIES,
+        version: WORKER_VERSION,
+        host: WORKER_HOST,
+      }),
     });
   } catch (error) {
     log('heartbeat failed', error.message);
   }
 }
 
+// Declare the worker's capabilities before asking for work; an unknown capability is a config error
+async function registerWorker() {
+  while (true) {
+    try {
+      const res = await fetch(`${API_BASE}/api/worker/register`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          workerId: WORKER_ID,
+          capabilities: WORKER_CAPABILITIES,
+          version: WORKER_VERSION,
+          host: WORKER_HOST,
+        }),
+      });
+      if (res.status === 400) {
+        console.error('worker registration rejected:', await res.text());
+        process.exit(1);
+      }
+      if (res.ok) {
+        log('registered capabilities', WORKER_CAPABILITIES.join(', '));
+        return;
+      }
+      log('register error', await res.text());
+    } catch (error) {
+      log('register failed', error.message);
+    }
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+  }
+}
+
 let heartbeatTimer = null;
 
-function findMainScript(rootDir) {
+function findScript(rootDir, fileName) {
   const stack = [rootDir];
   while (stack.length) {
     const current = stack.pop();
@@ -154,7 +254,7 @@ function findMainScript(rootDir) {
     }
     for (const entry of entries) {
       const full = path.join(current, entry.name);
-      if (entry.isFile() && entry.name.toLowerCase() === 'main.js') {
+      if (entry.isFile() && entry.name.toLowerCase() === fileName.toLowerCase()) {
         return full;
       }
       if (entry.isDirectory()) {
@@ -167,7 +267,7 @@ function findMainScript(rootDir) {
 
 async function listAssignedTasks() {
   // fetch all tasks and filter for those assigned to this worker and not completed
-  const res = await fetch(`${API_BASE}/api/tasks`);
+  const res = await fetch(`${API_BASE}/api/tasks?workerId=${encodeURIComponent(WORKER_ID)}`);
   if (!res.ok) throw new Error(await res.text());
   const json = await res.json();
   const tasks = (json.tasks || []).map((task) => {
@@ -192,7 +292,8 @@ async function listAssignedTasks() {
       remainingChunks,
     };
   });
-  return tasks.filter((t) => (t.assignedWorkers || []).includes(WORKER_ID) && t.status !== 'completed' && t.remainingChunks > 0 && t.remainingBudget >= t.costPerChunk);
+  // paused, draft and finished tasks hand out no buckets
+  return tasks.filter((t) => (t.assignedWorkers || []).includes(WORKER_ID) && (t.status === 'queued' || t.status === 'running') && t.remainingChunks > 0 && t.remainingBudget >= t.costPerChunk);
 }
 
 async function downloadFile(url, dest) {
@@ -202,8 +303,16 @@ async function downloadFile(url, dest) {
   await pipeline(res.body, destStream);
 }
 
-async function processTask(task) {
-  log('processing', task.id);
+// Code version and bundle URL a bucket must run, as named by its next-chunk answer. Older backends
+// send neither, and the task's current code is used.
+function bucketCode(task, nextJson) {
+  return { version: nextJson?.codeVersion ?? task.codeVersion ?? null, url: nextJson?.codeUrl || null };
+}
+
+// Downloads and unpacks a task's code (and dataset, for reference) into a temp folder and runs the
+// main.js bootstrap once. The folder is reused for every bucket of the task that runs the same code
+// version.
+async function prepareTaskWorkspace(task, code = bucketCode(task, null)) {
   const storageId = task.storageId || task.id;
   const taskBase = storageId ? `${API_BASE}/storage/${storageId}` : null;
   const tmp = fs.mkdtempSync(path.join(os.tmpdir(), `worker-${task.id}-`));
@@ -211,45 +320,46 @@ async function processTask(task) {
   try {
     // download code.zip if present
     if (task.codeFileName) {
-      const url = task.codeUrl || (taskBase ? `${taskBase}/${task.codeFileName}` : null);
+      const url = code.url || task.codeUrl || (taskBase ? `${taskBase}/${task.codeFileName}` : null);
       if (!url) {
         throw new Error('code.zip URL unavailable for task');
       }
       const codeZip = path.join(tmp, 'code.zip');
-      log('download code', url);
+      log('download code', code.version != null ? `v${code.version}` : '', url);
       await downloadFile(url, codeZip);
       log('extracting code');
       await fs.createReadStream(codeZip).pipe(unzipper.Extract({ path: tmp })).promise();
     }
 
-    // download data.json if present (worker may still request chunked data from server)
-    if (task.dataFileName) {
+    // download the dataset if present (worker may still request chunked data from server)
+    const dataFileName = task.dataFileName ? path.basename(task.dataFileName) : null;
+    if (dataFileName) {
       const url = task.dataUrl || (taskBase ? `${taskBase}/${task.dataFileName}` : null);
-      const dataDest = path.join(tmp, 'data.json');
+      const dataDest = path.join(tmp, dataFileName);
       if (url) {
         log('download data (for reference)', url);
       }
       try {
-        if (!url) throw new Error('data.json URL unavailable for task');
+        if (!url) throw new Error('dataset URL unavailable for task');
         await downloadFile(url, dataDest);
         downloadedDataPath = dataDest;
       } catch (e) {
-        log('warning: failed to download data.json for reference', e.message);
+        log('warning: failed to download dataset for reference', e.message);
       }
     }
 
     // run main.js if exists
-    const main = findMainScript(tmp);
+    const main = findScript(tmp, 'main.js');
     const hasMain = Boolean(main);
     const mainCwd = hasMain ? path.dirname(main) : tmp;
     if (hasMain && downloadedDataPath) {
-      const targetPath = path.join(mainCwd, 'data.json');
+      const targetPath = path.join(mainCwd, dataFileName);
       try {
         if (!fs.existsSync(targetPath)) {
           fs.copyFileSync(downloadedDataPath, targetPath);
         }
       } catch (e) {
-        log('warning: failed to place data.json next to main.js', e.message);
+        log('warning: failed to place dataset next to main.js', e.message);
       }
     }
     if (hasMain) {
@@ -276,7 +386,351 @@ async function processTask(task) {
     } else {
       log('no main.js found, skipping execution');
     }
+    return { dir: tmp, main, hasMain, mainCwd, codeVersion: code.version };
+  } catch (error) {
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch (e) {}
+    throw error;
+  }
+}
+
+// Runs the task's reducer over every item output, downloaded as a JSON array of { index, output } entries,
+// and posts its stdout as the task's result. Same return contract as processBucket.
+async function processReduce(task, workspace, nextJson, lease) {
+  const { dir, mainCwd } = workspace;
+  const idx = nextJson.chunkIndex;
+  const entrypoint = String(nextJson.reducer || '');
+  const reducer = [path.join(mainCwd, entrypoint), path.join(dir, entrypoint)].find((candidate) => fs.existsSync(candidate))
+    || findScript(dir, path.basename(entrypoint));
+  const totalItems = Number.isFinite(nextJson.totalItems) ? nextJson.totalItems : 0;
+  updateStatusLine({ chunkIndex: `${idx} (reduce)`, itemsInChunk: totalItems, itemsProcessed: 0 });
+
+  let status = 'completed';
+  let output = '';
+  let error = null;
+  let running = null;
+  lease.onLost = () => running?.kill();
+  if (!reducer) {
+    status = 'failed';
+    error = `reducer ${entrypoint} not found in code bundle`;
+  } else {
+    const inputPath = path.join(path.dirname(reducer), 'reduce-input.json');
+    let stdoutBuf = '';
+    let stderrBuf = '';
+    try {
+      const query = new URLSearchParams({ leaseToken: nextJson.leaseToken || '' });
+      await downloadFile(`${API_BASE}/api/worker/reduce-input/${encodeURIComponent(task.id)}?${query}`, inputPath);
+      log('running reducer', reducer, `(${totalItems} item(s))`);
+      await new Promise((resolve, reject) => {
+        const cp = spawn('node', [reducer], {
+          cwd: path.dirname(reducer),
+          env: { ...process.env, TASK_ID: task.id, API_BASE, REDUCE_INPUT: inputPath },
+        });
+        running = cp;
+        cp.stdout.on('data', (d) => {
+          stdoutBuf += d.toString();
+          if (VERBOSE_WORKER_LOGS) process.stdout.write(`[task ${task.id}] ` + d);
+        });
+        cp.stderr.on('data', (d) => {
+          stderrBuf += d.toString();
+          if (VERBOSE_WORKER_LOGS) process.stderr.write(`[task ${task.id}] ERR ` + d);
+        });
+        cp.on('close', (code) => {
+          if (code === 0) resolve(); else reject(new Error(`reducer exited ${code}`));
+        });
+      });
+      output = stdoutBuf.trim();
+    } catch (e) {
+      status = 'failed';
+      error = stderrBuf.trim() || e.message || 'Unknown error';
+      log('reducer run failed', e.message);
+    }
+  }
+  lease.stop();
+  if (lease.lost) {
+    log('abandoning reduce run', idx, `(${lease.lost})`);
+    return lease.lost === 'task-not-found' ? { abortReason: lease.lost } : {};
+  }
+
+  const recordRes = await fetch(`${API_BASE}/api/worker/record-chunk`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ taskId: task.id, chunkIndex: idx, status, output, error, workerId: WORKER_ID, leaseToken: nextJson.leaseToken || null }),
+  });
+  if (recordRes.status === 404) {
+    log('record-reduce failed', recordRes.status, await recordRes.text());
+    return { abortReason: 'task-not-found' };
+  }
+  if (recordRes.status === 409) {
+    const body = await recordRes.json().catch(() => ({}));
+    log('reduce result refused', idx, `(${body.message || 'lease-lost'})`);
+    return {};
+  }
+  if (!recordRes.ok) {
+    log('record-reduce failed', recordRes.status, await recordRes.text());
+    return { stop: true };
+  }
+  log('posted reduce result', task.id, status);
+  return {};
+}
+
+// Runs one leased bucket and posts its result. Returns { abortReason } when the backend no longer
+// knows the task and { stop: true } when it refused the result outright.
+async function processBucket(task, workspace, nextJson, lease = startLeaseRenewal(task, nextJson)) {
+  if (nextJson.reduce) return processReduce(task, workspace, nextJson, lease);
+  const { hasMain, main, mainCwd } = workspace;
+  let abortTask = false;
+  let abortReason = null;
+  const idx = nextJson.chunkIndex;
+  const rawChunkData = nextJson.chunkData;
+  const rangeStart = typeof nextJson.rangeStart === 'number' ? nextJson.rangeStart : null;
+  const rangeEnd = typeof nextJson.rangeEnd === 'number' ? nextJson.rangeEnd : null;
+  const bucketBytes = typeof nextJson.bucketBytes === 'number' ? nextJson.bucketBytes : null;
+  const leaseToken = nextJson.leaseToken || null;
+  let leaseLost = null;
+  let running = null;
+  lease.onLost = (reason) => {
+    if (reason === 'task-not-found') {
+      abortTask = true;
+      abortReason = reason;
+    } else {
+      leaseLost = reason;
+    }
+    running?.kill();
+  };
+  if (lease.lost) lease.onLost(lease.lost);
+  const chunkItems = Array.isArray(rawChunkData)
+    ? rawChunkData
+    : (rawChunkData !== undefined && rawChunkData !== null ? [rawChunkData] : []);
+  const rangeItemCount = (rangeStart !== null && rangeEnd !== null) ? Math.max(0, rangeEnd - rangeStart) : null;
+  const itemsCount = Number.isFinite(nextJson.itemsCount)
+    ? nextJson.itemsCount
+    : rangeItemCount !== null
+    ? rangeItemCount
+    : chunkItems.length;
+  const totalItems = Number.isFinite(itemsCount) ? itemsCount : chunkItems.length;
+
+  updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: 0 });
+
+  const itemResults = [];
+  let completedCount = 0;
+  let failedCount = 0;
+  let skippedCount = 0;
+
+  const progressBuffer = [];
+  const flushProgress = async (force = false) => {
+    if (abortTask || leaseLost) {
+      progressBuffer.length = 0;
+      return;
+    }
+    if (progressBuffer.length === 0) return;
+    if (!force && progressBuffer.length < PROGRESS_BATCH_SIZE) return;
+    const first = progressBuffer[0];
+    const fallbackOffset = itemResults.length - progressBuffer.length;
+    const batchOffset = Number.isFinite(first?.localIndex)
+      ? first.localIndex
+      : Math.max(0, fallbackOffset);
+    const safeProcessedCount = Number.isFinite(totalItems)
+      ? Math.min(itemResults.length, totalItems)
+      : itemResults.length;
+    const progressResult = await recordProgressUpdate({
+      taskId: task.id,
+      chunkIndex: idx,
+      workerId: WORKER_ID,
+      rangeStart,
+      itemsProcessed: safeProcessedCount,
+      totalItems,
+      bytesUsed: bucketBytes,
+      batchOffset,
+      batchSize: progressBuffer.length,
+      items: progressBuffer.map((entry) => ({ ...entry })),
+      leaseToken,
+    });
+    if (progressResult?.fatal === 'task-not-found') {
+      abortTask = true;
+      abortReason = 'task-not-found';
+    }
+    if (progressResult?.leaseLost) {
+      leaseLost = progressResult.leaseLost;
+    }
+    progressBuffer.length = 0;
+  };
+
+  if (chunkItems.length === 0) {
+    itemResults.push({
+      localIndex: 0,
+      globalIndex: rangeStart,
+      status: 'skipped',
+      inputPreview: '(empty bucket)',
+      output: 'No items to process',
+      error: null,
+    });
+    skippedCount = 1;
+    updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: 0 });
+  } else {
+    for (let itemOffset = 0; itemOffset < chunkItems.length; itemOffset++) {
+      if (leaseLost || abortTask) break;
+      const chunkItem = chunkItems[itemOffset];
+      const globalIndex = rangeStart !== null ? rangeStart + itemOffset : null;
+      const inputPreview = previewValue(chunkItem);
+      let itemStatus = hasMain ? 'completed' : 'skipped';
+      let outputText = hasMain ? '' : 'Skipped (no main.js)';
+      let errorText = null;
+
+      if (hasMain) {
+        const chunkPath = path.join(mainCwd, 'chunk.json');
+        try {
+          fs.writeFileSync(chunkPath, JSON.stringify(chunkItem));
+        } catch (error) {
+          log('failed to write chunk.json', error.message);
+        }
+        let stdoutBuf = '';
+        let stderrBuf = '';
+        try {
+          log('running main.js for bucket item', `${idx}:${itemOffset}`);
+          await new Promise((resolve, reject) => {
+            const cp = spawn('node', [main], {
+              cwd: mainCwd,
+              env: {
+                ...process.env,
+                TASK_ID: task.id,
+                API_BASE,
+                CHUNK_INDEX: String(idx),
+                CHUNK_ITEM_INDEX: String(itemOffset),
+                CHUNK_GLOBAL_INDEX: globalIndex !== null ? String(globalIndex) : '',
+                CHUNK_ITEMS_TOTAL: String(chunkItems.length),
+              },
+            });
+            running = cp;
+            cp.stdout.on('data', (d) => {
+              stdoutBuf += d.toString();
+              if (VERBOSE_WORKER_LOGS) process.stdout.write(`[task ${task.id}] ` + d);
+            });
+            cp.stderr.on('data', (d) => {
+              stderrBuf += d.toString();
+              if (VERBOSE_WORKER_LOGS) process.stderr.write(`[task ${task.id}] ERR ` + d);
+            });
+            cp.on('close', (code) => {
+              if (code === 0) resolve(); else reject(new Error(`main.js exited ${code}`));
+            });
+          });
+          outputText = stdoutBuf.trim() || `Processed bucket item ${globalIndex ?? itemOffset}`;
+        } catch (error) {
+          itemStatus = 'failed';
+          const stderrText = stderrBuf.trim();
+          errorText = (stderrText && stderrText.length > 0) ? stderrText : (error.message || 'Unknown error');
+          outputText = `Failed: ${errorText}`;
+          log('main.js bucket item run failed', error.message);
+        }
+      }
+
+      if (itemStatus === 'completed') completedCount += 1;
+      else if (itemStatus === 'failed') failedCount += 1;
+      else skippedCount += 1;
+
+      const itemResult = {
+        localIndex: itemOffset,
+        globalIndex,
+        status: itemStatus,
+        inputPreview,
+        output: outputText,
+        error: errorText,
+      };
+
+      itemResults.push(itemResult);
+      progressBuffer.push({ ...itemResult });
+
+      const shouldForceFlush = progressBuffer.length >= PROGRESS_BATCH_SIZE || itemOffset === chunkItems.length - 1;
+      await flushProgress(shouldForceFlush);
+      const processedSoFar = Number.isFinite(totalItems)
+        ? Math.min(itemResults.length, totalItems)
+        : itemResults.length;
+      updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: processedSoFar });
+      if (abortTask) {
+        log('aborting chunk due to task removal', task.id);
+        break;
+      }
+      if (leaseLost) break;
+    }
+  }
+
+  await flushProgress(true);
+  lease.stop();
+  if (abortTask) {
+    log('task no longer available while processing chunk', task.id);
+    return { abortReason: 'task-not-found' };
+  }
+  if (leaseLost) {
+    log('abandoning bucket', idx, `(${leaseLost})`);
+    return {};
+  }
+
+  const statusToSend = failedCount > 0
+    ? 'failed'
+    : completedCount > 0
+    ? 'completed'
+    : 'skipped';
+
+  const summaryText = hasMain
+    ? `Processed ${completedCount}/${totalItems} item(s). Failures: ${failedCount}.`
+    : `Skipped ${totalItems} item(s). Worker missing main.js.`;
+
+  const { inputLines, outputLines } = summarizeItemResults(itemResults);
+  const resultText = `[input]\n${inputLines.join('\n')}\n[output]\n${outputLines.join('\n')}`;
+
+  const resultPayload = {
+    taskId: task.id,
+    chunkIndex: idx,
+    rangeStart,
+    rangeEnd,
+    itemsCount: Number.isFinite(itemsCount) ? itemsCount : chunkItems.length,
+    bytesUsed: bucketBytes,
+    status: statusToSend,
+    resultText,
+    output: summaryText,
+    itemResults,
+    itemResultsTotal: Number.isFinite(itemsCount) ? itemsCount : chunkItems.length,
+    processedItems: Number.isFinite(totalItems) ? Math.min(itemResults.length, totalItems) : itemResults.length,
+    workerId: WORKER_ID,
+    leaseToken,
+  };
+  if (failedCount > 0) {
+    const firstError = itemResults.find((item) => item.status === 'failed' && item.error);
+    if (firstError?.error) resultPayload.error = firstError.error;
+  }
+  const recordRes = await fetch(`${API_BASE}/api/worker/record-chunk`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(resultPayload),
+  });
+  if (recordRes.status === 404) {
+    const body = await recordRes.text();
+    log('record-bucket failed', recordRes.status, body);
+    abortTask = true;
+    abortReason = 'task-not-found';
+    return { abortReason };
+  }
+  if (recordRes.status === 409) {
+    const body = await recordRes.json().catch(() => ({}));
+    log('bucket result refused', idx, `(${body.message || 'lease-lost'})`);
+    return {};
+  }
+  if (!recordRes.ok) {
+    const body = await recordRes.text();
+    log('record-bucket failed', recordRes.status, body);
+    return { stop: true };
+  }
+  log('posted bucket', idx, statusToSend, `(${completedCount} completed, ${failedCount} failed, ${skippedCount} skipped)`);
+  if (!abortTask) {
+    completedChunksCount += 1;
+    updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: totalItems });
+  }
+  return { abortReason };
+}
 
+async function processTask(task) {
+  log('processing', task.id);
+  let workspace = await prepareTaskWorkspace(task);
+  try {
     // repeatedly request next chunk assignment from the server and process it
     let idleIterations = 0;
     while (true) {
@@ -297,7 +751,8 @@ async function processTask(task) {
         if (!nextJson.ok) {
           const rawMessage = typeof nextJson.message === 'string' ? nextJson.message : '';
           const normalizedMessage = rawMessage.toLowerCase();
-          if (normalizedMessage === 'no-chunk' || normalizedMessage === 'no-chunks') {
+          // a pipeline task waits for its upstream task's items the same way it waits for free buckets
+          if (normalizedMessage === 'no-chunk' || normalizedMessage === 'no-chunks' || normalizedMessage === 'waiting-upstream') {
             idleIterations += 1;
             if (idleIterations >= NO_CHUNK_MAX_RETRIES) {
               log('no chunks available after multiple retries', task.id, '- pausing');
@@ -315,6 +770,14 @@ async function processTask(task) {
             log('task temporarily revoked by customer', task.id, '- pausing');
             break;
           }
+          if (normalizedMessage === 'paused' || normalizedMessage === 'draft') {
+            log('task is', normalizedMessage, task.id, '- waiting until the customer resumes it');
+            break;
+          }
+          if (normalizedMessage === 'expired') {
+            log('task passed its deadline', task.id, '- stopping processing');
+            break;
+          }
           if (normalizedMessage === 'budget-exhausted' || normalizedMessage === 'insufficient-funds') {
             log('task cannot allocate more chunks', task.id, '-', rawMessage);
             break;
@@ -323,218 +786,23 @@ async function processTask(task) {
           break;
         }
         idleIterations = 0;
-        const idx = nextJson.chunkIndex;
-        const rawChunkData = nextJson.chunkData;
-        const rangeStart = typeof nextJson.rangeStart === 'number' ? nextJson.rangeStart : null;
-        const rangeEnd = typeof nextJson.rangeEnd === 'number' ? nextJson.rangeEnd : null;
-        const bucketBytes = typeof nextJson.bucketBytes === 'number' ? nextJson.bucketBytes : null;
-        const chunkItems = Array.isArray(rawChunkData)
-          ? rawChunkData
-          : (rawChunkData !== undefined && rawChunkData !== null ? [rawChunkData] : []);
-        const rangeItemCount = (rangeStart !== null && rangeEnd !== null) ? Math.max(0, rangeEnd - rangeStart) : null;
-        const itemsCount = Number.isFinite(nextJson.itemsCount)
-          ? nextJson.itemsCount
-          : rangeItemCount !== null
-          ? rangeItemCount
-          : chunkItems.length;
-        const totalItems = Number.isFinite(itemsCount) ? itemsCount : chunkItems.length;
-
-        updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: 0 });
-
-  const itemResults = [];
-  let completedCount = 0;
-  let failedCount = 0;
-  let skippedCount = 0;
-
-        const progressBuffer = [];
-        const flushProgress = async (force = false) => {
-          if (abortTask) {
-            progressBuffer.length = 0;
-            return;
-          }
-          if (progressBuffer.length === 0) return;
-          if (!force && progressBuffer.length < PROGRESS_BATCH_SIZE) return;
-          const first = progressBuffer[0];
-          const fallbackOffset = itemResults.length - progressBuffer.length;
-          const batchOffset = Number.isFinite(first?.localIndex)
-            ? first.localIndex
-            : Math.max(0, fallbackOffset);
-          const safeProcessedCount = Number.isFinite(totalItems)
-            ? Math.min(itemResults.length, totalItems)
-            : itemResults.length;
-          const progressResult = await recordProgressUpdate({
-            taskId: task.id,
-            chunkIndex: idx,
-            workerId: WORKER_ID,
-            rangeStart,
-            itemsProcessed: safeProcessedCount,
-            totalItems,
-            bytesUsed: bucketBytes,
-            batchOffset,
-            batchSize: progressBuffer.length,
-            items: progressBuffer.map((entry) => ({ ...entry })),
-          });
-          if (progressResult?.fatal === 'task-not-found') {
-            abortTask = true;
-            abortReason = 'task-not-found';
-          }
-          progressBuffer.length = 0;
-        };
-
-        if (chunkItems.length === 0) {
-          itemResults.push({
-            localIndex: 0,
-            globalIndex: rangeStart,
-            status: 'skipped',
-            inputPreview: '(empty bucket)',
-            output: 'No items to process',
-            error: null,
-          });
-          skippedCount = 1;
-          updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: 0 });
-        } else {
-          for (let itemOffset = 0; itemOffset < chunkItems.length; itemOffset++) {
-            const chunkItem = chunkItems[itemOffset];
-            const globalIndex = rangeStart !== null ? rangeStart + itemOffset : null;
-            const inputPreview = previewValue(chunkItem);
-            let itemStatus = hasMain ? 'completed' : 'skipped';
-            let outputText = hasMain ? '' : 'Skipped (no main.js)';
-            let errorText = null;
-
-            if (hasMain) {
-              const chunkPath = path.join(mainCwd, 'chunk.json');
-              try {
-                fs.writeFileSync(chunkPath, JSON.stringify(chunkItem));
-              } catch (error) {
-                log('failed to write chunk.json', error.message);
-              }
-              let stdoutBuf = '';
-              let stderrBuf = '';
-              try {
-                log('running main.js for bucket item', `${idx}:${itemOffset}`);
-                await new Promise((resolve, reject) => {
-                  const cp = spawn('node', [main], {
-                    cwd: mainCwd,
-                    env: {
-                      ...process.env,
-                      TASK_ID: task.id,
-                      API_BASE,
-                      CHUNK_INDEX: String(idx),
-                      CHUNK_ITEM_INDEX: String(itemOffset),
-                      CHUNK_GLOBAL_INDEX: globalIndex !== null ? String(globalIndex) : '',
-                      CHUNK_ITEMS_TOTAL: String(chunkItems.length),
-                    },
-                  });
-                  cp.stdout.on('data', (d) => {
-                    stdoutBuf += d.toString();
-                    if (VERBOSE_WORKER_LOGS) process.stdout.write(`[task ${task.id}] ` + d);
-                  });
-                  cp.stderr.on('data', (d) => {
-                    stderrBuf += d.toString();
-                    if (VERBOSE_WORKER_LOGS) process.stderr.write(`[task ${task.id}] ERR ` + d);
-                  });
-                  cp.on('close', (code) => {
-                    if (code === 0) resolve(); else reject(new Error(`main.js exited ${code}`));
-                  });
-                });
-                outputText = stdoutBuf.trim() || `Processed bucket item ${globalIndex ?? itemOffset}`;
-              } catch (error) {
-                itemStatus = 'failed';
-                const stderrText = stderrBuf.trim();
-                errorText = (stderrText && stderrText.length > 0) ? stderrText : (error.message || 'Unknown error');
-                outputText = `Failed: ${errorText}`;
-                log('main.js bucket item run failed', error.message);
-              }
-            }
-
-            if (itemStatus === 'completed') completedCount += 1;
-            else if (itemStatus === 'failed') failedCount += 1;
-            else skippedCount += 1;
-
-            const itemResult = {
-              localIndex: itemOffset,
-              globalIndex,
-              status: itemStatus,
-              inputPreview,
-              output: outputText,
-              error: errorText,
-            };
-
-            itemResults.push(itemResult);
-            progressBuffer.push({ ...itemResult });
-
-            const shouldForceFlush = progressBuffer.length >= PROGRESS_BATCH_SIZE || itemOffset === chunkItems.length - 1;
-            await flushProgress(shouldForceFlush);
-            const processedSoFar = Number.isFinite(totalItems)
-              ? Math.min(itemResults.length, totalItems)
-              : itemResults.length;
-            updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: processedSoFar });
-            if (abortTask) {
-              log('aborting chunk due to task removal', task.id);
-              break;
-            }
+        const lease = startLeaseRenewal(task, nextJson);
+        const code = bucketCode(task, nextJson);
+        if (code.version !== workspace.codeVersion) {
+          log('code version changed', task.id, `v${workspace.codeVersion} -> v${code.version}`);
+          try { fs.rmSync(workspace.dir, { recursive: true, force: true }); } catch (e) {}
+          try {
+            workspace = await prepareTaskWorkspace(task, code);
+          } catch (e) {
+            lease.stop();
+            throw e;
           }
         }
-
-        await flushProgress(true);
-        if (abortTask) {
-          log('task no longer available while processing chunk', task.id);
-          break;
-        }
-
-        const statusToSend = failedCount > 0
-          ? 'failed'
-          : completedCount > 0
-          ? 'completed'
-          : 'skipped';
-
-        const summaryText = hasMain
-          ? `Processed ${completedCount}/${totalItems} item(s). Failures: ${failedCount}.`
-          : `Skipped ${totalItems} item(s). Worker missing main.js.`;
-
-        const { inputLines, outputLines } = summarizeItemResults(itemResults);
-        const resultText = `[input]\n${inputLines.join('\n')}\n[output]\n${outputLines.join('\n')}`;
-
-        const resultPayload = {
-          taskId: task.id,
-          chunkIndex: idx,
-          rangeStart,
-          rangeEnd,
-          itemsCount: Number.isFinite(itemsCount) ? itemsCount : chunkItems.length,
-          bytesUsed: bucketBytes,
-          status: statusToSend,
-          resultText,
-          output: summaryText,
-          itemResults,
-          itemResultsTotal: Number.isFinite(itemsCount) ? itemsCount : chunkItems.length,
-          processedItems: Number.isFinite(totalItems) ? Math.min(itemResults.length, totalItems) : itemResults.length,
-          workerId: WORKER_ID,
-        };
-        if (failedCount > 0) {
-          const firstError = itemResults.find((item) => item.status === 'failed' && item.error);
-          if (firstError?.error) resultPayload.error = firstError.error;
-        }
-        const recordRes = await fetch(`${API_BASE}/api/worker/record-chunk`, {
-          method: 'POST',
-          headers: { 'content-type': 'application/json' },
-          body: JSON.stringify(resultPayload),
-        });
-        if (recordRes.status === 404) {
-          const body = await recordRes.text();
-          log('record-bucket failed', recordRes.status, body);
+        const outcome = await processBucket(task, workspace, nextJson, lease);
+        if (outcome.stop) break;
+        if (outcome.abortReason) {
           abortTask = true;
-          abortReason = 'task-not-found';
-          break;
-        }
-        if (!recordRes.ok) {
-          const body = await recordRes.text();
-          log('record-bucket failed', recordRes.status, body);
-          break;
-        }
-        log('posted bucket', idx, statusToSend, `(${completedCount} completed, ${failedCount} failed, ${skippedCount} skipped)`);
-        if (!abortTask) {
-          completedChunksCount += 1;
-          updateStatusLine({ chunkIndex: idx, itemsInChunk: totalItems, itemsProcessed: totalItems });
+          abortReason = outcome.abortReason;
         }
         // small pause to avoid tight loop
         await new Promise(r => setTimeout(r, 200));
@@ -555,12 +823,13 @@ async function processTask(task) {
 
   } finally {
     // cleanup
-    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch (e) {}
+    try { fs.rmSync(workspace.dir, { recursive: true, force: true }); } catch (e) {}
     setIdleStatus();
   }
 }
 
 async function loop() {
+  await registerWorker();
   while (true) {
     try {
       const assigned = await listAssignedTasks();
@@ -580,31 +849,111 @@ async function loop() {
       log('poll error', e.message);
       setIdleStatus();
     }
-    if (!heartbeatTimer) {
-      heartbeatTimer = setInterval(() => {
-        sendHeartbeat();
-      }, HEARTBEAT_INTERVAL);
-      sendHeartbeat();
-      const cleanup = () => {
-        if (heartbeatTimer) {
-          clearInterval(heartbeatTimer);
-          heartbeatTimer = null;
-        }
-      };
-      process.once('exit', cleanup);
-      process.once('SIGINT', () => {
-        cleanup();
-        process.exit(0);
-      });
-      process.once('SIGTERM', () => {
-        cleanup();
-        process.exit(0);
+    startHeartbeat();
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+  }
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    sendHeartbeat();
+  }, HEARTBEAT_INTERVAL);
+  sendHeartbeat();
+  const cleanup = () => {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  };
+  process.once('exit', cleanup);
+  process.once('SIGINT', () => {
+    cleanup();
+    process.exit(0);
+  });
+  process.once('SIGTERM', () => {
+    cleanup();
+    process.exit(0);
+  });
+}
+
+// Scheduled mode: every bucket comes from /api/worker/next-chunk/any, which picks the task by fair
+// share across customers and task priority. Workspaces of recently served tasks are kept for reuse.
+async function scheduledLoop() {
+  await registerWorker();
+  startHeartbeat();
+  const workspaces = new Map();
+  const dropWorkspace = (taskId) => {
+    const workspace = workspaces.get(taskId);
+    if (!workspace) return;
+    workspaces.delete(taskId);
+    try { fs.rmSync(workspace.dir, { recursive: true, force: true }); } catch (e) {}
+  };
+  process.once('exit', () => {
+    for (const taskId of [...workspaces.keys()]) dropWorkspace(taskId);
+  });
+
+  while (true) {
+    let nextJson = null;
+    try {
+      const nextRes = await fetch(`${API_BASE}/api/worker/next-chunk/any`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ workerId: WORKER_ID }),
       });
+      if (nextRes.ok) {
+        nextJson = await nextRes.json();
+      } else {
+        log('next-chunk error', await nextRes.text());
+      }
+    } catch (e) {
+      log('poll error', e.message);
     }
-    await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+    if (!nextJson?.ok || !nextJson.task) {
+      setIdleStatus();
+      await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+      continue;
+    }
+
+    const task = nextJson.task;
+    // the lease runs while the workspace is prepared, which may include a long bootstrap run
+    const lease = startLeaseRenewal(task, nextJson);
+    try {
+      let workspace = workspaces.get(task.id);
+      const code = bucketCode(task, nextJson);
+      if (workspace && workspace.codeVersion !== code.version) {
+        log('code version changed', task.id, `v${workspace.codeVersion} -> v${code.version}`);
+        dropWorkspace(task.id);
+        workspace = null;
+      }
+      if (workspace) {
+        // keep the map in least-recently-used order
+        workspaces.delete(task.id);
+      } else {
+        log('preparing task', task.id);
+        workspace = await prepareTaskWorkspace(task, code);
+      }
+      workspaces.set(task.id, workspace);
+      if (workspaces.size > MAX_CACHED_WORKSPACES) {
+        dropWorkspace(workspaces.keys().next().value);
+      }
+      const outcome = await processBucket(task, workspace, nextJson, lease);
+      if (outcome.abortReason) dropWorkspace(task.id);
+    } catch (e) {
+      log('process error', e.message);
+      dropWorkspace(task.id);
+    } finally {
+      lease.stop();
+    }
+    setIdleStatus();
+    await new Promise((r) => setTimeout(r, 200));
   }
 }
 
 // start the loop
-log('worker runner starting', { WORKER_ID, API_BASE, POLL_INTERVAL });
-loop();
+log('worker runner starting', { WORKER_ID, API_BASE, POLL_INTERVAL, WORKER_MODE });
+if (WORKER_MODE === 'claimed') {
+  loop();
+} else {
+  scheduledLoop();
+}
@@ -11,6 +11,13 @@ const CAPABILITIES = [
   "machine-learning",
 ];
 
+const DATASET_FORMATS = [
+  { value: "auto", label: "Detect automatically" },
+  { value: "json", label: "JSON array" },
+  { value: "ndjson", label: "NDJSON (one JSON value per line)" },
+  { value: "csv", label: "CSV with header row" },
+];
+
 const DEFAULT_PLATFORM_FEE_PERCENT = 10;
 
 let activeSessionId: string | null = null;
@@ -29,7 +36,14 @@ function withSession(init?: RequestInit): RequestInit {
   return base;
 }
 
-type TaskStatus = "queued" | "processing" | "completed" | "failed";
+type TaskStatus = "draft" | "queued" | "running" | "paused" | "cancelling" | "cancelled" | "completed" | "failed" | "expired";
+
+interface TaskStatusChange {
+  from: TaskStatus | null;
+  to: TaskStatus;
+  reason: string | null;
+  at: string;
+}
 
 interface BucketConfig {
   maxBuckets: number | null;
@@ -44,6 +58,7 @@ interface Task {
   creditCost: number;
   inputType: string;
   metadataJson: string | null;
+  dataFormat?: "json" | "ndjson" | "csv" | null;
   totalChunks: number | null;
   processedChunks: number | null;
   totalItems?: number | null;
@@ -55,6 +70,9 @@ interface Task {
   assignedWorkers?: string[];
   maxBucketBytes?: number | null;
   bucketConfig?: BucketConfig;
+  bucketSizing?: BucketSizing | null;
+  workerThroughput?: Record<string, WorkerThroughput> | null;
+  leaseDurationMs?: number | null;
   nextChunkIndex?: number | null;
   costPerChunk?: number | null;
   budgetTotal?: number | null;
@@ -63,6 +81,156 @@ interface Task {
   chunksPaid?: number | null;
   platformFeePercent?: number | null;
   revoked?: boolean | null;
+  statusHistory?: TaskStatusChange[];
+  replication?: ReplicationConfig | null;
+  disputedChunks?: DisputedChunk[];
+  retryPolicy?: RetryPolicy | null;
+  deadLetter?: DeadLetterEntry[];
+  priority?: number | null;
+  upstream?: TaskUpstream | null;
+  pipeline?: PipelineSummary | null;
+  reduce?: ReduceRun | null;
+  result?: string | null;
+  resultUrl?: string;
+  deadline?: string | null;
+  expiredAt?: string | null;
+  budgetReleased?: number | null;
+  scheduleId?: string | null;
+  clonedFrom?: TaskClone | null;
+  itemRanges?: ItemRange[] | null;
+  codeVersion?: number | null;
+  codeVersions?: CodeVersion[];
+}
+
+interface CodeVersion {
+  version: number;
+  fileName: string;
+  uploadedAt: string | null;
+  note: string | null;
+  url?: string;
+}
+
+type RerunItems = "all" | "failed" | "ranges";
+
+interface TaskClone {
+  taskId: string;
+  name: string;
+  items: RerunItems;
+  newCode: boolean;
+  codeVersion?: number | null;
+  clonedAt: string;
+}
+
+interface ItemRange {
+  start: number;
+  end: number;
+}
+
+interface ScheduleRun {
+  scheduledFor: string;
+  startedAt: string;
+  status: "created" | "skipped";
+  taskId: string | null;
+  error: string | null;
+  taskStatus: TaskStatus | null;
+  taskProgress: number | null;
+}
+
+interface TaskSchedule {
+  id: string;
+  name: string;
+  cron: string;
+  runBudget: number;
+  paused: boolean;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  dataFileName: string | null;
+  runs: ScheduleRun[];
+}
+
+interface ReduceRun {
+  entrypoint: string;
+  state: "waiting" | "pending" | "completed" | "failed";
+  workerId: string | null;
+  error: string | null;
+  failedAttempts: number;
+  retryAt: string | null;
+  finishedAt: string | null;
+  codeVersion?: number | null;
+}
+
+interface TaskUpstream {
+  taskId: string;
+  mode: "streaming" | "on-complete";
+}
+
+interface PipelineSummary {
+  taskIds: string[];
+  stages: number;
+  processedItems: number;
+  totalItems: number;
+  progress: number;
+  completed: boolean;
+}
+
+interface PipelineNode {
+  taskId: string;
+  name: string;
+  status: TaskStatus;
+  stage: number;
+  upstreamTaskId: string | null;
+  upstreamMode: TaskUpstream["mode"] | null;
+  processedItems: number;
+  totalItems: number | null;
+  progress: number;
+}
+
+interface Pipeline extends Omit<PipelineSummary, "taskIds"> {
+  nodes: PipelineNode[];
+  edges: Array<{ from: string; to: string }>;
+}
+
+interface BucketSizing {
+  targetSeconds: number;
+  minItems: number;
+  maxItems: number | null;
+}
+
+interface WorkerThroughput {
+  itemsPerSecond: number;
+  samples: number;
+  updatedAt: string;
+}
+
+interface RetryPolicy {
+  maxAttempts: number;
+  backoffMs: number;
+  preferDifferentWorker: boolean;
+}
+
+interface DeadLetterEntry {
+  chunkIndex: number;
+  rangeStart: number | null;
+  rangeEnd: number | null;
+  attempts: number;
+  lastError: string | null;
+  workerIds: string[];
+  deadLetteredAt: string;
+}
+
+interface ReplicationConfig {
+  factor: number;
+  quorum: number;
+  compare: "exact" | "normalized";
+}
+
+interface DisputedChunk {
+  chunkIndex: number;
+  rangeStart: number | null;
+  rangeEnd: number | null;
+  workerIds: Array<string | null>;
+  distinctOutputs: number;
+  flaggedAt: string;
 }
 
 interface ItemResult {
@@ -72,13 +240,35 @@ interface ItemResult {
   inputPreview?: string | null;
   output?: string | null;
   error?: string | null;
+  codeVersion?: number | null;
+}
+
+// An item of GET /api/tasks/:taskId/items with its full, untruncated output
+interface TaskItem {
+  index: number;
+  status: "completed" | "failed" | "skipped";
+  output: unknown;
+  error: string | null;
+  inputPreview: string | null;
+  chunkIndex: number;
+  codeVersion: number | null;
 }
 
+interface TaskItemsPage {
+  items: TaskItem[];
+  start: number;
+  end: number;
+  nextStart: number | null;
+  totalItems: number | null;
+}
+
+type ItemStatusFilter = "all" | "completed" | "failed" | "skipped";
+
 interface BucketResult {
   id: string;
   taskId: string;
   chunkIndex: number;
-  status: "completed" | "failed" | "skipped" | "processing";
+  status: "completed" | "failed" | "skipped" | "processing" | "verifying" | "disputed" | "retrying";
   resultText: string | null;
   createdAt?: string;
   updatedAt?: string;
@@ -93,6 +283,34 @@ interface BucketResult {
   itemResultsTruncated?: boolean;
   processedItems?: number | null;
   workerId?: string | null;
+  verification?: (ReplicationConfig & { state: "pending" | "verified" | "disputed" }) | null;
+  replicas?: ReplicaRun[];
+  attempts?: ChunkAttempt[];
+  retryAt?: string | null;
+  parentChunkIndex?: number | null;
+  continuation?: boolean;
+  pendingItemRanges?: Array<{ chunkIndex: number; rangeStart: number; rangeEnd: number }>;
+  billableFraction?: number | null;
+  partial?: { workerId: string | null; reason: string; processedItems: number; releasedAt: string } | null;
+  codeVersion?: number | null;
+}
+
+interface ChunkAttempt {
+  attempt: number;
+  workerId: string | null;
+  status: string;
+  error: string | null;
+  finishedAt: string;
+}
+
+interface ReplicaRun {
+  workerId: string | null;
+  status: string;
+  output?: string | null;
+  error?: string | null;
+  agreed: boolean | null;
+  submittedAt?: string;
+  codeVersion?: number | null;
 }
 
 interface BucketAssignment {
@@ -110,8 +328,25 @@ interface BucketAssignment {
   updatedAt?: string | null;
   lastBatchOffset?: number | null;
   lastBatchSize?: number | null;
+  speculative?: boolean;
+}
+
+interface FleetWorker {
+  id: string;
+  online: boolean;
+  firstSeenAt: string | null;
+  lastSeenAt: string | null;
+  version: string | null;
+  host: string | null;
+  capabilities: string[];
+  currentAssignment: (BucketAssignment & { taskId: string; taskName: string | null }) | null;
+  completedChunks: number;
+  failedChunks: number;
+  earnings: number;
 }
 
+type FleetFilter = "all" | "online" | "offline";
+
 interface UserProfile {
   id: string;
   sessionId: string | null;
@@ -145,12 +380,21 @@ async function fetchJSON<T>(url: string, init?: RequestInit): Promise<T> {
   return res.json();
 }
 
-async function listTasks(status?: string) {
-  const query = status ? `?status=${encodeURIComponent(status)}` : "";
+async function listTasks(status?: string, workerId?: string) {
+  const params = new URLSearchParams();
+  if (status) params.set("status", status);
+  // with a workerId the backend only returns tasks that worker's capabilities can run
+  if (workerId) params.set("workerId", workerId);
+  const query = params.toString() ? `?${params.toString()}` : "";
   const data = await fetchJSON<{ tasks: Task[] }>(`${API_BASE}/api/tasks${query}`);
   return data.tasks;
 }
 
+async function fetchPipeline(taskId: string) {
+  const data = await fetchJSON<{ pipeline: Pipeline | null }>(`${API_BASE}/api/tasks/${taskId}/pipeline`);
+  return data.pipeline;
+}
+
 async function fetchTask(taskId: string) {
   return fetchJSON<{ task: Task; results: BucketResult[] }>(`${API_BASE}/api/tasks/${taskId}`);
 }
@@ -170,6 +414,31 @@ async function createTask(formData: FormData) {
   return res.json();
 }
 
+async function cloneTask(taskId: string, formData: FormData) {
+  return fetchJSON<{ task: Task }>(`${API_BASE}/api/tasks/${taskId}/clone`, { method: "POST", body: formData });
+}
+
+async function uploadCodeVersion(taskId: string, formData: FormData) {
+  return fetchJSON<{ task: Task; codeVersion: number }>(`${API_BASE}/api/tasks/${taskId}/code`, { method: "POST", body: formData });
+}
+
+async function listSchedules() {
+  const data = await fetchJSON<{ schedules: TaskSchedule[] }>(`${API_BASE}/api/schedules`);
+  return data.schedules;
+}
+
+async function createSchedule(formData: FormData) {
+  return fetchJSON<{ schedule: TaskSchedule }>(`${API_BASE}/api/schedules`, { method: "POST", body: formData });
+}
+
+async function updateSchedule(scheduleId: string, action: "pause" | "resume" | "data", body?: FormData) {
+  return fetchJSON<{ schedule: TaskSchedule }>(`${API_BASE}/api/schedules/${scheduleId}/${action}`, { method: "POST", body });
+}
+
+async function deleteSchedule(scheduleId: string) {
+  return fetchJSON<{ ok: boolean }>(`${API_BASE}/api/schedules/${scheduleId}`, { method: "DELETE" });
+}
+
 async function fetchCurrentUser(sessionId: string) {
   if (sessionId && sessionId !== activeSessionId) {
     setActiveSessionId(sessionId);
@@ -284,25 +553,61 @@ async function fetchBucketResults(taskId: string) {
   };
 }
 
+async function fetchTaskItems(taskId: string, { start, status, limit }: { start: number; status: ItemStatusFilter; limit: number }) {
+  const params = new URLSearchParams({ start: String(start), limit: String(limit) });
+  if (status !== "all") params.set("status", status);
+  return fetchJSON<TaskItemsPage>(`${API_BASE}/api/tasks/${taskId}/items?${params}`);
+}
+
+async function listWorkers(status: FleetFilter) {
+  const query = status === "all" ? "" : `?status=${status}`;
+  const data = await fetchJSON<{ workers: FleetWorker[] }>(`${API_BASE}/api/workers${query}`);
+  return data.workers;
+}
+
 async function fetchWorkerOnline(workerId: string) {
-  return fetchJSON<{ online: boolean; lastHeartbeat?: string }>(`${API_BASE}/api/worker/online/${encodeURIComponent(workerId)}`);
+  return fetchJSON<{ online: boolean; lastHeartbeat?: string; capabilities?: string[] | null }>(`${API_BASE}/api/worker/online/${encodeURIComponent(workerId)}`);
 }
 
 function formatStatus(status: TaskStatus) {
   switch (status) {
+    case "draft":
+      return "Draft";
     case "queued":
       return "Queued";
-    case "processing":
-      return "Processing";
+    case "running":
+      return "Running";
+    case "paused":
+      return "Paused";
+    case "cancelling":
+      return "Cancelling";
+    case "cancelled":
+      return "Cancelled";
     case "completed":
       return "Completed";
     case "failed":
       return "Failed";
+    case "expired":
+      return "Expired";
     default:
       return status;
   }
 }
 
+function formatTimeRemaining(task: Task) {
+  if (!task.deadline) return null;
+  if (task.status === "expired") return `Expired ${new Date(task.expiredAt || task.deadline).toLocaleString()}`;
+  if (task.status === "completed" || task.status === "failed" || task.status === "cancelled") return null;
+  const remaining = Date.parse(task.deadline) - Date.now();
+  if (!Number.isFinite(remaining)) return null;
+  if (remaining <= 0) return "Deadline passed";
+  const minutes = Math.ceil(remaining / 60000);
+  if (minutes < 60) return `${minutes}m left`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m left`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h left`;
+}
+
 function formatCapability(capability: string) {
   return capability
     .split("-")
@@ -352,8 +657,21 @@ function TaskCard({ task, onSelect, onClaim, onDrop, isActive }: { task: Task; o
         <span className={`status status-${task.status}`}>{formatStatus(task.status)}</span>
         <span className="capability">{formatCapability(task.capabilityRequired)}</span>
         <span className="credits">{task.creditCost} credits</span>
+        {typeof task.priority === "number" ? <span className="capability">Priority {task.priority}</span> : null}
+        {task.upstream ? <span className="capability">Reads upstream outputs</span> : null}
+        {task.scheduleId ? <span className="capability">Scheduled run</span> : null}
+        {task.clonedFrom ? <span className="capability">Re-run</span> : null}
+        {formatTimeRemaining(task) ? <span className="deadline">{formatTimeRemaining(task)}</span> : null}
       </div>
       <ProgressBar value={task.progress ?? null} />
+      {task.pipeline ? (
+        <div className="task-meta">
+          <span>
+            Pipeline of {task.pipeline.taskIds.length} tasks in {task.pipeline.stages} stages
+          </span>
+          <span>{task.pipeline.progress}% overall</span>
+        </div>
+      ) : null}
       <div className="task-meta">
         <span>
           Created {new Date(task.createdAt).toLocaleString()} · ID: {task.id}
@@ -479,6 +797,7 @@ function ItemDetails({
             <li key={key}>
               <span className={`item-status status-${item.status}`}>{item.status}</span>
               <span className="item-label">{formatItemLabel(item, idx)}</span>
+              {typeof item.codeVersion === "number" ? <span className="item-label">code v{item.codeVersion}</span> : null}
               <code className="item-preview">{content}</code>
             </li>
           );
@@ -514,7 +833,48 @@ function BucketResultsTable({ results }: { results: BucketResult[] }) {
           return (
             <tr key={result.id}>
               <td>#{result.chunkIndex}</td>
-              <td>{result.status}</td>
+              <td>
+                {result.status}
+                {typeof result.codeVersion === "number" ? <div className="bucket-meta-line">Code v{result.codeVersion}</div> : null}
+                {result.verification ? (
+                  <div className="bucket-meta-line">
+                    {result.replicas?.length ?? 0}/{result.verification.factor} replicas, quorum {result.verification.quorum}
+                  </div>
+                ) : null}
+                {typeof result.parentChunkIndex === "number" ? (
+                  <div className="bucket-meta-line">
+                    {result.continuation ? "Unfinished items" : "Failed items"} of #{result.parentChunkIndex}
+                  </div>
+                ) : null}
+                {result.partial ? (
+                  <div className="bucket-meta-line">
+                    {result.partial.workerId || "Worker"} stopped after {result.partial.processedItems} item(s) ({result.partial.reason === "dropped" ? "dropped" : "lease expired"})
+                  </div>
+                ) : null}
+                {result.pendingItemRanges?.length ? (
+                  <div className="bucket-meta-line">
+                    Re-running {result.pendingItemRanges.map((entry) => formatRangeLabel(entry.rangeStart, entry.rangeEnd)).join(", ")}
+                  </div>
+                ) : null}
+                {typeof result.billableFraction === "number" && result.billableFraction < 1 ? (
+                  <div className="bucket-meta-line">Billed {Math.round(result.billableFraction * 100)}% of the chunk price</div>
+                ) : null}
+                {result.attempts && result.attempts.length > 1 ? (
+                  <div className="bucket-meta-line">
+                    Attempts: {result.attempts.map((attempt) => `${attempt.workerId || "?"} ${attempt.status}`).join(", ")}
+                  </div>
+                ) : null}
+                {result.status === "retrying" && result.retryAt ? (
+                  <div className="bucket-meta-line">Retry after {new Date(result.retryAt).toLocaleTimeString()}</div>
+                ) : null}
+                {(result.replicas ?? []).map((replica, idx) => (
+                  <div key={`${replica.workerId}-${idx}`} className="bucket-meta-line">
+                    {replica.workerId || "unknown"}: {replica.agreed === null ? "waiting" : replica.agreed ? "agreed" : "disagreed"}
+                    {typeof replica.codeVersion === "number" ? ` (code v${replica.codeVersion})` : ""}
+                    {replica.agreed === false && replica.output ? <pre>{replica.output}</pre> : null}
+                  </div>
+                ))}
+              </td>
               <td>
                 <div className="bucket-line">Chunk #{result.chunkIndex}</div>
                 {metaParts.length ? <div className="bucket-meta-line">{metaParts.join(' | ')}</div> : null}
@@ -554,6 +914,114 @@ function BucketResultsTable({ results }: { results: BucketResult[] }) {
   );
 }
 
+const ITEMS_PAGE_SIZE = 50;
+
+function formatItemOutput(output: unknown) {
+  if (output === null || output === undefined) return "—";
+  return typeof output === "string" ? output : JSON.stringify(output, null, 2);
+}
+
+// Full item outputs, read page by page from the task's stored outputs rather than the chunk previews
+function TaskItemsPanel({ taskId, processedItems }: { taskId: string; processedItems: number | null }) {
+  const [status, setStatus] = useState<ItemStatusFilter>("all");
+  // start index of every page up to the current one, so Previous can step back
+  const [pageStarts, setPageStarts] = useState<number[]>([0]);
+  const [page, setPage] = useState<TaskItemsPage | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const start = pageStarts[pageStarts.length - 1];
+
+  useEffect(() => {
+    setPageStarts([0]);
+  }, [taskId, status]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchTaskItems(taskId, { start, status, limit: ITEMS_PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setPage(data);
+        setError(null);
+      })
+      .catch((err: any) => {
+        if (!cancelled) setError(err.message || "Failed to load items");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, status, start, processedItems]);
+
+  const jumpTo = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const value = Number(new FormData(event.currentTarget).get("index"));
+    if (Number.isInteger(value) && value >= 0) setPageStarts([0, value]);
+  };
+
+  return (
+    <>
+      <div className="task-actions-row">
+        <label>
+          Show
+          <select value={status} onChange={(event) => setStatus(event.target.value as ItemStatusFilter)}>
+            <option value="all">All items</option>
+            <option value="completed">Completed</option>
+            <option value="failed">Failed</option>
+            <option value="skipped">Skipped</option>
+          </select>
+        </label>
+        <form className="items-jump" onSubmit={jumpTo}>
+          <input type="number" name="index" min={0} placeholder="Item #" />
+          <button className="btn" type="submit">
+            Go
+          </button>
+        </form>
+      </div>
+      {error ? <p className="muted">{error}</p> : null}
+      {page && page.items.length ? (
+        <ul className="item-list">
+          {page.items.map((item) => (
+            <li key={item.index}>
+              <span className={`item-status status-${item.status}`}>{item.status}</span>
+              <span className="item-label">#{item.index}</span>
+              <span className="muted">
+                chunk #{item.chunkIndex}
+                {typeof item.codeVersion === "number" ? ` · code v${item.codeVersion}` : ""}
+              </span>
+              {item.inputPreview ? <code className="item-preview">{item.inputPreview}</code> : null}
+              <pre className="item-output">
+                {item.status === "failed" ? item.error || formatItemOutput(item.output) : formatItemOutput(item.output)}
+              </pre>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="muted">{page ? "No stored items match." : "Loading items…"}</p>
+      )}
+      {page ? (
+        <div className="task-actions-row">
+          <button className="btn" onClick={() => setPageStarts((starts) => starts.slice(0, -1))} disabled={pageStarts.length < 2}>
+            Previous
+          </button>
+          <span className="muted">
+            {page.items.length
+              ? `Items #${page.items[0].index}–#${page.items[page.items.length - 1].index}`
+              : `From #${page.start}`}
+          </span>
+          <button
+            className="btn"
+            onClick={() => {
+              const next = page.nextStart;
+              if (next !== null) setPageStarts((starts) => [...starts, next]);
+            }}
+            disabled={page.nextStart === null}
+          >
+            Next
+          </button>
+        </div>
+      ) : null}
+    </>
+  );
+}
+
 function BucketProgressBar({
   task,
   results,
@@ -571,7 +1039,7 @@ function BucketProgressBar({
   }>>(() => {
     if (!task) return [];
 
-    const finishedStatuses = new Set<BucketResult["status"]>(["completed", "failed", "skipped"]);
+    const finishedStatuses = new Set<BucketResult["status"]>(["completed", "failed", "skipped", "disputed"]);
     const bucketMap = new Map<number, {
       processed: number;
       total: number | null;
@@ -717,6 +1185,58 @@ function BucketProgressBar({
   );
 }
 
+// Tasks of a pipeline laid out left to right by stage; each stage reads the outputs of the one before
+function PipelineGraph({
+  pipeline,
+  currentTaskId,
+  onSelect,
+}: {
+  pipeline: Pipeline;
+  currentTaskId: string;
+  onSelect?: (taskId: string) => void;
+}) {
+  const nameOf = (taskId: string | null) =>
+    pipeline.nodes.find((node) => node.taskId === taskId)?.name ?? taskId ?? "";
+  const stages = Array.from({ length: pipeline.stages }, (_, stage) =>
+    pipeline.nodes.filter((node) => node.stage === stage)
+  );
+  return (
+    <div className="pipeline">
+      <div className="task-meta">
+        <span>
+          {pipeline.processedItems}/{pipeline.totalItems} items across all stages
+        </span>
+        <span>{pipeline.completed ? "All stages completed" : `${pipeline.progress}% overall`}</span>
+      </div>
+      <ProgressBar value={pipeline.progress} />
+      <div className="pipeline-graph">
+        {stages.map((nodes, stage) => (
+          <div key={stage} className="pipeline-stage">
+            {nodes.map((node) => (
+              <button
+                key={node.taskId}
+                type="button"
+                className={`pipeline-node${node.taskId === currentTaskId ? " active" : ""}`}
+                onClick={() => onSelect?.(node.taskId)}
+              >
+                <strong>{node.name}</strong>
+                <span className={`status status-${node.status}`}>{formatStatus(node.status)}</span>
+                <ProgressBar value={node.progress} />
+                <small className="muted">
+                  {node.processedItems}/{node.totalItems ?? "?"} items
+                  {node.upstreamTaskId
+                    ? ` · from ${nameOf(node.upstreamTaskId)} (${node.upstreamMode === "on-complete" ? "after it completes" : "streaming"})`
+                    : ""}
+                </small>
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function BucketSummaryPanel({
   task,
   results,
@@ -747,7 +1267,8 @@ function BucketSummaryPanel({
     const leftoverAssignments: BucketAssignment[] = [];
 
     assignments.forEach((assignment) => {
-      if (typeof assignment.chunkIndex === "number") {
+      // a speculative copy gets its own row next to the run it shadows
+      if (typeof assignment.chunkIndex === "number" && !assignment.speculative) {
         assignmentByChunk.set(assignment.chunkIndex, assignment);
       } else {
         leftoverAssignments.push(assignment);
@@ -840,7 +1361,7 @@ function BucketSummaryPanel({
         itemsCount,
         processedCount: normalizedProcessed,
         bytesUsed: typeof assignment.bytesUsed === "number" ? assignment.bytesUsed : null,
-        workerId: assignment.workerId,
+        workerId: assignment.speculative ? `${assignment.workerId} (speculative)` : assignment.workerId,
         timestamp: assignment.updatedAt || assignment.assignedAt || null,
       });
     });
@@ -888,6 +1409,9 @@ function BucketSummaryPanel({
     : processedItems !== null
     ? `${processedItems}`
     : "—";
+  const throughputRows = Object.entries(task.workerThroughput ?? {})
+    .filter(([, entry]) => Number.isFinite(entry?.itemsPerSecond))
+    .sort(([, a], [, b]) => b.itemsPerSecond - a.itemsPerSecond);
 
   return (
     <div className="bucket-summary">
@@ -898,7 +1422,25 @@ function BucketSummaryPanel({
         <div><strong>Completed chunks:</strong> {completedCount}</div>
         <div><strong>Active assignments:</strong> {activeAssignments}</div>
         <div><strong>Processed items:</strong> {processedItemsLabel}</div>
+        {task.leaseDurationMs ? (
+          <div><strong>Lease:</strong> {Math.round(task.leaseDurationMs / 1000)}s without progress or renewal</div>
+        ) : null}
+        {task.bucketSizing ? (
+          <div>
+            <strong>Bucket target:</strong> {task.bucketSizing.targetSeconds}s per worker
+            {" "}({task.bucketSizing.minItems}–{task.bucketSizing.maxItems ?? "∞"} items)
+          </div>
+        ) : null}
       </div>
+      {throughputRows.length > 0 ? (
+        <div className="bucket-overview">
+          {throughputRows.map(([workerId, entry]) => (
+            <div key={workerId}>
+              <strong>{workerId}:</strong> {entry.itemsPerSecond.toFixed(2)} items/s
+            </div>
+          ))}
+        </div>
+      ) : null}
       {summaryRows.length === 0 ? (
         <p className="muted small-note">No chunk history yet.</p>
       ) : (
@@ -1179,12 +1721,16 @@ function CustomerView({
   const [results, setResults] = useState<BucketResult[]>([]);
   const [assignments, setAssignments] = useState<BucketAssignment[]>([]);
   const [loading, setLoading] = useState(false);
-  const [inputMode, setInputMode] = useState<"file" | "database">("file");
+  const [inputMode, setInputMode] = useState<"file" | "database" | "upstream">("file");
+  const [pipeline, setPipeline] = useState<Pipeline | null>(null);
   const [dbUri, setDbUri] = useState("");
   const [dbName, setDbName] = useState("");
   const [dbCollection, setDbCollection] = useState("");
   const [dbAttached, setDbAttached] = useState(false);
   const [metadataJsonValue, setMetadataJsonValue] = useState("");
+  const [recurring, setRecurring] = useState(false);
+  const [schedules, setSchedules] = useState<TaskSchedule[]>([]);
+  const [rerunItems, setRerunItems] = useState<RerunItems>("all");
   const [activeTab, setActiveTab] = useState<"wallet" | "submit" | "tasks" | "details">("wallet");
 
   const refreshTasks = async () => {
@@ -1208,9 +1754,21 @@ function CustomerView({
     }
   };
 
+  const refreshSchedules = async () => {
+    try {
+      setSchedules(await listSchedules());
+    } catch (error: any) {
+      toast.error(error.message || "Failed to fetch schedules");
+    }
+  };
+
   useEffect(() => {
     refreshTasks();
-    const interval = setInterval(refreshTasks, 4000);
+    refreshSchedules();
+    const interval = setInterval(() => {
+      refreshTasks();
+      refreshSchedules();
+    }, 4000);
     return () => clearInterval(interval);
   }, []);
 
@@ -1255,6 +1813,24 @@ function CustomerView({
     };
   }, [selectedTask?.id, selectedTask?.processedChunks, selectedTask?.status]);
 
+  useEffect(() => {
+    if (!selectedTask?.pipeline) {
+      setPipeline(null);
+      return;
+    }
+    let cancelled = false;
+    fetchPipeline(selectedTask.id)
+      .then((data) => {
+        if (!cancelled) setPipeline(data);
+      })
+      .catch((error) => {
+        if (!cancelled) console.error("Failed to load pipeline", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTask?.id, selectedTask?.pipeline?.processedItems, selectedTask?.pipeline?.completed]);
+
   const handleSubmit = async (event: React.FormEvent<HTMLFormElement>) => {
     event.preventDefault();
     const form = event.currentTarget;
@@ -1268,11 +1844,41 @@ function CustomerView({
     formData.set("inputType", inputMode === "database" ? "database" : "file");
     // include creator session id so backend can associate tasks with a creator
     formData.set("creatorId", sessionId);
+    // datetime-local has no timezone; send the instant the customer picked in their local time
+    const deadlineValue = formData.get("deadline") as string | null;
+    if (deadlineValue) {
+      const deadline = new Date(deadlineValue);
+      if (Number.isNaN(deadline.getTime()) || deadline.getTime() <= Date.now()) {
+        toast.error("The deadline must be in the future");
+        return;
+      }
+      formData.set("deadline", deadline.toISOString());
+    } else {
+      formData.delete("deadline");
+    }
     const codeFile = formData.get("code") as File | null;
     if (!codeFile || !codeFile.name.endsWith(".zip")) {
       toast.error("Please upload a code.zip file containing main.js");
       return;
     }
+    if (recurring) {
+      if (inputMode === "upstream") {
+        toast.error("A schedule brings its own dataset; upload a file or attach a database");
+        return;
+      }
+      // every run gets its own budget cap and no fixed deadline
+      formData.delete("deadline");
+    } else {
+      formData.delete("schedule");
+      formData.delete("runBudget");
+    }
+    if (inputMode === "upstream") {
+      if (!formData.get("upstreamTaskId")) {
+        toast.error("Choose the upstream task whose outputs this task processes");
+        return;
+      }
+      formData.delete("data");
+    }
     if (inputMode === "database") {
       if (!dbAttached) {
         toast.error("Attach the database connection before submitting");
@@ -1298,9 +1904,16 @@ function CustomerView({
     }
     setLoading(true);
     try {
-      await createTask(formData);
-      toast.success("Task submitted");
+      if (recurring) {
+        await createSchedule(formData);
+        toast.success("Schedule created");
+        await refreshSchedules();
+      } else {
+        await createTask(formData);
+        toast.success("Task submitted");
+      }
       form.reset();
+      setRecurring(false);
       setInputMode("file");
       setDbUri("");
       setDbName("");
@@ -1334,6 +1947,27 @@ function CustomerView({
     toast.success("Database attached");
   };
 
+  const changeSchedule = async (schedule: TaskSchedule, action: "pause" | "resume" | "delete" | "data", file?: File) => {
+    try {
+      if (action === "delete") {
+        await deleteSchedule(schedule.id);
+        toast.success(`Deleted schedule ${schedule.name}`);
+      } else if (action === "data") {
+        if (!file) return;
+        const body = new FormData();
+        body.append("data", file);
+        await updateSchedule(schedule.id, "data", body);
+        toast.success("Dataset replaced; the next run uses it");
+      } else {
+        await updateSchedule(schedule.id, action);
+        toast.success(action === "pause" ? "Schedule paused" : "Schedule resumed");
+      }
+      await refreshSchedules();
+    } catch (err: any) {
+      toast.error(err?.message || "Failed to update schedule");
+    }
+  };
+
   const revokeTask = async (taskId: string) => {
     try {
       const res = await fetch(`${API_BASE}/api/tasks/${taskId}/revoke`, withSession({ method: 'POST' }));
@@ -1350,6 +1984,120 @@ function CustomerView({
     }
   };
 
+  const updatePriority = async (taskId: string, priority: number) => {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/tasks/${taskId}/priority`,
+        withSession({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ priority }),
+        })
+      );
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(text || 'Failed to update priority');
+      }
+      const data = await res.json();
+      setSelectedTask(data.task || null);
+      toast.success(`Priority set to ${priority}`);
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to update priority');
+    }
+  };
+
+  const requeueDeadLetter = async (taskId: string, chunkIndex?: number) => {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/tasks/${taskId}/dead-letter/requeue`,
+        withSession({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(chunkIndex === undefined ? {} : { chunkIndex }),
+        })
+      );
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(text || 'Failed to re-queue chunks');
+      }
+      const data = await res.json();
+      setSelectedTask(data.task || null);
+      toast.success(`Re-queued ${data.requeued?.length ?? 0} chunk(s)`);
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to re-queue chunks');
+    }
+  };
+
+  const retryReducer = async (taskId: string) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/tasks/${taskId}/reduce/retry`, withSession({ method: 'POST' }));
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(text || 'Failed to retry reducer');
+      }
+      const data = await res.json();
+      setSelectedTask(data.task || null);
+      toast.success('Reducer queued again');
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to retry reducer');
+    }
+  };
+
+  const changeTaskState = async (taskId: string, action: "pause" | "resume" | "queue", successMessage: string) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/tasks/${taskId}/${action}`, withSession({ method: 'POST' }));
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(text || `Failed to ${action} task`);
+      }
+      const data = await res.json();
+      setSelectedTask(data.task || null);
+      toast.success(successMessage);
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || `Failed to ${action} task`);
+    }
+  };
+
+  const handleCodeUpload = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!selectedTask) return;
+    const form = event.currentTarget;
+    try {
+      const data = await uploadCodeVersion(selectedTask.id, new FormData(form));
+      form.reset();
+      setSelectedTask(data.task);
+      toast.success(`Code v${data.codeVersion} uploaded — new chunks run it`);
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || "Failed to upload code");
+    }
+  };
+
+  const handleRerun = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!selectedTask) return;
+    const form = event.currentTarget;
+    const formData = new FormData(form);
+    // without a new upload the clone keeps the original's code.zip
+    const code = formData.get("code");
+    if (!(code instanceof File) || code.size === 0) formData.delete("code");
+    if (rerunItems !== "ranges") formData.delete("ranges");
+    try {
+      const data = await cloneTask(selectedTask.id, formData);
+      form.reset();
+      setRerunItems("all");
+      setSelectedTask(data.task);
+      toast.success(`Created ${data.task.name}`);
+      await refreshTasks();
+    } catch (err: any) {
+      toast.error(err?.message || "Failed to re-run task");
+    }
+  };
+
   const reinvokeTask = async (taskId: string) => {
     try {
       const res = await fetch(`${API_BASE}/api/tasks/${taskId}/reinvoke`, withSession({ method: 'POST' }));
@@ -1382,9 +2130,9 @@ function CustomerView({
     }
   };
 
-  const switchInputMode = (mode: "file" | "database") => {
+  const switchInputMode = (mode: "file" | "database" | "upstream") => {
     setInputMode(mode);
-    if (mode === "file") {
+    if (mode !== "database") {
       setDbAttached(false);
       setMetadataJsonValue("");
     }
@@ -1518,6 +2266,13 @@ function CustomerView({
             >
               Database
             </button>
+            <button
+              type="button"
+              className={`tab-button${inputMode === "upstream" ? " active" : ""}`}
+              onClick={() => switchInputMode("upstream")}
+            >
+              Upstream Task
+            </button>
           </div>
           <div className="grid">
             <label>
@@ -1541,11 +2296,53 @@ function CustomerView({
           </label>
           {inputMode === "file" ? (
             <div className="tab-panel">
-              <label>
-                data.json (optional)
-                <input type="file" name="data" accept="application/json" />
-              </label>
-              <small className="muted">Upload a JSON array to distribute work across chunks.</small>
+              <div className="grid">
+                <label>
+                  Dataset (optional)
+                  <input type="file" name="data" accept=".json,.ndjson,.jsonl,.csv,application/json,text/csv" />
+                </label>
+                <label>
+                  Dataset Format
+                  <select name="dataFormat" defaultValue="auto">
+                    {DATASET_FORMATS.map((format) => (
+                      <option key={format.value} value={format.value}>
+                        {format.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <small className="muted">
+                Upload a JSON array, newline-delimited JSON or a CSV file with a header row to distribute work across chunks.
+              </small>
+            </div>
+          ) : inputMode === "upstream" ? (
+            <div className="tab-panel">
+              <div className="grid">
+                <label>
+                  Upstream task
+                  <select name="upstreamTaskId" defaultValue="" required>
+                    <option value="" disabled>
+                      Choose one of your tasks
+                    </option>
+                    {tasks.map((task) => (
+                      <option key={task.id} value={task.id}>
+                        {task.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Start
+                  <select name="upstreamMode" defaultValue="streaming">
+                    <option value="streaming">As upstream items complete</option>
+                    <option value="on-complete">When the upstream task completes</option>
+                  </select>
+                </label>
+              </div>
+              <small className="muted">
+                Each item of this task is the output of the same item upstream (parsed as JSON when possible).
+              </small>
             </div>
           ) : (
             <div className="tab-panel">
@@ -1602,10 +2399,100 @@ function CustomerView({
             Total chunks (optional)
             <input type="number" name="totalChunks" min={1} />
           </label>
+          {recurring ? null : (
+            <label>
+              Deadline (optional, unfinished work expires after it)
+              <input type="datetime-local" name="deadline" />
+            </label>
+          )}
+          <label className="checkbox-row">
+            <input type="checkbox" checked={recurring} onChange={(event) => setRecurring(event.target.checked)} />
+            Repeat on a schedule (creates a new task from this template on every run)
+          </label>
+          {recurring ? (
+            <div className="grid">
+              <label>
+                Schedule (cron, UTC)
+                <input type="text" name="schedule" placeholder="0 2 * * *" required />
+              </label>
+              <label>
+                Budget per run (credits)
+                <input type="number" name="runBudget" min={0} step="0.01" required />
+              </label>
+            </div>
+          ) : null}
+          <label>
+            Reducer entrypoint (optional, runs once over every item output)
+            <input type="text" name="reducer" placeholder="reduce.js" />
+          </label>
+          <label>
+            Priority (1-10, shares your workers between your tasks)
+            <input type="number" name="priority" min={1} max={10} defaultValue={5} />
+          </label>
+          <div className="grid">
+            <label>
+              Replication (workers per chunk)
+              <input type="number" name="replicationFactor" min={1} max={5} defaultValue={1} />
+            </label>
+            <label>
+              Verification
+              <select name="verificationMode" defaultValue="exact">
+                <option value="exact">Exact match</option>
+                <option value="normalized">Normalized (ignore whitespace / key order)</option>
+              </select>
+            </label>
+          </div>
+          <small className="muted">
+            With replication above 1 each chunk runs on that many workers and is only paid once a majority agree.
+          </small>
+          <div className="grid">
+            <label>
+              Bucket target (seconds per worker)
+              <input type="number" name="bucketTargetSeconds" min={1} max={600} defaultValue={120} />
+            </label>
+            <label>
+              Min items per bucket
+              <input type="number" name="minBucketItems" min={1} placeholder="1" />
+            </label>
+            <label>
+              Max items per bucket
+              <input type="number" name="maxBucketItems" min={1} placeholder="No limit" />
+            </label>
+          </div>
+          <small className="muted">
+            Buckets are sized from each worker's measured speed so they take about the target time.
+          </small>
+          <label>
+            Lease duration (ms, how long a silent worker keeps its bucket)
+            <input type="number" name="leaseDurationMs" min={10000} step={1000} placeholder="1200000" />
+          </label>
+          {recurring ? null : (
+            <label className="checkbox-row">
+              <input type="checkbox" name="draft" value="true" />
+              Save as draft (workers get nothing until you queue it)
+            </label>
+          )}
+          <div className="grid">
+            <label>
+              Max attempts per chunk
+              <input type="number" name="maxAttempts" min={1} max={10} defaultValue={3} />
+            </label>
+            <label>
+              Retry backoff (ms)
+              <input type="number" name="retryBackoffMs" min={0} step={1000} defaultValue={5000} />
+            </label>
+            <label>
+              Retry on another worker
+              <select name="retryPreferDifferentWorker" defaultValue="true">
+                <option value="true">Prefer a different worker</option>
+                <option value="false">Any worker</option>
+              </select>
+            </label>
+          </div>
           <input type="hidden" name="inputType" value={inputMode === "database" ? "database" : "file"} readOnly />
           <input type="hidden" name="metadataJson" value={metadataJsonValue} readOnly />
           <button type="submit" disabled={loading}>
-            {loading ? "Submitting..." : "Submit Task"}
+            {loading ? "Submitting..." : recurring ? "Create Schedule" : "Submit Task"}
           </button>
         </form>
       </div>
@@ -1635,6 +2522,78 @@ function CustomerView({
             ))}
           </div>
         )}
+        {schedules.length ? (
+          <>
+            <h2>Schedules</h2>
+            <div className="task-grid">
+              {schedules.map((schedule) => (
+                <div key={schedule.id} className="task-card">
+                  <h3 className="task-name">{schedule.name}</h3>
+                  <div className="task-header">
+                    <span className={`status status-${schedule.paused ? "paused" : "running"}`}>
+                      {schedule.paused ? "Paused" : "Active"}
+                    </span>
+                    <span className="capability">{schedule.cron} (UTC)</span>
+                    <span className="credits">{formatCurrency(schedule.runBudget)} per run</span>
+                  </div>
+                  <div className="task-meta">
+                    <span>
+                      {schedule.nextRunAt ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}` : "No upcoming run"}
+                    </span>
+                    {schedule.dataFileName ? <span>Dataset {schedule.dataFileName}</span> : null}
+                  </div>
+                  {schedule.runs.length ? (
+                    <ul className="schedule-runs">
+                      {schedule.runs.slice(0, 5).map((run) => (
+                        <li key={run.startedAt}>
+                          <span>{new Date(run.scheduledFor).toLocaleString()}</span>
+                          {run.taskId ? (
+                            <button
+                              type="button"
+                              className="link-button"
+                              onClick={() => {
+                                const task = tasks.find((entry) => entry.id === run.taskId);
+                                if (!task) return;
+                                setSelectedTask(task);
+                                setActiveTab("details");
+                              }}
+                            >
+                              {run.taskStatus ? formatStatus(run.taskStatus) : "Deleted"}
+                              {run.taskStatus && run.taskStatus !== "completed" ? ` · ${run.taskProgress ?? 0}%` : ""}
+                            </button>
+                          ) : (
+                            <span className="muted">Skipped: {run.error || "unknown reason"}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="muted">No runs yet.</p>
+                  )}
+                  <div className="task-actions">
+                    <button className="btn" onClick={() => changeSchedule(schedule, schedule.paused ? "resume" : "pause")}>
+                      {schedule.paused ? "Resume" : "Pause"}
+                    </button>
+                    <label className="btn">
+                      Replace Dataset
+                      <input
+                        type="file"
+                        hidden
+                        onChange={(event) => {
+                          changeSchedule(schedule, "data", event.target.files?.[0]);
+                          event.target.value = "";
+                        }}
+                      />
+                    </label>
+                    <button className="btn" onClick={() => changeSchedule(schedule, "delete")}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : null}
       </div>
 
       <div
@@ -1660,28 +2619,271 @@ function CustomerView({
                   {selectedTask.processedChunks ?? 0}/{selectedTask.totalChunks ?? "?"} chunks processed
                 </span>
                 <span>Created {new Date(selectedTask.createdAt).toLocaleString()}</span>
+                {selectedTask.clonedFrom ? (
+                  <span>
+                    Re-run of{" "}
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => {
+                        const original = tasks.find((task) => task.id === selectedTask.clonedFrom?.taskId);
+                        if (original) setSelectedTask(original);
+                      }}
+                    >
+                      {selectedTask.clonedFrom.name}
+                    </button>
+                    {selectedTask.itemRanges
+                      ? ` · ${selectedTask.itemRanges.map((range) => formatRangeLabel(range.start, range.end)).join(", ")}`
+                      : " · all items"}
+                    {selectedTask.clonedFrom.newCode ? " · new code" : ""}
+                  </span>
+                ) : null}
+                {selectedTask.deadline ? (
+                  <span>
+                    Deadline {new Date(selectedTask.deadline).toLocaleString()}
+                    {selectedTask.status !== "expired" && formatTimeRemaining(selectedTask) ? ` · ${formatTimeRemaining(selectedTask)}` : ""}
+                  </span>
+                ) : null}
               </div>
+              {selectedTask.status === "expired" ? (
+                <p className="muted">
+                  This task passed its deadline before finishing. Its workers were released and{" "}
+                  {formatCurrency(selectedTask.budgetReleased ?? 0)} of unspent budget will not be charged.
+                </p>
+              ) : null}
+              {pipeline ? (
+                <>
+                  <h3>Pipeline</h3>
+                  <PipelineGraph
+                    pipeline={pipeline}
+                    currentTaskId={selectedTask.id}
+                    onSelect={(taskId) => {
+                      const next = tasks.find((task) => task.id === taskId);
+                      if (next) setSelectedTask(next);
+                    }}
+                  />
+                </>
+              ) : null}
+              {selectedTask.reduce ? (
+                <>
+                  <h3>Final Result</h3>
+                  {selectedTask.reduce.state === "completed" ? (
+                    <>
+                      <pre className="task-result">{selectedTask.result || "(empty output)"}</pre>
+                      {typeof selectedTask.reduce.codeVersion === "number" ? (
+                        <p className="muted">Reduced with code v{selectedTask.reduce.codeVersion}.</p>
+                      ) : null}
+                      {selectedTask.resultUrl ? (
+                        <a href={selectedTask.resultUrl} target="_blank" rel="noreferrer">
+                          Download full result
+                        </a>
+                      ) : null}
+                    </>
+                  ) : selectedTask.reduce.state === "failed" ? (
+                    <>
+                      <p className="muted">
+                        Reducer {selectedTask.reduce.entrypoint} failed after {selectedTask.reduce.failedAttempts} attempt(s):{" "}
+                        {selectedTask.reduce.error || "unknown error"}
+                      </p>
+                      <div className="task-actions-row">
+                        <button className="btn" onClick={() => retryReducer(selectedTask.id)}>
+                          Retry Reducer
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="muted">
+                      {selectedTask.reduce.state === "waiting"
+                        ? `Reducer ${selectedTask.reduce.entrypoint} runs once every chunk is done.`
+                        : selectedTask.reduce.failedAttempts
+                        ? `Reducer ${selectedTask.reduce.entrypoint} retrying after ${selectedTask.reduce.failedAttempts} failed attempt(s).`
+                        : `Reducer ${selectedTask.reduce.entrypoint} is running over every item output.`}
+                    </p>
+                  )}
+                </>
+              ) : null}
+              {selectedTask.disputedChunks?.length ? (
+                <p className="muted">
+                  {selectedTask.disputedChunks.length} chunk(s) disputed, replicas disagreed on{" "}
+                  {selectedTask.disputedChunks.map((entry) => `#${entry.chunkIndex}`).join(", ")}. These were not billed.
+                </p>
+              ) : null}
+              {selectedTask.deadLetter?.length ? (
+                <>
+                  <h3>Dead-lettered Chunks</h3>
+                  <table className="results">
+                    <thead>
+                      <tr>
+                        <th>Chunk</th>
+                        <th>Items</th>
+                        <th>Attempts</th>
+                        <th>Last error</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selectedTask.deadLetter.map((entry) => (
+                        <tr key={entry.chunkIndex}>
+                          <td>#{entry.chunkIndex}</td>
+                          <td>{formatRangeLabel(entry.rangeStart, entry.rangeEnd) || "—"}</td>
+                          <td>
+                            {entry.attempts} ({entry.workerIds.join(", ") || "unknown"})
+                          </td>
+                          <td>{entry.lastError || "—"}</td>
+                          <td>
+                            <button className="btn" onClick={() => requeueDeadLetter(selectedTask.id, entry.chunkIndex)}>
+                              Re-queue
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="task-actions-row">
+                    <button className="btn" onClick={() => requeueDeadLetter(selectedTask.id)}>
+                      Re-queue All
+                    </button>
+                  </div>
+                </>
+              ) : null}
+              {selectedTask.statusHistory?.length ? (
+                <>
+                  <h3>Status History</h3>
+                  <ul className="status-history">
+                    {[...selectedTask.statusHistory].reverse().map((entry, idx) => (
+                      <li key={`${entry.at}-${idx}`}>
+                        {new Date(entry.at).toLocaleString()}: {entry.from ? `${formatStatus(entry.from)} → ` : ""}
+                        {formatStatus(entry.to)}
+                        {entry.reason ? <span className="muted"> ({entry.reason})</span> : null}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              ) : null}
+              <h3>Code Versions</h3>
+              {selectedTask.codeVersions?.length ? (
+                <ul className="code-versions">
+                  {[...selectedTask.codeVersions].reverse().map((entry) => (
+                    <li key={entry.version}>
+                      <span>
+                        <strong>v{entry.version}</strong>
+                        {entry.version === selectedTask.codeVersion ? " (current)" : ""}
+                        {entry.uploadedAt ? ` · ${new Date(entry.uploadedAt).toLocaleString()}` : ""}
+                        {entry.note ? <span className="muted"> · {entry.note}</span> : null}
+                      </span>
+                      {entry.url ? (
+                        <a href={entry.url} target="_blank" rel="noreferrer">
+                          {entry.fileName}
+                        </a>
+                      ) : null}
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+              {selectedTask.status !== "expired" ? (
+                <form className="rerun-form" onSubmit={handleCodeUpload}>
+                  <div className="grid">
+                    <label>
+                      New code.zip
+                      <input type="file" name="code" accept=".zip" required />
+                    </label>
+                    <label>
+                      Note (optional)
+                      <input type="text" name="note" maxLength={200} placeholder="What changed" />
+                    </label>
+                  </div>
+                  <div className="task-actions-row">
+                    <button className="btn" type="submit">
+                      Upload Version
+                    </button>
+                  </div>
+                  <p className="muted">Chunks handed out after the upload run the new version; chunks already running finish on theirs.</p>
+                </form>
+              ) : null}
+              <h3>Re-run</h3>
+              <form className="rerun-form" onSubmit={handleRerun}>
+                <p className="muted">
+                  Creates a new task over the same dataset with this task's options. Item numbers stay the same as here.
+                </p>
+                <div className="grid">
+                  <label>
+                    Items
+                    <select name="items" value={rerunItems} onChange={(event) => setRerunItems(event.target.value as RerunItems)}>
+                      <option value="all">All items</option>
+                      <option value="failed" disabled={!selectedTask.deadLetter?.length && !selectedTask.disputedChunks?.length}>
+                        Failed items only
+                      </option>
+                      <option value="ranges">Item ranges</option>
+                    </select>
+                  </label>
+                  {rerunItems === "ranges" ? (
+                    <label>
+                      Ranges (end exclusive, e.g. 0-100,250)
+                      <input type="text" name="ranges" placeholder="0-100,250" required />
+                    </label>
+                  ) : null}
+                  <label>
+                    New code.zip (optional)
+                    <input type="file" name="code" accept=".zip" />
+                  </label>
+                </div>
+                <div className="task-actions-row">
+                  <button className="btn" type="submit">
+                    Clone &amp; Run
+                  </button>
+                </div>
+              </form>
               <h3>Chunk Summary</h3>
               <BucketSummaryPanel task={selectedTask} results={results} assignments={assignments} />
               <div className="task-actions-row">
                 <button className="btn" onClick={handleDownloadResults} disabled={results.length === 0}>
                   Download Results (JSON)
                 </button>
-                {selectedTask.revoked ? (
+                {selectedTask.status === "draft" ? (
+                  <button className="btn" onClick={() => changeTaskState(selectedTask.id, "queue", "Task queued — workers may claim it")}>
+                    Queue Task
+                  </button>
+                ) : null}
+                {selectedTask.status === "queued" || selectedTask.status === "running" ? (
+                  <button className="btn" onClick={() => changeTaskState(selectedTask.id, "pause", "Task paused — running chunks may finish")}>
+                    Pause Task
+                  </button>
+                ) : null}
+                {selectedTask.status === "paused" ? (
+                  <button className="btn" onClick={() => changeTaskState(selectedTask.id, "resume", "Task resumed")}>
+                    Resume Task
+                  </button>
+                ) : null}
+                {selectedTask.status === "cancelled" ? (
                   <button className="btn" onClick={() => reinvokeTask(selectedTask.id)}>
                     Reinvoke Task
                   </button>
-                ) : (
+                ) : ["draft", "queued", "running", "paused"].includes(selectedTask.status) ? (
                   <button className="btn warning" onClick={() => revokeTask(selectedTask.id)}>
                     Revoke Task
                   </button>
-                )}
+                ) : null}
                 <button className="btn" onClick={() => deleteTask(selectedTask.id)}>
                   Delete Task
                 </button>
+                <label>
+                  Priority{" "}
+                  <select
+                    value={selectedTask.priority ?? 5}
+                    onChange={(event) => updatePriority(selectedTask.id, Number(event.target.value))}
+                  >
+                    {Array.from({ length: 10 }, (_, idx) => idx + 1).map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               </div>
               <h3>Chunk Results</h3>
               <BucketResultsTable results={results} />
+              <h3>Item Outputs</h3>
+              <TaskItemsPanel taskId={selectedTask.id} processedItems={selectedTask.processedItems ?? null} />
             </div>
           </>
         ) : (
@@ -1695,6 +2897,76 @@ function CustomerView({
   );
 }
 
+function FleetSection({ active }: { active: boolean }) {
+  const [workers, setWorkers] = useState<FleetWorker[]>([]);
+  const [filter, setFilter] = useState<FleetFilter>("all");
+
+  const refresh = useCallback(async () => {
+    try {
+      setWorkers(await listWorkers(filter));
+    } catch (error: any) {
+      toast.error(error.message || "Failed to load workers");
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    if (!active) return;
+    refresh();
+    const timer = setInterval(refresh, 5000);
+    return () => clearInterval(timer);
+  }, [active, refresh]);
+
+  return (
+    <>
+      <h2>Worker Fleet</h2>
+      <label>
+        Show
+        <select value={filter} onChange={(event) => setFilter(event.target.value as FleetFilter)}>
+          <option value="all">All workers</option>
+          <option value="online">Online</option>
+          <option value="offline">Offline</option>
+        </select>
+      </label>
+      {workers.length === 0 ? (
+        <p className="muted">No workers match.</p>
+      ) : (
+        <table className="bucket-table">
+          <thead>
+            <tr>
+              <th>Worker</th>
+              <th>Status</th>
+              <th>Version / host</th>
+              <th>Capabilities</th>
+              <th>Current bucket</th>
+              <th>Chunks (ok / failed)</th>
+              <th>Earnings</th>
+              <th>Last seen</th>
+            </tr>
+          </thead>
+          <tbody>
+            {workers.map((worker) => (
+              <tr key={worker.id}>
+                <td>{worker.id}</td>
+                <td>{worker.online ? "Online" : "Offline"}</td>
+                <td>{[worker.version, worker.host].filter(Boolean).join(" / ") || "—"}</td>
+                <td>{worker.capabilities.map(formatCapability).join(", ") || "—"}</td>
+                <td>
+                  {worker.currentAssignment
+                    ? `${worker.currentAssignment.taskName || worker.currentAssignment.taskId} #${worker.currentAssignment.chunkIndex ?? "?"}`
+                    : "—"}
+                </td>
+                <td>{worker.completedChunks} / {worker.failedChunks}</td>
+                <td>{formatCurrency(worker.earnings)}</td>
+                <td>{formatTimestamp(worker.lastSeenAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
 function WorkerView({
   sessionId,
   wallet,
@@ -1722,15 +2994,16 @@ function WorkerView({
   const [searchTerm, setSearchTerm] = useState("");
   const [capabilityFilter, setCapabilityFilter] = useState("all");
   const [workerOnline, setWorkerOnline] = useState<boolean | null>(null);
-  const [activeTab, setActiveTab] = useState<"wallet" | "queue" | "assigned" | "details">("queue");
+  const [workerCapabilities, setWorkerCapabilities] = useState<string[] | null>(null);
+  const [activeTab, setActiveTab] = useState<"wallet" | "queue" | "assigned" | "details" | "fleet">("queue");
 
   const refresh = useCallback(async () => {
     try {
-      const allTasks = await listTasks();
+      const [allTasks, eligibleTasks] = await Promise.all([listTasks(), listTasks(undefined, sessionId)]);
       const mine = allTasks.filter((t) => (t.assignedWorkers || []).includes(sessionId));
-      const available = allTasks.filter((t) => {
-        if (t.revoked) return false;
-        if (t.status === "completed" || t.status === "failed") return false;
+      const available = eligibleTasks.filter((t) => {
+        // only tasks that hand out buckets can be joined
+        if (t.status !== "queued" && t.status !== "running") return false;
         const assigned = t.assignedWorkers || [];
         if (assigned.includes(sessionId)) return false;
         return true; // keep visible so additional workers can opt in
@@ -1760,6 +3033,7 @@ function WorkerView({
     try {
       const status = await fetchWorkerOnline(sessionId);
       setWorkerOnline(status.online);
+      setWorkerCapabilities(status.capabilities ?? null);
     } catch (error) {
       setWorkerOnline(false);
     }
@@ -1823,6 +3097,13 @@ function WorkerView({
       ) : (
         <span>Worker offline. Start the runner process shown below before claiming tasks.</span>
       )}
+      <span className="muted">
+        {workerCapabilities === null
+          ? " No capabilities registered yet; the runner registers WORKER_CAPABILITIES when it starts."
+          : workerCapabilities.length === 0
+          ? " Registered without capabilities."
+          : ` Capabilities: ${workerCapabilities.map(formatCapability).join(", ")}`}
+      </span>
     </div>
   );
 
@@ -2207,6 +3488,17 @@ function WorkerView({
         >
           Wallet
         </button>
+        <button
+          type="button"
+          id="worker-fleet-tab"
+          className={`tab-button${activeTab === "fleet" ? " active" : ""}`}
+          role="tab"
+          aria-selected={activeTab === "fleet"}
+          aria-controls="worker-fleet-panel"
+          onClick={() => setActiveTab("fleet")}
+        >
+          Fleet
+        </button>
       </div>
 
       <div
@@ -2220,7 +3512,11 @@ function WorkerView({
         {renderFilterControls()}
         <h2>Available Tasks</h2>
         {availableTasks.length === 0 ? (
-          <p className="muted">No queued tasks right now.</p>
+          <p className="muted">
+            {workerCapabilities === null
+              ? "Start the runner so it can register this worker's capabilities; only matching tasks are listed."
+              : "No queued tasks need your capabilities right now."}
+          </p>
         ) : filteredAvailable.length === 0 ? (
           <p className="muted">No queued tasks match your filters.</p>
         ) : (
@@ -2401,7 +3697,9 @@ function WorkerView({
               <div className="runner-box">
                 <p>Worker service / runner</p>
                 <p>
-                  Start a worker process (long-running). The worker will <b>only</b> process tasks that have been claimed for this worker via the UI.
+                  Start a worker process (long-running). By default it takes chunks from any open task, picked by the server&apos;s fair-share scheduler.
+                  Add <code>WORKER_MODE=claimed</code> to <b>only</b> process tasks claimed for this worker via the UI.
+                  Set <code>WORKER_CAPABILITIES</code> (comma separated, e.g. <code>data-analysis,text-processing</code>) to limit the tasks it is given.
                 </p>
                 <pre>{`WORKER_ID=${sessionId} node scripts/worker-runner.mjs`}</pre>
                 <small>
@@ -2443,6 +3741,16 @@ function WorkerView({
           onWithdraw={onWithdraw}
         />
       </div>
+
+      <div
+        className="tab-section"
+        role="tabpanel"
+        id="worker-fleet-panel"
+        aria-labelledby="worker-fleet-tab"
+        hidden={activeTab !== "fleet"}
+      >
+        <FleetSection active={activeTab === "fleet"} />
+      </div>
     </div>
   );
 }